@@ -26,20 +26,20 @@ var config =
       },
 
       "istanbul": { "command": "cover", "options": ["--include-all-sources --root src -x '**/template/**'"] },
-      "mocha": { "source": "./node_modules/tjsdoc-tests-ecmascript/test/src", "options": ["--require tjsdoc-tests-ecmascript", "--compilers js:babel-register", "-t 120000 --recursive"] }
+      "mocha": { "source": "./node_modules/tjsdoc-tests-ecmascript/test/src ./test/src", "options": ["--require tjsdoc-tests-ecmascript", "--compilers js:babel-register", "-t 120000 --recursive"] }
    },
 
    // For local developer testing.
    "dev_test":
    {
       "istanbul": { "command": "cover", "options": ["--include-all-sources --root src -x '**/template/**'"] },
-      "mocha": { "source": "./node_modules/tjsdoc-tests-ecmascript/test/src", "options": ["--require tjsdoc-tests-ecmascript", "--compilers js:babel-register", "-t 120000 --recursive"] }
+      "mocha": { "source": "./node_modules/tjsdoc-tests-ecmascript/test/src ./test/src", "options": ["--require tjsdoc-tests-ecmascript", "--compilers js:babel-register", "-t 120000 --recursive"] }
    },
 
    // Always tests with NPM module: tjsdoc-tests-ecmascript
    "dev_test_npm":
    {
-      "mocha": { "source": "./node_modules/tjsdoc-tests-ecmascript/test/src", "options": ["--require tjsdoc-tests-ecmascript", "--compilers js:babel-register", "-t 120000 --recursive"] }
+      "mocha": { "source": "./node_modules/tjsdoc-tests-ecmascript/test/src ./test/src", "options": ["--require tjsdoc-tests-ecmascript", "--compilers js:babel-register", "-t 120000 --recursive"] }
    }
 };
 
@@ -60,7 +60,7 @@ if (process.env.BABEL_ENV === 'tjsdoc-dev')
             // Set to local tests.
             config.dev_test.mocha =
             {
-               "source": "../tjsdoc-tests-ecmascript/test/src",
+               "source": "../tjsdoc-tests-ecmascript/test/src ./test/src",
                "options": ["--compilers js:babel-register", "-t 120000 --recursive"]
             };
          }
@@ -1,5 +1,3 @@
-import fs      from 'fs';
-
 import DocBase from './base/DocBase.js';
 
 /**
@@ -8,7 +6,7 @@ import DocBase from './base/DocBase.js';
 export default class ModuleFileDoc extends DocBase
 {
    /**
-    * Create doc data statically held. File docs are the module, so pass `null` as the module ID to DocBase.
+    * Create doc data held by a new doc context. File docs are the module, so pass `null` as the module ID to DocBase.
     *
     * @param {number}         docID - The docID for this doc.
     *
@@ -37,12 +35,12 @@ export default class ModuleFileDoc extends DocBase
       this._value.category = 'ModuleFile';
    }
 
-   /** specify file content to value.content */
+   /** specify file content to value.content; read via the shared source file cache. */
    static _$content()
    {
       const filePath = this._pathResolver.absolutePath;
 
-      this._value.content = fs.readFileSync(filePath, { encode: 'utf8' }).toString();
+      this._value.content = this._eventbus.triggerSync('tjsdoc:system:file:content:get', filePath);
    }
 
    /** specify `ModuleFile` to kind. */
@@ -6,7 +6,7 @@ import DocBase from './base/DocBase.js';
 export default class ModuleMemoryDoc extends DocBase
 {
    /**
-    * Create doc data statically held. Memory docs are the module, so pass `null` as the module ID to DocBase.
+    * Create doc data held by a new doc context. Memory docs are the module, so pass `null` as the module ID to DocBase.
     *
     * @param {number}         docID - The docID for this doc.
     *
@@ -26,12 +26,12 @@ export default class ModuleMemoryDoc extends DocBase
     */
    static create(docID, ast, node, pathResolver, commentTags = [], eventbus, code)
    {
-      super.create(docID, null, ast, node, pathResolver, commentTags, eventbus);
+      const doc = super.create(docID, null, ast, node, pathResolver, commentTags, eventbus);
 
       // Must set content directly as all value properties are resolved in DocBase create.
-      this._value.content = code;
+      doc._value.content = code;
 
-      return this;
+      return doc;
    }
 
    /**
@@ -51,21 +51,20 @@ export default class VirtualExternalDoc extends DocBase
    /** take out self name from tag */
    static _$name()
    {
-      const value = this._findTagValue(['@external']);
+      const tags = this._findAll(['@external']);
 
-      if (!value)
+      if (!tags)
       {
-         this._eventbus.trigger('log:warn', 'can not resolve name.');
+         this._eventbus.trigger('log:warn', `can not resolve name: ${this._getTagLocation()}`);
+         this._value.name = null;
+         return;
       }
 
-      this._value.name = value;
+      const lastTag = tags[tags.length - 1];
 
-      const tags = this._findAll(['@external']);
-
-      if (!tags)
+      if (!lastTag.tagValue)
       {
-         this._eventbus.trigger('log:warn', 'can not resolve name.');
-         return;
+         this._eventbus.trigger('log:warn', `can not resolve name: ${this._getTagLocation(lastTag)}`);
       }
 
       let name;
@@ -17,8 +17,6 @@ import DocBase from './DocBase.js';
  *
  * _$name()
  *
- * _$param()
- *
  * _$qualifier()
  *
  * _$return()
@@ -26,6 +24,9 @@ import DocBase from './DocBase.js';
  * _$static()
  *
  * _$type()
+ *
+ * `_$param()` is implemented by DocBase which parses the `@param` tags and reconciles them with the function
+ * signature; see `_hasSignature`.
  */
 export default class ClassMethodDocBase extends DocBase
 {
@@ -34,4 +35,15 @@ export default class ClassMethodDocBase extends DocBase
    {
       this._value.kind = 'ClassMethod';
    }
+
+   /**
+    * Class methods have a function signature, so `_$param` reconciles the documented params with the signature.
+    *
+    * @returns {boolean}
+    * @protected
+    */
+   static _hasSignature()
+   {
+      return true;
+   }
 }
@@ -1,19 +1,34 @@
-import fs   from 'fs';
-import path from 'path';
+import path         from 'path';
+
+import SemverParser from '../../parser/SemverParser.js';
 
 /**
- * The base StaticDoc.
+ * The base StaticDoc. Doc classes only define static methods; `create` returns a doc context storing the state of a
+ * single doc.
  *
  * The following tags / annotations are supported by DocBase and children implementations:
  *
  * `@abstract`, `@access`, `@deprecated`, `@desc`, `@emits`, `@example`, `@experimental`, `@ignore`, `@listens`,
  * `@param`, `@override`, `@private`, `@property`, `@protected`, `@public`, `@return`, `@returns`, `@see`, `@since`,
  * `@throws`, `@todo`, `@type`, `@version`
+ *
+ * Alias tag names such as `@arg` or `@returns` are renamed to the canonical tag name by `TagAliasRegistry` before any
+ * tags are processed.
+ *
+ * Plugins may add support for custom tags without subclassing by registering a tag definition with `TagRegistry` via
+ * `tjsdoc:system:tags:register`.
  */
 export default class DocBase
 {
    /**
-    * Creates doc data statically held.
+    * Creates doc data held by a new doc context. The doc context is an object with the doc class as prototype, so the
+    * static `_$` methods of DocBase and any subclass overrides are invoked with `this` bound to the context. All doc
+    * state is stored in the context instead of the class, so docs may be created concurrently and an error during
+    * creation does not leave stale state behind.
+    *
+    * The returned context provides the doc data via `value` and `reset`. Subclasses overriding `create` must use the
+    * context returned by `super.create`; IE `const doc = super.create(...); doc._value.content = code; return doc;` as
+    * no doc state is held by the doc class.
     *
     * @param {number}            docID - The docID for this doc.
     *
@@ -29,9 +44,37 @@ export default class DocBase
     *
     * @param {EventProxy}        eventbus - An event proxy for the main eventbus.
     *
-    * @returns {DocBase}
+    * @returns {DocBase} The doc context.
     */
    static create(docID, moduleID, ast, node, pathResolver, commentTags = [], eventbus)
+   {
+      const context = Object.create(this);
+
+      context._initialize(docID, moduleID, ast, node, pathResolver, commentTags, eventbus);
+
+      return context;
+   }
+
+   /**
+    * Initializes the doc context created by `create` and applies all dynamic `_$` methods.
+    *
+    * @param {number}            docID - The docID for this doc.
+    *
+    * @param {number|null}       moduleID - The docID for the corresponding module / file.
+    *
+    * @param {AST}               ast - The AST that contains this doc.
+    *
+    * @param {ASTNode}           node - The AST node for this doc object.
+    *
+    * @param {PathResolver}      pathResolver - The file path resolver that contains this doc.
+    *
+    * @param {Tag[]}             commentTags - The comment tags associated with this doc object.
+    *
+    * @param {EventProxy}        eventbus - An event proxy for the main eventbus.
+    *
+    * @private
+    */
+   static _initialize(docID, moduleID, ast, node, pathResolver, commentTags, eventbus)
    {
       /**
        * The AST that contains this doc.
@@ -55,11 +98,12 @@ export default class DocBase
       this._pathResolver = pathResolver;
 
       /**
-       * The comment tags associated with this doc object.
+       * The comment tags associated with this doc object. Any alias tag names are renamed to the canonical tag name
+       * registered with `TagAliasRegistry` storing the original tag name as `tagAlias`.
        * @type {Tag[]}
        * @private
        */
-      this._commentTags = commentTags;
+      this._commentTags = s_RESOLVE_TAG_ALIASES(commentTags, eventbus.triggerSync('tjsdoc:system:tags:aliases:get'));
 
       /**
        * An event proxy for the main eventbus.
@@ -115,8 +159,22 @@ export default class DocBase
 
       // Ensures that the complete AST for the file / module is accessible.
       this._value.ast = this._ast;
+   }
 
-      return this;
+   /**
+    * Reports an invalid tag on the eventbus via `tjsdoc:system:invalid:code:add` including the absolute file location
+    * of the tag value when available.
+    *
+    * @param {Tag}      tag - The invalid comment tag.
+    *
+    * @param {string}   message - A message describing the problem.
+    *
+    * @protected
+    */
+   static _addInvalidTag(tag, message)
+   {
+      this._eventbus.trigger('tjsdoc:system:invalid:code:add',
+       { filePath: this._pathResolver.absolutePath, node: this._node, message, loc: tag.valueLoc || tag.loc });
    }
 
    /**
@@ -139,6 +197,70 @@ export default class DocBase
             this._appliedMethods[methodName] = true;
          }
       }
+
+      // Apply any custom tags registered by plugins for this doc kind.
+      for (const definition of this._getRegisteredTags())
+      {
+         this._applyRegisteredTag(definition);
+      }
+   }
+
+   /**
+    * Parses the values of a custom tag registered via `tjsdoc:system:tags:register` storing the result in `_value`
+    * with the key of the tag definition. Tags handled by a `_tag_<name>` method of this class take precedence and are
+    * not applied.
+    *
+    * @param {TagDefinition}  definition - The registered tag definition.
+    *
+    * @private
+    */
+   static _applyRegisteredTag(definition)
+   {
+      if (typeof this[definition.name.replace(/^[@]/, '_tag_')] === 'function') { return; }
+
+      const tags = this._findAll([definition.name]);
+
+      if (!tags) { return; }
+
+      const values = [];
+
+      for (const tag of tags)
+      {
+         switch (definition.parser)
+         {
+            case 'flag':
+               values.push(true);
+               break;
+
+            case 'param':
+            {
+               const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:value:parse', tag.tagValue);
+
+               if (!result.typeText || !result.paramName)
+               {
+                  this._addInvalidTag(tag, `invalid ${definition.name}: ${tag.tagValue}`);
+
+                  continue;
+               }
+
+               values.push(this._eventbus.triggerSync('tjsdoc:system:parser:param:from:value:parse', result));
+               break;
+            }
+
+            case 'type':
+               values.push(this._eventbus.triggerSync('tjsdoc:system:parser:param:parse', tag.tagValue,
+                { type: true, name: false, desc: false }));
+               break;
+
+            default:
+               values.push(tag.tagValue);
+               break;
+         }
+      }
+
+      if (!values.length) { return; }
+
+      this._value[definition.key] = definition.multiple ? values : values[values.length - 1];
    }
 
    /**
@@ -227,8 +349,10 @@ export default class DocBase
    /**
     * Find class in same file, import or external.
     *
-    * Note: this only works for directly exported nodes and not intermediate exports. Intermediate nodes like
-    * `export default <variable>` or `export default new Class()` need special processing in DocGenerator
+    * Classes exported later in the same file; IE `export { Foo as Bar }` are found via the module export graph and
+    * imported classes are resolved by `_resolveLongname` following re-export chains of barrel files.
+    *
+    * Note: Intermediate nodes like `export default new Class()` need special processing in DocGenerator
     * `_processDefaultExport` & `_processNamedExport`.
     *
     * @param {string} className - target class name.
@@ -247,16 +371,46 @@ export default class DocBase
 
       if (exportNode) { return `${this._pathResolver.filePath}~${className}`; }
 
-      // find in import.
-      const importPath = this._eventbus.triggerSync('tjsdoc:system:ast:path:import:declaration:find', this._ast,
-       className);
+      const exportNames = this._eventbus.triggerSync('tjsdoc:system:module:export:names:get',
+       this._pathResolver.absolutePath, className, this._ast);
 
-      if (importPath) { return this._resolveLongname(className); }
+      if (Array.isArray(exportNames) && exportNames.length) { return `${this._pathResolver.filePath}~${className}`; }
+
+      // find in import or CommonJS `require`.
+      if (this._findImportBinding(className)) { return this._resolveLongname(className); }
 
       // find in external
       return className;
    }
 
+   /**
+    * Finds the ES module import or CommonJS `require` binding of the root identifier of a name. CommonJS bindings; IE
+    * `const { Base } = require('./Base.js')` are found via `tjsdoc:system:ast:require:binding:find` when no import
+    * declaration exists.
+    *
+    * @param {string} name - identifier name; IE `Foo` or `ns.Foo`.
+    *
+    * @returns {object|null} The `importPath` and the `name` in the imported module or null when the name is not
+    *                         imported.
+    * @protected
+    */
+   static _findImportBinding(name)
+   {
+      const [rootName, ...members] = name.split('.');
+
+      const importPath = this._eventbus.triggerSync('tjsdoc:system:ast:path:import:declaration:find', this._ast,
+       rootName);
+
+      if (importPath) { return { importPath, name }; }
+
+      const binding = this._eventbus.triggerSync('tjsdoc:system:ast:require:binding:find', this._ast, rootName);
+
+      if (!binding || typeof binding.source !== 'string') { return null; }
+
+      // A destructured or member binding; IE `const { Base: Parent } = require(...)` refers to the imported name.
+      return { importPath: binding.source, name: binding.imported ? [binding.imported, ...members].join('.') : name };
+   }
+
    /**
     * find ta value.
     * @param {string[]} names - tag names.
@@ -270,24 +424,212 @@ export default class DocBase
       return tag ? tag.tagValue : null;
    }
 
+   /**
+    * Returns the project relative file path of a module for use in longnames. Resolved module paths are real paths,
+    * so the module path and the path of this file are compared as real paths; IE for a project directory reached
+    * through a symbolic link.
+    *
+    * @param {string}   absolutePath - The absolute file path of a module.
+    *
+    * @returns {string|null} The relative file path or null for modules outside of the project or in `node_modules`.
+    * @protected
+    */
+   static _getModuleFilePath(absolutePath)
+   {
+      const fromPath = this._getRealPath(this._pathResolver.absolutePath);
+
+      const filePath = this._pathResolver.resolve(path.relative(path.dirname(fromPath),
+       this._getRealPath(absolutePath)));
+
+      if (filePath.startsWith('..') || filePath.split(/[\\/]/).includes('node_modules')) { return null; }
+
+      return filePath;
+   }
+
+   /**
+    * Returns the real path of a file via `tjsdoc:system:file:realpath:get`.
+    *
+    * @param {string}   absolutePath - An absolute file path.
+    *
+    * @returns {string} The real path or the given path when it does not exist.
+    * @protected
+    */
+   static _getRealPath(absolutePath)
+   {
+      return this._eventbus.triggerSync('tjsdoc:system:file:realpath:get', absolutePath) || absolutePath;
+   }
+
+   /**
+    * Returns the custom tag definitions registered via `tjsdoc:system:tags:register` that apply to the kind of this
+    * doc.
+    *
+    * @returns {TagDefinition[]}
+    * @protected
+    */
+   static _getRegisteredTags()
+   {
+      if (!this._registeredTags)
+      {
+         this._ensureApplied('_$kind');
+
+         const tags = this._eventbus.triggerSync('tjsdoc:system:tags:registered:get', this._value.kind);
+
+         /**
+          * The cached custom tag definitions that apply to this doc.
+          * @type {TagDefinition[]}
+          * @private
+          */
+         this._registeredTags = Array.isArray(tags) ? tags : [];
+      }
+
+      return this._registeredTags;
+   }
+
+   /**
+    * Returns the param AST nodes of the function signature documented by this doc. The params of function and class
+    * method nodes, ESTree method definitions, variable declarations and assignments of function expressions are
+    * found. AST runtimes may override this method for other AST formats.
+    *
+    * @returns {ASTNode[]|null} The param AST nodes or null when the AST node has no function signature.
+    * @protected
+    */
+   static _getSignatureParams()
+   {
+      return s_GET_SIGNATURE_PARAMS(this._node);
+   }
+
+   /**
+    * Returns whether this doc documents a function signature; IE functions and class methods. Docs with a signature
+    * reconcile the documented params with the signature in `_$param`. Doc classes with a signature override this
+    * method.
+    *
+    * @returns {boolean}
+    * @protected
+    */
+   static _hasSignature()
+   {
+      return false;
+   }
+
+   /**
+    * Returns a location string for log output; IE `<file path>:<line>:<column>`. When the given tag has location data
+    * the start of the tag value is used otherwise the starting line of the AST node for this doc.
+    *
+    * @param {Tag}   [tag] - A comment tag.
+    *
+    * @returns {string} The location string.
+    * @protected
+    */
+   static _getTagLocation(tag)
+   {
+      const loc = tag ? tag.valueLoc || tag.loc : void 0;
+
+      if (loc) { return `${this._pathResolver.filePath}:${loc.start.line}:${loc.start.column + 1}`; }
+
+      const lineNumber = this._eventbus.triggerSync('tjsdoc:system:ast:line:number:start:find', this._node);
+
+      return lineNumber ? `${this._pathResolver.filePath}:${lineNumber}` : this._pathResolver.filePath;
+   }
+
    /** @type {DocObject[]} */
    static get value()
    {
       return this._value;
    }
 
+   /**
+    * Validates the value of a version tag such as `@since` as a semantic version. The target project TJSDocConfig
+    * `semverMode` selects `lenient` (default) or `strict` validation; IE `v1.2` is accepted and normalized to `1.2.0`
+    * in lenient mode. When `semverMode` is `off` the tag value is not validated. An invalid version is reported as
+    * invalid code.
+    *
+    * @param {Tag}   tag - A version tag.
+    *
+    * @returns {string} The normalized version or the tag value when not validated or invalid.
+    * @protected
+    */
+   static _normalizeVersionTag(tag)
+   {
+      const mode = this._eventbus.triggerSync('tjsdoc:data:config:main:get').semverMode;
+
+      if (mode === 'off') { return tag.tagValue; }
+
+      try
+      {
+         return SemverParser.normalize(tag.tagValue, { lenient: mode !== 'strict' });
+      }
+      catch (err)
+      {
+         this._addInvalidTag(tag, `${tag.tagName} is not a valid semantic version: ${tag.tagValue}`);
+
+         return tag.tagValue;
+      }
+   }
+
+   /**
+    * Parses the `@param` tags into `params` and builds the nested `paramTree`.
+    *
+    * @param {Tag[]}    tags - The `@param` tags.
+    *
+    * @protected
+    */
+   static _parseParamTags(tags)
+   {
+      this._value.params = [];
+
+      const paramTags = [];
+
+      for (const tag of tags)
+      {
+         const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:value:parse', tag.tagValue);
+
+         if (!result.typeText || !result.paramName)
+         {
+            this._addInvalidTag(tag, `invalid @param: ${tag.tagValue}`);
+
+            continue;
+         }
+
+         this._value.params.push(this._eventbus.triggerSync('tjsdoc:system:parser:param:from:value:parse', result));
+
+         paramTags.push(tag);
+      }
+
+      /**
+       * The `@param` tags associated with each parsed param used for log output when reconciling params.
+       * @type {Tag[]}
+       * @private
+       */
+      this._paramTags = paramTags;
+
+      const { tree, orphans } = s_BUILD_PARAM_TREE(this._value.params);
+
+      for (const index of orphans)
+      {
+         const location = this._getTagLocation(paramTags[index]);
+
+         this._eventbus.trigger('log:warn',
+          `@param '${this._value.params[index].name}' has no declared parent param: ${location}`);
+      }
+
+      this._value.paramTree = tree;
+   }
+
    /**
     * decide `unknown`.
     */
    static _processCommentTags()
    {
+      const registeredTags = this._getRegisteredTags();
+
       for (const tag of this._commentTags)
       {
          const methodName = tag.tagName.replace(/^[@]/, '_tag_');
 
-         // If this class, including children implementations, has a matching `_tag_<methodName>` method then the tag
-         // is marked as known and handled by this class otherwise it is marked as an unknown tag.
-         if (typeof this[methodName] === 'function')
+         // If this class, including children implementations, has a matching `_tag_<methodName>` method or the tag is
+         // registered for this doc kind then the tag is marked as known otherwise it is marked as an unknown tag.
+         if (typeof this[methodName] === 'function' || registeredTags.some((definition) =>
+          definition.name === tag.tagName))
          {
             if (!this._value.tagsKnown) { this._value.tagsKnown = []; }
 
@@ -298,85 +640,521 @@ export default class DocBase
             if (!this._value.tagsUnknown) { this._value.tagsUnknown = []; }
 
             this._value.tagsUnknown.push(tag);
+
+            this._reportUnknownTag(tag);
          }
       }
    }
 
    /**
-    * Deletes all non-function keys in this static doc including all collated data. The `_value` object is however
-    * retained and returned, but deleted along with all other local non-function keys of `this` to ensure that it goes
-    * out of scope. This for instance prevents a copy of `_value` when loading into a `DocDB` instance.
+    * Reads the code of an `@example` file resolved relative to the source file. When a region name is given only the
+    * lines between the matching `#region` / `#endregion` markers are included. Any region markers are removed and the
+    * code is dedented. Missing files or regions are reported as invalid code.
     *
-    * @returns {{}}
+    * @param {Tag}      tag - The example tag.
+    *
+    * @param {string}   filePath - The example file path relative to the source file.
+    *
+    * @param {string}   [region] - An optional region name.
+    *
+    * @returns {object|null} The example `code` and `file` data or null if the file or region is not found.
+    * @private
     */
-   static reset()
+   static _readExampleFile(tag, filePath, region = void 0)
    {
-      const value = this._value;
+      const absolutePath = this._pathResolver.resolveAbsolutePath(filePath);
 
-      // Delete all local keys that are not a function.
-      for (const key of Object.keys(this))
-      {
-         if (typeof this[key] !== 'function') { delete this[key]; }
-      }
+      const lines = this._eventbus.triggerSync('tjsdoc:system:file:lines:get', absolutePath);
 
-      return value;
-   }
+      if (!lines)
+      {
+         this._addInvalidTag(tag, `@example file not found: ${filePath}`);
 
-   /**
-    * resolve long name.
-    * if the name relates import path, consider import path.
-    * @param {string} name - identifier name.
-    * @returns {string} resolved name.
-    * @private
-    */
-   static _resolveLongname(name)
-   {
-      const importPath = this._eventbus.triggerSync('tjsdoc:system:ast:path:import:declaration:find', this._ast, name);
+         return null;
+      }
 
-      if (!importPath) { return name; }
+      let start = 0;
+      let end = lines.length;
 
-      if (importPath.charAt(0) === '.' || importPath.charAt(0) === '/')
+      if (region)
       {
-         let resolvedPath;
-
-         // Attempt to guess extension type and verify that it exists.
-         if (!path.extname(importPath))
+         start = lines.findIndex((line) =>
          {
-            // By default append `.js` to import path, but this is only used if none of the supported path extensions
-            // resolve below.
-            resolvedPath = this._pathResolver.resolve(`${importPath}.js`);
+            const match = line.match(s_REGION_START_REGEX);
 
-            for (const extension of this._pathExtensions)
-            {
-               // Must test full path then resolve relative path.
-               const testPath = this._pathResolver.resolveAbsolutePath(`${importPath}${extension}`);
+            return match && match[1] === region;
+         });
 
-               if (fs.existsSync(testPath))
-               {
-                  resolvedPath = this._pathResolver.resolve(`${importPath}${extension}`);
+         if (start === -1)
+         {
+            this._addInvalidTag(tag, `@example region not found: ${filePath}#${region}`);
 
-                  break;
-               }
-            }
+            return null;
          }
-         else
+
+         start++;
+
+         // Find the matching end marker accounting for nested regions.
+         let depth = 1;
+
+         for (end = start; end < lines.length; end++)
          {
-            resolvedPath = this._pathResolver.resolve(importPath);
+            if (s_REGION_START_REGEX.test(lines[end])) { depth++; }
+            if (s_REGION_END_REGEX.test(lines[end]) && --depth === 0) { break; }
          }
-
-         return `${resolvedPath}~${name}`; // longname
       }
-      else
+
+      const codeLines = [];
+
+      let line = start + 1;
+
+      for (let cntr = start; cntr < end; cntr++)
       {
-         return `${importPath}~${name}`; // longname
-      }
-   }
+         if (s_REGION_START_REGEX.test(lines[cntr]) || s_REGION_END_REGEX.test(lines[cntr])) { continue; }
 
-   /**
+         // Skip leading empty lines.
+         if (codeLines.length === 0 && lines[cntr].trim() === '') { continue; }
+
+         // Track the line number of the first code line.
+         if (codeLines.length === 0) { line = cntr + 1; }
+
+         codeLines.push(lines[cntr]);
+      }
+
+      while (codeLines.length && codeLines[codeLines.length - 1].trim() === '') { codeLines.pop(); }
+
+      const indent = Math.min(...codeLines.filter((codeLine) => codeLine.trim() !== '').map((codeLine) =>
+       codeLine.match(/^[\t ]*/)[0].length));
+
+      const code = codeLines.map((codeLine) => codeLine.substring(Number.isFinite(indent) ? indent : 0)).join('\n');
+
+      return { code, file: { filePath: this._pathResolver.resolve(filePath), region: region || null, line } };
+   }
+
+   /**
+    * Reconciles the documented params with the actual params of a function, method or constructor signature. For docs
+    * with a signature `_$param` invokes this method after the documented params are parsed with the params guessed via
+    * `tjsdoc:system:parser:param:guess` from the params returned by `_getSignatureParams`.
+    *
+    * When any params are documented a warning is logged for documented params missing from the signature, params of
+    * the signature that are undocumented, documented params in a different order than the signature and documented
+    * optional / default values that disagree with the signature.
+    *
+    * `params` is replaced by a merged list in signature order. Documented params are supplemented by the guessed type
+    * and default value when not documented and have `source` set to `documented`. Undocumented params have `source` set
+    * to `guessed`. Documented params missing from the signature are retained at the end of the list.
+    *
+    * @param {ParsedParam[]}  guessedParams - The params guessed from the function signature.
+    *
+    * @protected
+    */
+   static _reconcileParams(guessedParams)
+   {
+      if (!Array.isArray(guessedParams)) { return; }
+
+      const documented = this._value.params;
+
+      if (!Array.isArray(documented))
+      {
+         this._value.params = guessedParams.map((param) => Object.assign({}, param, { source: 'guessed' }));
+         this._value.paramTree = s_BUILD_PARAM_TREE(this._value.params).tree;
+
+         return;
+      }
+
+      const paramTags = this._paramTags || [];
+
+      // Indexes of the documented params that are not child params; IE `options` and not `options.name`.
+      const topIndexes = documented.map((param, index) => index).filter((index) =>
+       documented[index].name.indexOf('.') <= 0);
+
+      const matches = guessedParams.map((guessed) => topIndexes.find((index) =>
+       s_PARAM_NAME(documented[index].name) === s_PARAM_NAME(guessed.name)));
+
+      // Destructured params have a generated name so are matched by position instead.
+      guessedParams.forEach((guessed, position) =>
+      {
+         const index = topIndexes[position];
+
+         if (matches[position] === void 0 && index !== void 0 && !matches.includes(index) &&
+          s_PATTERN_NAME_REGEX.test(guessed.name))
+         {
+            matches[position] = index;
+         }
+      });
+
+      for (const index of topIndexes)
+      {
+         if (!matches.includes(index))
+         {
+            this._eventbus.trigger('log:warn', `@param '${documented[index].name}' is not in the signature: ${
+             this._getTagLocation(paramTags[index])}`);
+         }
+      }
+
+      guessedParams.forEach((guessed, position) =>
+      {
+         const index = matches[position];
+
+         if (index === void 0)
+         {
+            this._eventbus.trigger('log:warn', `param '${guessed.name}' is not documented: ${this._getTagLocation()}`);
+
+            return;
+         }
+
+         const param = documented[index];
+         const location = this._getTagLocation(paramTags[index]);
+
+         // Rest params are implicitly optional.
+         if (param.spread || guessed.spread) { return; }
+
+         const hasDefault = guessed.optional || guessed.defaultValue !== void 0;
+
+         let message;
+
+         if (param.optional && !hasDefault)
+         {
+            message = 'is documented as optional, but has no default value in the signature';
+         }
+         else if (!param.optional && hasDefault)
+         {
+            message = 'is not documented as optional, but has a default value in the signature';
+         }
+         else if (param.defaultValue !== void 0 && guessed.defaultValue !== void 0 && !s_DEFAULTS_EQUAL(param, guessed))
+         {
+            message = `default value '${param.defaultValue}' does not match the signature '${guessed.defaultValue}'`;
+         }
+
+         if (message) { this._eventbus.trigger('log:warn', `@param '${param.name}' ${message}: ${location}`); }
+      });
+
+      const matchedIndexes = matches.filter((index) => index !== void 0);
+
+      if (matchedIndexes.some((index, position) => position > 0 && index < matchedIndexes[position - 1]))
+      {
+         const signature = guessedParams.map((guessed) => guessed.name).join(', ');
+
+         this._eventbus.trigger('log:warn', `@param order does not match the signature (${signature}): ${
+          this._getTagLocation(paramTags[topIndexes[0]])}`);
+      }
+
+      // Merge documented and guessed params.
+      const merged = [];
+      const emitted = [];
+
+      const addDocumented = (index, guessed) =>
+      {
+         const param = Object.assign({}, documented[index], { source: 'documented' });
+
+         if (guessed)
+         {
+            if (param.types.length === 1 && param.types[0] === '*' && Array.isArray(guessed.types) &&
+             !(guessed.types.length === 1 && guessed.types[0] === '*'))
+            {
+               param.types = guessed.types.slice();
+
+               try
+               {
+                  param.typeAST = this._eventbus.triggerSync('tjsdoc:system:parser:type:parse', param.types.join('|'));
+               }
+               catch (err)
+               {
+                  param.typeAST = null;
+               }
+            }
+
+            if (param.defaultValue === void 0 && guessed.defaultValue !== void 0)
+            {
+               for (const key of ['defaultValue', 'defaultRaw', 'defaultType'])
+               {
+                  if (key in guessed) { param[key] = guessed[key]; }
+               }
+            }
+         }
+
+         merged.push(param);
+         emitted.push(index);
+
+         // Child params directly follow the parent param.
+         const name = documented[index].name;
+
+         documented.forEach((child, childIndex) =>
+         {
+            if (!emitted.includes(childIndex) && (child.name.startsWith(`${name}.`) ||
+             child.name.startsWith(`${name}[].`)))
+            {
+               merged.push(Object.assign({}, child, { source: 'documented' }));
+               emitted.push(childIndex);
+            }
+         });
+      };
+
+      guessedParams.forEach((guessed, position) =>
+      {
+         if (matches[position] !== void 0)
+         {
+            addDocumented(matches[position], guessed);
+         }
+         else
+         {
+            merged.push(Object.assign({}, guessed, { source: 'guessed' }));
+         }
+      });
+
+      documented.forEach((param, index) => { if (!emitted.includes(index)) { addDocumented(index); } });
+
+      this._value.params = merged;
+      this._value.paramTree = s_BUILD_PARAM_TREE(merged).tree;
+   }
+
+   /**
+    * Reports an unknown tag including the file location and a suggestion of the closest known tag for this class
+    * hierarchy. The target project TJSDocConfig `unknownTags` determines how unknown tags are reported: `warning`
+    * (default) logs a warning, `error` adds the tag as invalid code and `ignore` skips reporting. Internal tags
+    * starting with `@_` such as `@_undocument` are added by TJSDoc itself and never reported.
+    *
+    * @param {Tag}   tag - The unknown comment tag.
+    *
+    * @private
+    */
+   static _reportUnknownTag(tag)
+   {
+      if (tag.tagName.startsWith('@_')) { return; }
+
+      const level = this._eventbus.triggerSync('tjsdoc:data:config:main:get').unknownTags;
+
+      if (level === 'ignore') { return; }
+
+      const knownTags = s_GET_DYNAMIC_INVOKE_METHODS(this, '_tag_').map((methodName) =>
+       methodName.replace(/^_tag_/, '@')).concat(this._getRegisteredTags().map((definition) => definition.name));
+
+      const suggestion = s_FIND_CLOSEST_TAG(tag.tagName, knownTags);
+
+      const message = `unknown tag ${tag.tagName}${suggestion ? ` (did you mean ${suggestion}?)` : ''}`;
+
+      if (level === 'error')
+      {
+         this._addInvalidTag(tag, message);
+      }
+      else
+      {
+         this._eventbus.trigger('log:warn', `${message}: ${this._getTagLocation(tag)}`);
+      }
+   }
+
+   /**
+    * Deletes all non-function keys in this doc context including all collated data. The `_value` object is however
+    * retained and returned, but deleted along with all other local non-function keys of `this` to ensure that it goes
+    * out of scope. This for instance prevents a copy of `_value` when loading into a `DocDB` instance.
+    *
+    * @returns {{}}
+    */
+   static reset()
+   {
+      const value = this._value;
+
+      // Delete all local keys that are not a function.
+      for (const key of Object.keys(this))
+      {
+         if (typeof this[key] !== 'function') { delete this[key]; }
+      }
+
+      return value;
+   }
+
+   /**
+    * resolve long name.
+    * if the name relates import path, consider import path.
+    *
+    * Aliased imports, namespace imports; IE `ns.Foo` and re-exports are followed to the defining declaration via
+    * `tjsdoc:system:module:binding:find`. Otherwise the import path is resolved to the imported file via
+    * `tjsdoc:system:module:resolve` which handles index files, package exports, self references and path aliases.
+    * Modules resolving outside of the project or to third party packages in `node_modules` keep the import path.
+    * CommonJS `require` bindings are resolved the same way as imports.
+    *
+    * @param {string} name - identifier name.
+    * @returns {string} resolved name.
+    * @private
+    */
+   static _resolveLongname(name)
+   {
+      const binding = this._findImportBinding(name);
+
+      if (!binding) { return name; }
+
+      const importPath = binding.importPath;
+
+      const definition = this._eventbus.triggerSync('tjsdoc:system:module:binding:find',
+       this._pathResolver.absolutePath, name, this._ast);
+
+      if (definition && definition.name)
+      {
+         const filePath = this._getModuleFilePath(definition.filePath);
+
+         if (filePath) { return `${filePath}~${definition.name}`; } // longname
+      }
+
+      const modulePath = this._eventbus.triggerSync('tjsdoc:system:module:resolve', importPath,
+       this._pathResolver.absolutePath);
+
+      const moduleFilePath = modulePath ? this._getModuleFilePath(modulePath) : null;
+
+      if (moduleFilePath) { return `${moduleFilePath}~${binding.name}`; } // longname
+
+      if (importPath.charAt(0) === '.' || importPath.charAt(0) === '/')
+      {
+         let resolvedPath;
+
+         // Attempt to guess extension type and verify that it exists.
+         if (!path.extname(importPath))
+         {
+            // By default append `.js` to import path, but this is only used if none of the supported path extensions
+            // resolve below.
+            resolvedPath = this._pathResolver.resolve(`${importPath}.js`);
+
+            for (const extension of this._pathExtensions)
+            {
+               // Must test full path then resolve relative path.
+               const testPath = this._pathResolver.resolveAbsolutePath(`${importPath}${extension}`);
+
+               if (this._eventbus.triggerSync('tjsdoc:system:file:exists', testPath))
+               {
+                  resolvedPath = this._pathResolver.resolve(`${importPath}${extension}`);
+
+                  break;
+               }
+            }
+         }
+         else
+         {
+            resolvedPath = this._pathResolver.resolve(importPath);
+         }
+
+         return `${resolvedPath}~${binding.name}`; // longname
+      }
+      else
+      {
+         return `${importPath}~${binding.name}`; // longname
+      }
+   }
+
+   /**
+    * Returns the import aware longname of a reference target such as `Foo` or `Foo#bar` when the first name segment
+    * is imported in the source file. Targets including `~` are already module qualified and are not resolved.
+    *
+    * @param {string}   target - A reference target.
+    *
+    * @returns {string|null} The import aware longname or null when the target is not imported.
+    * @private
+    */
+   static _resolveImportName(target)
+   {
+      // Only the first name segment may be imported; IE `Foo` of `Foo#bar`.
+      const rootName = target.split(/[.#~]/)[0];
+
+      if (!rootName || target.includes('~')) { return null; }
+
+      const importName = this._resolveLongname(rootName);
+
+      return importName !== rootName ? `${importName}${target.substring(rootName.length)}` : null;
+   }
+
+   /**
     * The following methods provide the @xxx tags / annotations supported in DocBase. Adding methods makes it easy
     * to detect any unknown tags when a method is missing. Child classes may also add the tags that they support.
     */
 
+   /**
+    * Validates the syntax of an example. JavaScript, JSX and TypeScript like examples are parsed by the active AST
+    * parser via `tjsdoc:system:parser:code:source:parse` and `json` examples are parsed with `JSON.parse`. Syntax
+    * errors are stored as `syntaxError` in the example and added as invalid code with the absolute line in the source
+    * or example file.
+    *
+    * @param {object}   example - The example data.
+    *
+    * @param {Tag}      tag - The example tag.
+    *
+    * @param {string}   filePath - The absolute file path containing the example code.
+    *
+    * @param {number}   [startLine] - The line number of the first code line in the file when available.
+    *
+    * @private
+    */
+   static _validateExample(example, tag, filePath, startLine = void 0)
+   {
+      if (typeof example.code !== 'string') { return; }
+
+      const language = example.language.toLowerCase();
+
+      let error;
+
+      try
+      {
+         if (language === 'json')
+         {
+            JSON.parse(example.code);
+         }
+         else if (s_SYNTAX_LANGUAGES.includes(language))
+         {
+            this._eventbus.triggerSync('tjsdoc:system:parser:code:source:parse', example.code);
+         }
+         else
+         {
+            return;
+         }
+      }
+      catch (err)
+      {
+         error = err;
+      }
+
+      if (!error) { return; }
+
+      const message = typeof error.message === 'string' ? error.message : String(error);
+      const errorLoc = s_GET_SYNTAX_ERROR_LOCATION(error, example.code);
+
+      const line = typeof startLine === 'number' ? startLine + errorLoc.line - 1 : null;
+
+      example.syntaxError = { message, line };
+
+      const loc = line !== null ? { start: { line, column: 0 }, end: { line, column: 0 } } : tag.valueLoc || tag.loc;
+
+      this._eventbus.trigger('tjsdoc:system:invalid:code:add',
+       { filePath, node: this._node, message: `@example syntax error: ${message}`, loc });
+   }
+
+   /**
+    * Verifies a JavaScript example via `tjsdoc:system:example:verify` storing the result as `verified` and `error` in
+    * the example. Examples in other languages are not verified. A warning is logged for failed examples.
+    *
+    * @param {object}   example - The example data.
+    *
+    * @param {Tag}      tag - The example tag.
+    *
+    * @param {string}   filePath - The absolute file path that relative imports of the example are resolved against.
+    *
+    * @private
+    */
+   static _verifyExample(example, tag, filePath)
+   {
+      if (!s_VERIFY_LANGUAGES.includes(example.language) || typeof example.code !== 'string') { return; }
+
+      const result = this._eventbus.triggerSync('tjsdoc:system:example:verify', example.code,
+       { filePath, importPath: this._pathResolver.importPath, modulePath: this._pathResolver.absolutePath });
+
+      if (typeof result !== 'object' || result === null) { return; }
+
+      example.verified = result.verified;
+      example.error = result.error;
+
+      if (!result.verified)
+      {
+         this._eventbus.trigger('log:warn', `@example verification failed - ${result.error}: ${
+          this._getTagLocation(tag)}`);
+      }
+   }
+
    /** @ignore */ static _tag_abstract() {}
    /** @ignore */ static _tag_access() {}
    /** @ignore */ static _tag_deprecated() {}
@@ -465,6 +1243,12 @@ export default class DocBase
 
    /**
     * decide `deprecated`.
+    *
+    * The tag value is also parsed into `deprecatedInfo` describing the version deprecated `since`, the planned
+    * `removal` version, the `replacement` name from a `{@link}` or `use <name> instead` and any remaining text as the
+    * `reason`; IE `@deprecated since 1.2.0, will be removed in 2.0.0. Use {@link Foo#bar} instead.` Like `@see` the
+    * import aware longname of an imported replacement is stored as `importName`. The replacement is resolved to
+    * `replacementLongname` by `CoreDocResolver`.
     */
    static _$deprecated()
    {
@@ -480,6 +1264,13 @@ export default class DocBase
          {
             this._value.deprecated = true;
          }
+
+         this._value.deprecatedInfo = s_PARSE_STATUS_TAG(tag);
+
+         const importName = this._value.deprecatedInfo.replacement ?
+          this._resolveImportName(this._value.deprecatedInfo.replacement) : null;
+
+         if (importName) { this._value.deprecatedInfo.importName = importName; }
       }
    }
 
@@ -514,20 +1305,37 @@ export default class DocBase
    /**
     * decide `examples`.
     *
+    * Instead of inline code an example may reference a file relative to the source file; IE
+    * `@example {javascript, Caption} file:../examples/basic.js#region-name`. The optional region name limits the code
+    * to the lines between `// #region region-name` and `// #endregion` markers. When no language is given it is
+    * determined from the file extension. Examples loaded from a file store the project relative file path, region and
+    * the line number of the first code line as `file`.
+    *
+    * When the target project TJSDocConfig `verifyExamples` is true JavaScript examples are run and the result is stored
+    * as `verified` and `error`; see `_verifyExample`. An example opts out of verification by including `[no-verify]`
+    * in the caption; IE `@example {javascript, Caption [no-verify]}`.
+    *
+    * When the target project TJSDocConfig `validateExamples` is true the syntax of examples is checked instead of or
+    * before verification; see `_validateExample`.
+    *
     * @param {string} [defaultLanguage='javascript'] - An optional language for highlighting code - see highlight.js
     */
    static _$example(defaultLanguage = 'javascript')
    {
-      const tags = this._findAllTagValues(['@example']);
+      const tags = this._findAll(['@example']);
 
       if (!tags) { return; }
-      if (!tags.length) { return; }
+
+      const config = this._eventbus.triggerSync('tjsdoc:data:config:main:get');
+
+      const validate = !!config.validateExamples;
+      const verify = !!config.verifyExamples;
 
       this._value.examples = [];
 
       for (const tag of tags)
       {
-         const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:parse', tag,
+         const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:parse', tag.tagValue,
           { type: true, name: false, desc: true });
 
          // Assign default language if the type is missing and is `*`.
@@ -553,12 +1361,72 @@ export default class DocBase
             language = type;
          }
 
-         this._value.examples.push({ language, code: result.description, caption });
+         // A caption may include a flag to skip verification.
+         let noVerify = false;
+
+         if (caption && s_EXAMPLE_NO_VERIFY_REGEX.test(caption))
+         {
+            noVerify = true;
+            caption = caption.replace(s_EXAMPLE_NO_VERIFY_REGEX, '').trim();
+
+            if (caption === '') { caption = void 0; }
+         }
+
+         const fileMatch = typeof result.description === 'string' ?
+          result.description.trim().match(s_EXAMPLE_FILE_REGEX) : null;
+
+         let example, exampleFilePath, startLine;
+
+         if (fileMatch)
+         {
+            const fileData = this._readExampleFile(tag, fileMatch[1], fileMatch[2]);
+
+            if (!fileData) { continue; }
+
+            // Determine the language from the file extension when not explicitly defined.
+            if (result.types[0] === '*' || language.trim() === '')
+            {
+               const extension = path.extname(fileMatch[1]).substring(1).toLowerCase();
+
+               language = s_EXAMPLE_LANGUAGES[extension] || extension || defaultLanguage;
+            }
+
+            example = { language, code: fileData.code, caption, file: fileData.file };
+
+            exampleFilePath = this._pathResolver.resolveAbsolutePath(fileMatch[1]);
+            startLine = fileData.file.line;
+         }
+         else
+         {
+            example = { language, code: result.description, caption };
+
+            exampleFilePath = this._pathResolver.absolutePath;
+
+            // Determine the line of the code in the source file from the tag value location.
+            if (tag.valueLoc && typeof result.description === 'string')
+            {
+               const codeIndex = tag.tagValue.indexOf(result.description);
+
+               startLine = tag.valueLoc.start.line + (codeIndex > 0 ?
+                tag.tagValue.substring(0, codeIndex).split('\n').length - 1 : 0);
+            }
+         }
+
+         if (validate) { this._validateExample(example, tag, exampleFilePath, startLine); }
+
+         if (verify && !noVerify && !example.syntaxError) { this._verifyExample(example, tag, exampleFilePath); }
+
+         this._value.examples.push(example);
       }
+
+      if (!this._value.examples.length) { delete this._value.examples; }
    }
 
    /**
     * decide `experimental`.
+    *
+    * Like `@deprecated` the tag value is also parsed into `experimentalInfo` with `since`, `removal`, `replacement` and
+    * `reason` fields.
     */
    static _$experimental()
    {
@@ -574,6 +1442,13 @@ export default class DocBase
          {
             this._value.experimental = true;
          }
+
+         this._value.experimentalInfo = s_PARSE_STATUS_TAG(tag);
+
+         const importName = this._value.experimentalInfo.replacement ?
+          this._resolveImportName(this._value.experimentalInfo.replacement) : null;
+
+         if (importName) { this._value.experimentalInfo.importName = importName; }
       }
    }
 
@@ -651,29 +1526,26 @@ export default class DocBase
 
    /**
     * decide `param`.
+    *
+    * In addition to the flat `params` list `paramTree` nests child params in the `children` of the parent param given
+    * dotted param names; IE `options.name` or with array element notation `options.items[].id`. Each tree node also
+    * stores the last name segment as `key` and `element` is true for properties of array elements. A warning is logged
+    * for any child param without a declared parent which is then added to the root of the tree.
+    *
+    * For docs with a function signature; see `_hasSignature` the documented params are reconciled with the params
+    * guessed via `tjsdoc:system:parser:param:guess` from the params returned by `_getSignatureParams`.
     */
    static _$param()
    {
-      const values = this._findAllTagValues(['@param']);
-
-      if (!values) { return; }
-
-      this._value.params = [];
+      const tags = this._findAll(['@param']);
 
-      for (const value of values)
-      {
-         const result = this._eventbus.triggerSync('tjsdoc:system:parser:param:value:parse', value);
+      if (tags) { this._parseParamTags(tags); }
 
-         if (!result.typeText || !result.paramName)
-         {
-            this._eventbus.trigger('tjsdoc:system:invalid:code:add',
-             { filePath: this._pathResolver.absolutePath, node: this._node });
+      if (!this._hasSignature()) { return; }
 
-            continue;
-         }
+      const params = this._getSignatureParams();
 
-         this._value.params.push(this._eventbus.triggerSync('tjsdoc:system:parser:param:from:value:parse', result));
-      }
+      if (params) { this._reconcileParams(this._eventbus.triggerSync('tjsdoc:system:parser:param:guess', params)); }
    }
 
    /**
@@ -708,24 +1580,40 @@ export default class DocBase
 
    /**
     * decide `see`.
+    *
+    * Each tag value is also classified in `seeInfo` by `type` as `url`, `link` for a `{@link}` inline tag, `identifier`
+    * for a single longname / identifier or `text`. URL, link and identifier references store the `target` and an
+    * optional `label`. For identifiers imported in the source file the import aware longname is stored as
+    * `importName`. `CoreDocResolver` resolves link and identifier targets to `longname`.
     */
    static _$see()
    {
       const tags = this._findAll(['@see']);
 
       if (!tags) { return; }
-      if (!tags.length) { return; }
 
       this._value.see = [];
+      this._value.seeInfo = [];
 
       for (const tag of tags)
       {
          this._value.see.push(tag.tagValue);
+
+         const ref = s_PARSE_SEE_TAG(tag);
+
+         if (ref.type === 'identifier' || (ref.type === 'link' && !s_URL_REGEX.test(ref.target)))
+         {
+            const importName = this._resolveImportName(ref.target);
+
+            if (importName) { ref.importName = importName; }
+         }
+
+         this._value.seeInfo.push(ref);
       }
    }
 
    /**
-    * decide `since`.
+    * decide `since`. The version is validated and normalized by `_normalizeVersionTag`.
     */
    static _$since()
    {
@@ -733,7 +1621,7 @@ export default class DocBase
 
       if (tag)
       {
-         this._value.since = tag.tagValue;
+         this._value.since = this._normalizeVersionTag(tag);
       }
    }
 
@@ -802,7 +1690,7 @@ export default class DocBase
    }
 
    /**
-    * decide `version`.
+    * decide `version`. The version is validated and normalized by `_normalizeVersionTag`.
     */
    static _$version()
    {
@@ -810,21 +1698,127 @@ export default class DocBase
 
       if (tag)
       {
-         this._value.version = tag.tagValue;
+         this._value.version = this._normalizeVersionTag(tag);
       }
    }
 }
 
 /**
- * Walks an objects inheritance tree collecting property names that are methods and start with `_$` indicating that
- * they are a dynamic invoke method which parses or processes tag values.
+ * Builds a tree of params from dotted param names attaching child params to the `children` of the parent param.
+ *
+ * @param {ParsedParam[]}  params - The flat list of params.
+ *
+ * @returns {{tree: Object[], orphans: number[]}} The param tree and the indexes of any child params without a parent.
+ * @ignore
+ */
+const s_BUILD_PARAM_TREE = (params) =>
+{
+   const tree = [];
+   const orphans = [];
+   const nodes = new Map();
+
+   params.forEach((param, index) =>
+   {
+      const name = param.name;
+      const dotIndex = name.lastIndexOf('.');
+
+      if (dotIndex <= 0)
+      {
+         const node = Object.assign({}, param, { key: name, element: false, children: [] });
+
+         nodes.set(name, node);
+         tree.push(node);
+         return;
+      }
+
+      let parentName = name.substring(0, dotIndex);
+
+      const element = parentName.endsWith('[]');
+
+      if (element) { parentName = parentName.substring(0, parentName.length - 2); }
+
+      const node = Object.assign({}, param, { key: name.substring(dotIndex + 1), element, children: [] });
+
+      nodes.set(name, node);
+
+      if (nodes.has(parentName))
+      {
+         nodes.get(parentName).children.push(node);
+      }
+      else
+      {
+         tree.push(node);
+         orphans.push(index);
+      }
+   });
+
+   return { tree, orphans };
+};
+
+/**
+ * Returns the param AST nodes of a function signature; IE of `function foo(a) {}`, `class A { foo(a) {} }`,
+ * `const foo = (a) => {}` or `exports.foo = function(a) {}`.
+ *
+ * @param {ASTNode}  node - An AST node.
+ *
+ * @returns {ASTNode[]|null}
+ * @ignore
+ */
+const s_GET_SIGNATURE_PARAMS = (node) =>
+{
+   if (typeof node !== 'object' || node === null) { return null; }
+
+   if (Array.isArray(node.params)) { return node.params; }
+
+   // ESTree method definitions store the function in `value`.
+   if (node.value && Array.isArray(node.value.params)) { return node.value.params; }
+
+   if (Array.isArray(node.declarations) && node.declarations.length === 1)
+   {
+      return s_GET_SIGNATURE_PARAMS(node.declarations[0].init);
+   }
+
+   if (node.type === 'ExpressionStatement') { return s_GET_SIGNATURE_PARAMS(node.expression); }
+
+   if (node.type === 'AssignmentExpression') { return s_GET_SIGNATURE_PARAMS(node.right); }
+
+   return null;
+};
+
+/**
+ * Determines if a documented and guessed param default value are equivalent comparing the evaluated values then the
+ * source text ignoring whitespace.
+ *
+ * @param {ParsedParam}  documented - A documented param.
+ *
+ * @param {ParsedParam}  guessed - A guessed param.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_DEFAULTS_EQUAL = (documented, guessed) =>
+{
+   if (typeof documented.defaultRaw !== 'string' && typeof guessed.defaultRaw !== 'string' &&
+    JSON.stringify(documented.defaultRaw) === JSON.stringify(guessed.defaultRaw))
+   {
+      return true;
+   }
+
+   return `${documented.defaultValue}`.replace(/\s+/g, '') === `${guessed.defaultValue}`.replace(/\s+/g, '');
+};
+
+/**
+ * Walks an objects inheritance tree collecting property names that are methods and start with the given prefix. By
+ * default the prefix is `_$` indicating a dynamic invoke method which parses or processes tag values.
  *
  * @param {object}   obj - object to walks.
  *
+ * @param {string}   [prefix='_$'] - The method name prefix.
+ *
  * @returns {Array<string>}
  * @ignore
  */
-const s_GET_DYNAMIC_INVOKE_METHODS = (obj) =>
+const s_GET_DYNAMIC_INVOKE_METHODS = (obj, prefix = '_$') =>
 {
    const props = [];
    const target = obj;
@@ -834,7 +1828,7 @@ const s_GET_DYNAMIC_INVOKE_METHODS = (obj) =>
       Object.getOwnPropertyNames(obj).forEach((prop) =>
       {
          if (!props.includes(prop) && prop !== 'arguments' && prop !== 'caller' && target[prop] instanceof Function &&
-          prop.startsWith('_$'))
+          prop.startsWith(prefix))
          {
             props.push(prop);
          }
@@ -845,3 +1839,348 @@ const s_GET_DYNAMIC_INVOKE_METHODS = (obj) =>
 
    return props;
 };
+
+/**
+ * Returns the candidate tag name closest to the given tag name by edit distance counting adjacent transpositions as
+ * a single edit; IE `@retrun` -> `@return`. Only candidates within a small distance relative to the tag name length
+ * are considered.
+ *
+ * @param {string}   tagName - The unknown tag name.
+ *
+ * @param {string[]} candidates - The known tag names.
+ *
+ * @returns {string|null} The closest known tag name or null if there is no close match.
+ * @ignore
+ */
+const s_FIND_CLOSEST_TAG = (tagName, candidates) =>
+{
+   const source = tagName.toLowerCase();
+   const maxDistance = Math.min(2, Math.floor((source.length - 1) / 2));
+
+   let closest = null;
+   let closestDistance = maxDistance + 1;
+
+   for (const candidate of candidates)
+   {
+      const target = candidate.toLowerCase();
+
+      if (Math.abs(target.length - source.length) > maxDistance) { continue; }
+
+      const rows = [];
+
+      for (let i = 0; i <= source.length; i++)
+      {
+         rows[i] = [i];
+
+         for (let j = 1; j <= target.length; j++)
+         {
+            if (i === 0)
+            {
+               rows[i][j] = j;
+               continue;
+            }
+
+            const cost = source[i - 1] === target[j - 1] ? 0 : 1;
+
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+
+            if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1])
+            {
+               rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+         }
+      }
+
+      const distance = rows[source.length][target.length];
+
+      if (distance < closestDistance)
+      {
+         closest = candidate;
+         closestDistance = distance;
+      }
+   }
+
+   return closest;
+};
+
+/**
+ * Classifies the value of a `@see` tag as a `url`, `link`, `identifier` or `text` reference.
+ *
+ * @param {Tag}   tag - A `@see` tag.
+ *
+ * @returns {object} The reference `type` and `value` along with the `target` and `label` for URL, link and identifier
+ *                   references.
+ * @ignore
+ */
+const s_PARSE_SEE_TAG = (tag) =>
+{
+   const value = (tag.tagValue || '').trim();
+
+   const link = Array.isArray(tag.inlineTags) ? tag.inlineTags.find((inlineTag) =>
+    inlineTag.kind.startsWith('link') && inlineTag.target) : void 0;
+
+   // A value consisting of a `{@link}` and any trailing text.
+   if (link && value.startsWith(link.raw))
+   {
+      const rest = value.substring(link.raw.length).trim();
+
+      return { type: 'link', value, target: link.target.replace(/\(\)$/, ''), label: link.label || rest || null };
+   }
+
+   const urlMatch = value.match(/^(\S+)(?:\s+(.*))?$/);
+
+   if (urlMatch && s_URL_REGEX.test(urlMatch[1]))
+   {
+      return { type: 'url', value, target: urlMatch[1], label: urlMatch[2] ? urlMatch[2].trim() : null };
+   }
+
+   if (s_IDENTIFIER_REGEX.test(value))
+   {
+      return { type: 'identifier', value, target: value.replace(/\(\)$/, ''), label: null };
+   }
+
+   return { type: 'text', value };
+};
+
+/**
+ * Parses the value of a status tag such as `@deprecated` or `@experimental` into structured data.
+ *
+ * @param {Tag}   tag - The status tag.
+ *
+ * @returns {object} The `since`, `removal`, `replacement` and `reason` fields which are null when not present.
+ * @ignore
+ */
+const s_PARSE_STATUS_TAG = (tag) =>
+{
+   const result = { since: null, removal: null, replacement: null, reason: null };
+
+   let text = tag.tagValue || '';
+
+   const remove = (regex, key) =>
+   {
+      const match = text.match(regex);
+
+      if (!match) { return; }
+
+      result[key] = match[1].replace(/\(\)$/, '');
+      text = text.replace(match[0], ' ');
+   };
+
+   // Prefer a `{@link}` inline tag as the replacement target.
+   const link = Array.isArray(tag.inlineTags) ? tag.inlineTags.find((inlineTag) =>
+    inlineTag.kind.startsWith('link') && inlineTag.target) : void 0;
+
+   if (link)
+   {
+      result.replacement = link.target.replace(/\(\)$/, '');
+      text = text.replace(new RegExp(`(?:\\b(?:use|see|replaced (?:by|with))\\s+)?${s_ESCAPE_REGEX(link.raw)
+       }(?:\\s+instead)?`, 'i'), ' ');
+   }
+   else
+   {
+      remove(s_STATUS_REPLACEMENT_REGEX, 'replacement');
+   }
+
+   remove(s_STATUS_REMOVAL_REGEX, 'removal');
+   remove(s_STATUS_SINCE_REGEX, 'since');
+
+   if (!result.since) { remove(s_STATUS_LEADING_VERSION_REGEX, 'since'); }
+
+   // The remaining text without orphaned punctuation is the reason.
+   const reason = text.replace(/\s+/g, ' ').replace(/\s+([,.;:])/g, '$1').replace(/([,.;:])(?:\s*[,.;:])+/g, '$1')
+    .replace(/^[\s,.;:-]+|[\s,;:-]+$/g, '');
+
+   result.reason = reason !== '' ? reason : null;
+
+   return result;
+};
+
+/**
+ * Escapes all special regular expression characters in a string.
+ *
+ * @param {string}   text - The text to escape.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_ESCAPE_REGEX = (text) => text.replace(/[-[\]/{}()*+?.\\^$|]/g, '\\$&');
+
+/**
+ * Matches a version at the start of a status tag value; IE `@deprecated 1.2.0`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_STATUS_LEADING_VERSION_REGEX = /^\s*v?(\d+(?:\.\d+){1,2}(?:-[\w.]+)?)\b/i;
+
+/**
+ * Matches the planned removal version of a status tag value; IE `will be removed in 2.0.0`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_STATUS_REMOVAL_REGEX =
+ /(?:\b(?:will|to) be |\bscheduled for )?\b(?:removed|removal)(?:\s+(?:in|at|by))?\s+v?(\d+(?:\.\d+)*(?:-[\w.]+)?)/i;
+
+/**
+ * Matches a replacement name of a status tag value; IE `use Foo#bar instead`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_STATUS_REPLACEMENT_REGEX =
+ /\b(?:use|replaced (?:by|with))\s+`?([\w$#~/:@-]+(?:\.[\w$#~/:@-]+)*(?:\(\))?)`?(?:\s+instead)?/i;
+
+/**
+ * Matches the version of a status tag value; IE `since 1.2.0`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_STATUS_SINCE_REGEX = /\b(?:since|as of)\s+(?:version\s+)?v?(\d+(?:\.\d+)*(?:-[\w.]+)?)/i;
+
+/**
+ * Maps example file extensions to a highlight.js language.
+ * @type {Object<string, string>}
+ * @ignore
+ */
+const s_EXAMPLE_LANGUAGES =
+{
+   cjs: 'javascript',
+   htm: 'html',
+   js: 'javascript',
+   jsx: 'javascript',
+   md: 'markdown',
+   mjs: 'javascript',
+   sh: 'bash',
+   ts: 'typescript',
+   tsx: 'typescript',
+   yml: 'yaml'
+};
+
+/**
+ * Matches the caption flag of an `@example` skipping verification.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_EXAMPLE_NO_VERIFY_REGEX = /\[no-verify\]/i;
+
+/**
+ * Matches an `@example` file reference capturing the file path and optional region name; IE
+ * `file:../examples/basic.js#region-name`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_EXAMPLE_FILE_REGEX = /^file:([^\s#]+)(?:#([\w.-]+))?$/;
+
+/**
+ * Returns the 1-based line and 0-based column of a syntax error in the given code. The location is taken from `loc`
+ * (Babylon), `lineNumber` / `column`, a `(line:column)` suffix of the message or a JSON `position` in the message.
+ *
+ * @param {Error}    error - A syntax error.
+ *
+ * @param {string}   code - The parsed code.
+ *
+ * @returns {{line: number, column: number}}
+ * @ignore
+ */
+const s_GET_SYNTAX_ERROR_LOCATION = (error, code) =>
+{
+   if (error.loc && typeof error.loc.line === 'number') { return { line: error.loc.line, column: error.loc.column }; }
+
+   if (typeof error.lineNumber === 'number') { return { line: error.lineNumber, column: error.column || 0 }; }
+
+   const message = typeof error.message === 'string' ? error.message : '';
+
+   const lineMatch = message.match(/\((\d+):(\d+)\)/);
+
+   if (lineMatch) { return { line: parseInt(lineMatch[1], 10), column: parseInt(lineMatch[2], 10) }; }
+
+   const positionMatch = message.match(/position (\d+)/);
+
+   if (positionMatch)
+   {
+      const lines = code.substring(0, parseInt(positionMatch[1], 10)).split('\n');
+
+      return { line: lines.length, column: lines[lines.length - 1].length };
+   }
+
+   return { line: 1, column: 0 };
+};
+
+/**
+ * Matches a single longname or identifier; IE `Foo`, `Foo#bar()`, `#baz`, `module:foo/bar~Baz` or `src/Foo.js~Foo`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_IDENTIFIER_REGEX = /^[#~]?[\w$@/:.-]*[\w$](?:[.#~][\w$@/:.-]*[\w$])*(?:\(\))?$/;
+
+/**
+ * Returns the param name without any rest / spread prefix.
+ *
+ * @param {string}   name - A param name.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_PARAM_NAME = (name) => name.replace(/^\.\.\./, '').trim();
+
+/**
+ * Matches the generated names of guessed destructured params; IE `objectPattern` or `arrayPattern1`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_PATTERN_NAME_REGEX = /^(?:object|array)Pattern\d*$/;
+
+/**
+ * Matches a `#endregion` marker line in a line, block, HTML or hash comment.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_REGION_END_REGEX = /^\s*(?:\/\/|\/\*|<!--|#)\s*#endregion\b/;
+
+/**
+ * Matches a `#region` marker line in a line, block, HTML or hash comment capturing the region name.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_REGION_START_REGEX = /^\s*(?:\/\/|\/\*|<!--|#)\s*#region\b[\t ]*([\w.-]*)/;
+
+/**
+ * Returns a copy of the given comment tags renaming any alias tag names to the canonical tag name.
+ *
+ * @param {Tag[]}                   commentTags - The comment tags to resolve.
+ *
+ * @param {Object<string, string>}  [aliases] - The alias tag name -> canonical tag name mapping.
+ *
+ * @returns {Tag[]}
+ * @ignore
+ */
+const s_RESOLVE_TAG_ALIASES = (commentTags, aliases) =>
+{
+   if (typeof aliases !== 'object' || aliases === null) { return commentTags; }
+
+   return commentTags.map((tag) =>
+   {
+      const tagName = aliases[tag.tagName];
+
+      return tagName ? Object.assign({}, tag, { tagName, tagAlias: tag.tagName }) : tag;
+   });
+};
+
+/**
+ * Defines the example languages that are parsed by the active AST parser for syntax validation.
+ * @type {string[]}
+ * @ignore
+ */
+const s_SYNTAX_LANGUAGES = ['es6', 'flow', 'javascript', 'js', 'jsx', 'ts', 'tsx', 'typescript'];
+
+/**
+ * Defines the example languages that are verified.
+ * @type {string[]}
+ * @ignore
+ */
+const s_VERIFY_LANGUAGES = ['javascript', 'js'];
+
+/**
+ * Matches a URL.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_URL_REGEX = /^(?:(?:https?|ftp|file):\/\/|www\.)\S+$/i;
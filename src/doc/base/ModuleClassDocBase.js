@@ -1,5 +1,3 @@
-import fs            from 'fs';
-
 import ModuleDocBase from './ModuleDocBase.js';
 
 /**
@@ -18,7 +16,7 @@ import ModuleDocBase from './ModuleDocBase.js';
 export default class ModuleClassDocBase extends ModuleDocBase
 {
    /**
-    * read selection text in file.
+    * read selection text in file. The file lines are read via the shared source file cache.
     *
     * @param {string} filePath - target file full path.
     * @param {number} line - line number (one origin).
@@ -29,9 +27,8 @@ export default class ModuleClassDocBase extends ModuleDocBase
     */
    static _readSelection(filePath, line, startColumn, endColumn)
    {
-      const code = fs.readFileSync(filePath).toString();
-      const lines = code.split('\n');
-      const selectionLine = lines[line - 1];
+      const lines = this._eventbus.triggerSync('tjsdoc:system:file:lines:get', filePath) || [];
+      const selectionLine = lines[line - 1] || '';
       const tmp = [];
 
       for (let i = startColumn; i < endColumn; i++)
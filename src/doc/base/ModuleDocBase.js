@@ -7,10 +7,21 @@ export default class ModuleDocBase extends DocBase
 {
    /**
     * decide `export`.
+    *
+    * Declarations without an ES module export are exported when assigned to `module.exports` or `exports.x`.
     */
    static _$export()
    {
       this._value.export = this._eventbus.triggerSync('tjsdoc:system:ast:parent:export:find', this._node);
+
+      if (this._value.export) { return; }
+
+      this._ensureApplied('_$name');
+
+      const exportNames = this._eventbus.triggerSync('tjsdoc:system:ast:commonjs:export:names:find', this._ast,
+       this._value.name);
+
+      if (Array.isArray(exportNames) && exportNames.length) { this._value.export = true; }
    }
 
    /**
@@ -24,6 +35,9 @@ export default class ModuleDocBase extends DocBase
    /**
     * Decide `importStyle`.
     *
+    * Declarations exported separately from their declaration; IE `export { Foo as Bar }` or `export default Foo` are
+    * resolved via the module export graph when the AST runtime does not find the import style.
+    *
     * Note: Any changes here also need to be updated in DocGenerator `_processDefaultExport` & `_processNamedExport`.
     */
    static _$importStyle()
@@ -41,5 +55,14 @@ export default class ModuleDocBase extends DocBase
 
       this._value.importStyle = this._eventbus.triggerSync('tjsdoc:system:ast:import:style:find', this._node,
        this._value.name);
+
+      if (this._value.importStyle) { return; }
+
+      const exportNames = this._eventbus.triggerSync('tjsdoc:system:module:export:names:get',
+       this._pathResolver.absolutePath, this._value.name, this._ast);
+
+      if (!Array.isArray(exportNames) || !exportNames.length) { return; }
+
+      this._value.importStyle = exportNames.includes('default') ? this._value.name : `{${exportNames[0]}}`;
    }
 }
@@ -9,11 +9,12 @@ import ModuleDocBase   from './ModuleDocBase.js';
  *
  * _$generator()
  *
- * _$param()
- *
  * _$name()
  *
  * _$return()
+ *
+ * `_$param()` is implemented by DocBase which parses the `@param` tags and reconciles them with the function
+ * signature; see `_hasSignature`.
  */
 export default class ModuleFunctionDocBase extends ModuleDocBase
 {
@@ -36,4 +37,15 @@ export default class ModuleFunctionDocBase extends ModuleDocBase
    {
       this._value.memberof = this._pathResolver.filePath;
    }
+
+   /**
+    * Module functions have a function signature, so `_$param` reconciles the documented params with the signature.
+    *
+    * @returns {boolean}
+    * @protected
+    */
+   static _hasSignature()
+   {
+      return true;
+   }
 }
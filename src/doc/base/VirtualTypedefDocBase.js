@@ -42,7 +42,7 @@ export default class VirtualTypedefDocBase extends DocBase
 
       if (!tags)
       {
-         this._eventbus.trigger('log:warn', 'can not resolve name.');
+         this._eventbus.trigger('log:warn', `can not resolve name: ${this._getTagLocation()}`);
          return;
       }
 
@@ -52,6 +52,8 @@ export default class VirtualTypedefDocBase extends DocBase
       {
          name = this._eventbus.triggerSync('tjsdoc:system:parser:param:value:parse', tag.tagValue,
           { type: true, name: true, desc: false }).paramName;
+
+         if (!name) { this._eventbus.trigger('log:warn', `can not resolve name: ${this._getTagLocation(tag)}`); }
       }
 
       this._value.name = name;
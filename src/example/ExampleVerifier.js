@@ -0,0 +1,173 @@
+import childProcess from 'child_process';
+import path         from 'path';
+
+/**
+ * Verifies JavaScript `@example` code by running it in a `vm` context of a child process. Verification is enabled by
+ * the target project TJSDocConfig `verifyExamples` and is invoked by `DocBase._$example` via
+ * `tjsdoc:system:example:verify`. The child process is run synchronously until all timers and promises of the example
+ * have settled, so errors thrown by timers and unhandled rejections fail the example without affecting TJSDoc. The
+ * child process is started with the `execArgv` of this process; IE `-r babel-register` allows importing the module
+ * under test from ES module source.
+ *
+ * Example code may import the module under test by its import path or by a path relative to the source / example
+ * file. Import declarations are converted to `require` calls resolved relative to the source / example file. Any
+ * other module such as `fs` may not be required.
+ *
+ * Result assertions are supported as a trailing `// => <expected>` comment on a single line expression statement or
+ * variable declaration; IE `add(40, 2); // => 42`. The actual and expected values are compared by deep equality.
+ *
+ * Note: The module under test and `vm` contexts are not a security boundary so only verify examples from trusted
+ * sources.
+ *
+ * @example
+ * const result = eventbus.triggerSync('tjsdoc:system:example:verify', 'add(40, 2); // => 42',
+ *  { filePath: '/project/src/add.js', importPath: 'my-module/src/add.js' });
+ */
+export default class ExampleVerifier
+{
+   /**
+    * Wires up ExampleVerifier on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      ev.eventbus.on('tjsdoc:system:example:verify', this.verify, this);
+   }
+
+   /**
+    * Runs the given example code returning whether the code and all timers / promises completed without errors and
+    * all assertions passed.
+    *
+    * @param {string}   code - The example code.
+    *
+    * @param {object}   options - Optional parameters.
+    *
+    * @param {string}   options.filePath - The absolute file path of the module under test or example file which
+    *                                      relative imports are resolved against.
+    *
+    * @param {string}   [options.importPath] - The import path of the module under test.
+    *
+    * @param {string}   [options.modulePath=options.filePath] - The absolute file path of the module under test.
+    *
+    * @param {number}   [options.timeout=2000] - The maximum execution time in milliseconds.
+    *
+    * @returns {object} The verification result; `verified` is a boolean and `error` is the error message or null.
+    */
+   verify(code, { filePath, importPath = void 0, modulePath = filePath, timeout = 2000 } = {})
+   {
+      if (typeof code !== 'string') { throw new TypeError(`'code' is not a 'string'.`); }
+      if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+      const input = JSON.stringify({ code: s_TRANSFORM_ASSERTIONS(s_TRANSFORM_IMPORTS(code)), filePath, importPath,
+       modulePath, timeout });
+
+      // The result is written to file descriptor 3 as the example may write to stdout / stderr.
+      const result = childProcess.spawnSync(process.execPath, [...process.execArgv, s_RUNNER_PATH],
+       { input, timeout, stdio: ['pipe', 'ignore', 'ignore', 'pipe'] });
+
+      if (result.error && result.error.code === 'ETIMEDOUT')
+      {
+         return { verified: false, error: `Error: example timed out after ${timeout} ms` };
+      }
+
+      if (result.error) { return { verified: false, error: `${result.error.name}: ${result.error.message}` }; }
+
+      let error;
+
+      try { error = JSON.parse(result.output[3].toString()).error; }
+      catch (err) { error = `Error: example process exited with ${result.signal || `code ${result.status}`}`; }
+
+      return { verified: error === null, error };
+   }
+}
+
+/**
+ * Defines the path of the script running examples in a child process.
+ * @type {string}
+ * @ignore
+ */
+const s_RUNNER_PATH = path.resolve(__dirname, 'exampleRunner.js');
+
+/**
+ * Matches a result assertion capturing the code, the declared variable name if any and the expected value.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_ASSERTION_REGEX = /^([\t ]*)((?:(?:const|let|var)\s+([\w$]+)\s*=)?.*?);?[\t ]*\/\/[\t ]*=>[\t ]*(.+)$/;
+
+/**
+ * Matches an import declaration with bindings capturing the import clause and module specifier.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_IMPORT_REGEX = /^[\t ]*import\s+([\w$*{][\s\S]*?)\s+from\s*(['"])([^'"]+)\2[\t ]*;?/gm;
+
+/**
+ * Matches a side effect only import declaration capturing the module specifier.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_IMPORT_SIDE_EFFECT_REGEX = /^[\t ]*import\s*(['"])([^'"]+)\1[\t ]*;?/gm;
+
+/**
+ * Converts result assertion comments into assertion calls.
+ *
+ * @param {string}   code - The example code.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_TRANSFORM_ASSERTIONS = (code) => code.split('\n').map((line, index) =>
+{
+   const match = line.match(s_ASSERTION_REGEX);
+
+   if (!match) { return line; }
+
+   const [, indent, statement, variable, expected] = match;
+
+   if (variable) { return `${indent}${statement}; __tjsdocAssert(${variable}, (${expected}), ${index + 1});`; }
+
+   return `${indent}__tjsdocAssert((${statement}), (${expected}), ${index + 1});`;
+}).join('\n');
+
+/**
+ * Converts import declarations to `require` calls preserving the line count of the code.
+ *
+ * @param {string}   code - The example code.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_TRANSFORM_IMPORTS = (code) =>
+{
+   let count = 0;
+
+   const lines = (text) => '\n'.repeat(text.split('\n').length - 1);
+
+   return code.replace(s_IMPORT_REGEX, (match, clause, quote, specifier) =>
+   {
+      const id = `__tjsdocImport${count++}`;
+
+      const statements = [`const ${id} = require(${JSON.stringify(specifier)});`];
+
+      // Split the default / namespace bindings from any named bindings.
+      const namedStart = clause.indexOf('{');
+
+      const named = namedStart >= 0 ? clause.substring(namedStart) : '';
+      const others = (namedStart >= 0 ? clause.substring(0, namedStart) : clause).split(',').map((binding) =>
+       binding.trim()).filter((binding) => binding !== '');
+
+      for (const binding of others)
+      {
+         const namespace = binding.match(/^\*\s*as\s+([\w$]+)$/);
+
+         statements.push(namespace ? `const ${namespace[1]} = ${id};` :
+          `const ${binding} = ${id} && ${id}.__esModule ? ${id}.default : ${id};`);
+      }
+
+      if (named) { statements.push(`const ${named.replace(/\s+as\s+/g, ': ')} = ${id};`); }
+
+      return `${statements.join(' ')}${lines(match)}`;
+   }).replace(s_IMPORT_SIDE_EFFECT_REGEX, (match, quote, specifier) => `require(${JSON.stringify(specifier)});`);
+};
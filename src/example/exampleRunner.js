@@ -0,0 +1,130 @@
+/**
+ * Runs the code of an `@example` in a `vm` context of this child process spawned by `ExampleVerifier`. The run data
+ * is read from stdin as JSON and the result is written as JSON to file descriptor 3; `{ error: null }` when the code
+ * and all timers / promises completed without errors otherwise `{ error: '<name>: <message>' }`.
+ *
+ * The example only receives the timers and a silent console of this process and may only require the module under
+ * test by its import path or modules by a path relative to the source / example file.
+ *
+ * Note: This script is run without transpilation and must only use syntax and APIs supported by Node 5.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const fs     = require('fs');
+const path   = require('path');
+const util   = require('util');
+const vm     = require('vm');
+
+let finished = false;
+
+/**
+ * Writes the result and exits.
+ *
+ * @param {*}  err - The error that failed the example or null when the example is verified.
+ *
+ * @ignore
+ */
+const s_FINISH = (err) =>
+{
+   if (finished) { return; }
+
+   finished = true;
+
+   const error = err === null ? null : err && err.message ? `${err.name}: ${err.message}` : String(err);
+
+   fs.writeSync(3, JSON.stringify({ error }));
+
+   process.exit(error === null ? 0 : 1);
+};
+
+/**
+ * Asserts that the actual value of an example result assertion deep equals the expected value.
+ *
+ * @param {*}        actual - The actual value.
+ *
+ * @param {*}        expected - The expected value.
+ *
+ * @param {number}   line - The line number of the assertion in the example code.
+ *
+ * @ignore
+ */
+const s_ASSERT = (actual, expected, line) =>
+{
+   try
+   {
+      assert.deepStrictEqual(actual, expected);
+   }
+   catch (err)
+   {
+      throw new Error(`assertion failed on line ${line}: expected ${util.inspect(expected)} but received ${
+       util.inspect(actual)}`);
+   }
+};
+
+/**
+ * Provides a console discarding all output of verified examples.
+ * @type {object}
+ * @ignore
+ */
+const s_SILENT_CONSOLE = ['debug', 'dir', 'error', 'info', 'log', 'table', 'trace', 'warn'].reduce((console, key) =>
+{
+   console[key] = () => {};
+   return console;
+}, {});
+
+/**
+ * Runs the example code.
+ *
+ * @param {object}   data - The run data with the transformed `code`, the `filePath` relative imports are resolved
+ *                          against, the `importPath` and `modulePath` of the module under test and the `timeout`.
+ *
+ * @ignore
+ */
+const s_RUN = (data) =>
+{
+   const exampleRequire = (specifier) =>
+   {
+      // The module under test may be imported by its import path.
+      if (data.importPath && specifier === data.importPath) { return require(data.modulePath); }
+
+      if ((/^\.\.?(?:[\\/]|$)/).test(specifier))
+      {
+         return require(path.resolve(path.dirname(data.filePath), specifier));
+      }
+
+      throw new Error(`examples may only require the module under test or relative paths: ${specifier}`);
+   };
+
+   const exampleModule = { exports: {} };
+
+   const context = vm.createContext({
+      clearInterval,
+      clearTimeout,
+      console: s_SILENT_CONSOLE,
+      exports: exampleModule.exports,
+      module: exampleModule,
+      require: exampleRequire,
+      setInterval,
+      setTimeout,
+      __dirname: path.dirname(data.filePath),
+      __filename: data.filePath,
+      __tjsdocAssert: s_ASSERT
+   });
+
+   new vm.Script(data.code, { filename: data.filePath }).runInContext(context, { timeout: data.timeout });
+};
+
+// Errors thrown by timers and unhandled rejections fail the example.
+process.on('uncaughtException', s_FINISH);
+process.on('unhandledRejection', s_FINISH);
+
+// The example is verified once all timers and promises have settled.
+process.on('beforeExit', () => s_FINISH(null));
+
+let input = '';
+
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => { input += chunk; });
+process.stdin.on('end', () => s_RUN(JSON.parse(input)));
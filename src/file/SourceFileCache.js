@@ -0,0 +1,337 @@
+import fs   from 'fs';
+import path from 'path';
+
+/**
+ * Provides a shared source file cache memoizing file content, line splits, existence / file type checks and real paths
+ * by absolute file path. Doc classes and resolvers read source files through the cache, so each file is read from disk
+ * once per generation run. The cache is cleared for the DocDB of each generation run. Files may be read asynchronously
+ * ahead of use via `tjsdoc:system:file:async:prefetch`; later synchronous reads are served from the cache.
+ *
+ * Missing or unreadable files have null content and lines. Lines are split on `\n` and `\r\n`.
+ *
+ * The following queries are available on the eventbus:
+ * - `tjsdoc:system:file:async:prefetch` - Reads files asynchronously into the cache.
+ * - `tjsdoc:system:file:content:get` - Returns the content of a file.
+ * - `tjsdoc:system:file:exists` - Returns whether a file exists.
+ * - `tjsdoc:system:file:is:directory` - Returns whether a path is a directory.
+ * - `tjsdoc:system:file:is:file` - Returns whether a path is a file.
+ * - `tjsdoc:system:file:lines:get` - Returns the lines of a file.
+ * - `tjsdoc:system:file:realpath:get` - Returns the real path of a file or directory resolving symbolic links.
+ * - `tjsdoc:system:file:cache:clear` - Clears the cache.
+ *
+ * @example
+ * await eventbus.triggerAsync('tjsdoc:system:file:async:prefetch', ['/project/src/Foo.js', '/project/src/Bar.js']);
+ *
+ * const lines = eventbus.triggerSync('tjsdoc:system:file:lines:get', '/project/src/Foo.js');
+ */
+export default class SourceFileCache
+{
+   /**
+    * Initializes the cache.
+    */
+   constructor()
+   {
+      /**
+       * Caches file content by absolute file path; null when the file can not be read.
+       * @type {Map<string, string|null>}
+       * @private
+       */
+      this._content = new Map();
+
+      /**
+       * Caches existence checks by absolute file path.
+       * @type {Map<string, boolean>}
+       * @private
+       */
+      this._exists = new Map();
+
+      /**
+       * Caches line splits by absolute file path.
+       * @type {Map<string, string[]|null>}
+       * @private
+       */
+      this._lines = new Map();
+
+      /**
+       * Caches file types by absolute path; `file`, `directory`, `other` or null when the path does not exist.
+       * @type {Map<string, string|null>}
+       * @private
+       */
+      this._fileTypes = new Map();
+
+      /**
+       * Caches real paths by absolute path; null when the path does not exist.
+       * @type {Map<string, string|null>}
+       * @private
+       */
+      this._realPaths = new Map();
+   }
+
+   /**
+    * Clears all cached data.
+    */
+   clear()
+   {
+      this._content.clear();
+      this._exists.clear();
+      this._fileTypes.clear();
+      this._lines.clear();
+      this._realPaths.clear();
+   }
+
+   /**
+    * Returns whether a file exists.
+    *
+    * @param {string}   filePath - An absolute file path.
+    *
+    * @returns {boolean}
+    */
+   exists(filePath)
+   {
+      filePath = s_NORMALIZE(filePath);
+
+      if (!this._exists.has(filePath)) { this._exists.set(filePath, fs.existsSync(filePath)); }
+
+      return this._exists.get(filePath);
+   }
+
+   /**
+    * Returns the content of a file reading it on first access.
+    *
+    * @param {string}   filePath - An absolute file path.
+    *
+    * @returns {string|null} The file content or null when the file can not be read.
+    */
+   getContent(filePath)
+   {
+      filePath = s_NORMALIZE(filePath);
+
+      if (!this._content.has(filePath))
+      {
+         let content = null;
+
+         try { content = fs.readFileSync(filePath, 'utf8'); }
+         catch (err) { /* nop */ }
+
+         this._setContent(filePath, content);
+      }
+
+      return this._content.get(filePath);
+   }
+
+   /**
+    * Returns the lines of a file splitting the content on first access.
+    *
+    * @param {string}   filePath - An absolute file path.
+    *
+    * @returns {string[]|null} The file lines or null when the file can not be read.
+    */
+   getLines(filePath)
+   {
+      filePath = s_NORMALIZE(filePath);
+
+      if (!this._lines.has(filePath))
+      {
+         const content = this.getContent(filePath);
+
+         this._lines.set(filePath, content !== null ? content.split(/\r?\n/) : null);
+      }
+
+      return this._lines.get(filePath);
+   }
+
+   /**
+    * Returns the real path of a file or directory resolving symbolic links on first access.
+    *
+    * @param {string}   filePath - An absolute path.
+    *
+    * @returns {string|null} The absolute real path or null when the path does not exist.
+    */
+   getRealPath(filePath)
+   {
+      filePath = s_NORMALIZE(filePath);
+
+      if (!this._realPaths.has(filePath))
+      {
+         let realPath = null;
+
+         try { realPath = fs.realpathSync(filePath); }
+         catch (err) { /* nop */ }
+
+         this._realPaths.set(filePath, realPath);
+      }
+
+      return this._realPaths.get(filePath);
+   }
+
+   /**
+    * Returns whether a path is a directory.
+    *
+    * @param {string}   filePath - An absolute path.
+    *
+    * @returns {boolean}
+    */
+   isDirectory(filePath)
+   {
+      return this._getFileType(filePath) === 'directory';
+   }
+
+   /**
+    * Returns whether a path is a file.
+    *
+    * @param {string}   filePath - An absolute path.
+    *
+    * @returns {boolean}
+    */
+   isFile(filePath)
+   {
+      return this._getFileType(filePath) === 'file';
+   }
+
+   /**
+    * Reads files asynchronously into the cache skipping already cached files. At most `concurrency` files are read
+    * at once.
+    *
+    * @param {string|string[]}   filePaths - One or more absolute file paths.
+    *
+    * @param {number}            [concurrency=32] - The maximum number of concurrent reads.
+    *
+    * @returns {Promise<number>} The number of files read.
+    */
+   async prefetch(filePaths, concurrency = 32)
+   {
+      if (typeof filePaths === 'string') { filePaths = [filePaths]; }
+
+      if (!Array.isArray(filePaths)) { throw new TypeError(`'filePaths' is not a 'string' or 'array'.`); }
+
+      if (!Number.isInteger(concurrency) || concurrency < 1)
+      {
+         throw new TypeError(`'concurrency' is not a positive 'integer'.`);
+      }
+
+      const pending = Array.from(new Set(filePaths.map(s_NORMALIZE))).filter((filePath) =>
+       !this._content.has(filePath));
+
+      const read = async () =>
+      {
+         while (pending.length)
+         {
+            const filePath = pending.shift();
+            const content = await s_READ_FILE(filePath);
+
+            // A synchronous read may have cached the file while waiting.
+            if (!this._content.has(filePath)) { this._setContent(filePath, content); }
+         }
+      };
+
+      const count = pending.length;
+
+      const workers = [];
+
+      for (let cntr = Math.min(concurrency, count); --cntr >= 0;) { workers.push(read()); }
+
+      await Promise.all(workers);
+
+      return count;
+   }
+
+   /**
+    * Wires up SourceFileCache on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      const eventbus = ev.eventbus;
+
+      eventbus.on('tjsdoc:system:file:async:prefetch', this.prefetch, this);
+      eventbus.on('tjsdoc:system:file:cache:clear', this.clear, this);
+      eventbus.on('tjsdoc:system:file:content:get', this.getContent, this);
+      eventbus.on('tjsdoc:system:file:exists', this.exists, this);
+      eventbus.on('tjsdoc:system:file:is:directory', this.isDirectory, this);
+      eventbus.on('tjsdoc:system:file:is:file', this.isFile, this);
+      eventbus.on('tjsdoc:system:file:lines:get', this.getLines, this);
+      eventbus.on('tjsdoc:system:file:realpath:get', this.getRealPath, this);
+   }
+
+   /**
+    * Clears the cache for the DocDB of a new generation run.
+    */
+   onRuntimePreGenerateAsync()
+   {
+      this.clear();
+   }
+
+   /**
+    * Returns the type of a path reading it on first access.
+    *
+    * @param {string}   filePath - An absolute path.
+    *
+    * @returns {string|null} `file`, `directory`, `other` or null when the path does not exist.
+    * @private
+    */
+   _getFileType(filePath)
+   {
+      filePath = s_NORMALIZE(filePath);
+
+      if (!this._fileTypes.has(filePath))
+      {
+         let fileType = null;
+
+         try
+         {
+            const stats = fs.statSync(filePath);
+
+            fileType = stats.isFile() ? 'file' : stats.isDirectory() ? 'directory' : 'other';
+         }
+         catch (err) { /* nop */ }
+
+         this._fileTypes.set(filePath, fileType);
+      }
+
+      return this._fileTypes.get(filePath);
+   }
+
+   /**
+    * Stores the content of a file invalidating any line split.
+    *
+    * @param {string}         filePath - A normalized absolute file path.
+    *
+    * @param {string|null}    content - The file content or null when the file can not be read.
+    * @private
+    */
+   _setContent(filePath, content)
+   {
+      this._content.set(filePath, content);
+      this._exists.set(filePath, content !== null || fs.existsSync(filePath));
+      this._lines.delete(filePath);
+   }
+}
+
+/**
+ * Normalizes a file path used as cache key.
+ *
+ * @param {string}   filePath - A file path.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_NORMALIZE = (filePath) =>
+{
+   if (typeof filePath !== 'string') { throw new TypeError(`'filePath' is not a 'string'.`); }
+
+   return path.resolve(filePath);
+};
+
+/**
+ * Reads a file asynchronously.
+ *
+ * @param {string}   filePath - An absolute file path.
+ *
+ * @returns {Promise<string|null>} The file content or null when the file can not be read.
+ * @ignore
+ */
+const s_READ_FILE = (filePath) => new Promise((resolve) =>
+{
+   fs.readFile(filePath, 'utf8', (err, content) => resolve(err ? null : content));
+});
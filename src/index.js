@@ -1,4 +1,13 @@
-import CoreDocResolver from './resolver/CoreDocResolver.js';
+import CommonJSQueries    from './resolver/CommonJSQueries.js';
+import CoreDocResolver    from './resolver/CoreDocResolver.js';
+import DocSchema          from './schema/DocSchema.js';
+import DocSerializer      from './serializer/DocSerializer.js';
+import ExampleVerifier    from './example/ExampleVerifier.js';
+import ModuleExportGraph  from './resolver/ModuleExportGraph.js';
+import ModuleResolver     from './resolver/ModuleResolver.js';
+import SourceFileCache    from './file/SourceFileCache.js';
+import TagAliasRegistry   from './tag/TagAliasRegistry.js';
+import TagRegistry        from './tag/TagRegistry.js';
 
 import * as CommonDocs from './doc/';
 
@@ -23,6 +32,31 @@ export async function onPluginLoad(ev)
    await eventbus.triggerAsync('plugins:async:add',
     { name: 'tjsdoc-doc-resolver-core', instance: new CoreDocResolver() });
 
+   await eventbus.triggerAsync('plugins:async:add', { name: 'tjsdoc-doc-schema', instance: new DocSchema() });
+
+   await eventbus.triggerAsync('plugins:async:add',
+    { name: 'tjsdoc-doc-serializer', instance: new DocSerializer() });
+
+   await eventbus.triggerAsync('plugins:async:add',
+    { name: 'tjsdoc-tag-alias-registry', instance: new TagAliasRegistry() });
+
+   await eventbus.triggerAsync('plugins:async:add', { name: 'tjsdoc-tag-registry', instance: new TagRegistry() });
+
+   await eventbus.triggerAsync('plugins:async:add',
+    { name: 'tjsdoc-example-verifier', instance: new ExampleVerifier() });
+
+   await eventbus.triggerAsync('plugins:async:add',
+    { name: 'tjsdoc-module-resolver', instance: new ModuleResolver() });
+
+   await eventbus.triggerAsync('plugins:async:add',
+    { name: 'tjsdoc-module-export-graph', instance: new ModuleExportGraph() });
+
+   await eventbus.triggerAsync('plugins:async:add',
+    { name: 'tjsdoc-commonjs-queries', instance: new CommonJSQueries() });
+
+   await eventbus.triggerAsync('plugins:async:add',
+    { name: 'tjsdoc-source-file-cache', instance: new SourceFileCache() });
+
    // Add event binding to retrieve all common doc object generator classes.
    eventbus.on('tjsdoc:data:docs:common:get', () => CommonDocs);
 }
@@ -25,73 +25,377 @@ export default class AbstractCommentParser
    {
       const eventbus = ev.eventbus;
 
+      eventbus.on('tjsdoc:system:parser:comment:inline:tags:parse', this.parseInlineTags, this);
       eventbus.on('tjsdoc:system:parser:comment:node:value:get', this.getCommentValue, this);
       eventbus.on('tjsdoc:system:parser:comment:parse', this.parse, this);
+
+      /**
+       * When true comments are parsed in fence aware mode by default.
+       * @type {boolean}
+       */
+      this._fenceAware = false;
+   }
+
+   /**
+    * Stores the fence aware parsing mode from the target project TJSDocConfig `commentFenceAware`.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      this._fenceAware = typeof ev.data.mainConfig.commentFenceAware === 'boolean' ?
+       ev.data.mainConfig.commentFenceAware : false;
+   }
+
+   /**
+    * Returns the absolute file location of the first character of the comment value; IE just after the opening `/*`.
+    * By default the Babylon / ESTree `loc` data of the comment node is used. Child implementations may override this
+    * method when the AST provides location data in a different format.
+    *
+    * @param {ASTNode} commentNode - An AST node with potential comment block.
+    *
+    * @returns {{line: number, column: number}|null} The location of the comment value or null if not available.
+    */
+   getCommentStartLocation(commentNode)
+   {
+      if (typeof commentNode !== 'object' || commentNode === null) { return null; }
+
+      const loc = commentNode.loc;
+
+      if (typeof loc !== 'object' || loc === null || typeof loc.start !== 'object' || loc.start === null)
+      {
+         return null;
+      }
+
+      // Skip the opening `/*` or `//` of the comment.
+      return { line: loc.start.line, column: loc.start.column + 2 };
    }
 
    /**
     * parse comment to tags.
     *
+    * When location data is available for the comment node each tag includes `loc` and `valueLoc` describing the
+    * absolute file line / column range of the entire tag and just the tag value. Columns are zero based and the end
+    * position is exclusive.
+    *
+    * In fence aware mode lines without a leading `*` only have their common indentation removed preserving relative
+    * indentation and lines inside markdown code fences (``` or ~~~) are never split off as a new tag. Comments without
+    * code fences or extra indentation parse the same in either mode.
+    *
     * @param {ASTNode}  commentNode - comment node.
     * @param {string}   commentNode.value - comment body.
     * @param {string}   commentNode.type - CommentBlock or CommentLine.
     *
+    * @param {object}   [options] - Optional parameters.
+    * @param {boolean}  [options.fenceAware] - Enables fence aware parsing; defaults to `commentFenceAware` config.
+    *
     * @returns {Tag[]} parsed comment.
     */
-   parse(commentNode)
+   parse(commentNode, { fenceAware = this._fenceAware } = {})
    {
-      let comment = this.getCommentValue(commentNode);
+      const comment = this.getCommentValue(commentNode);
 
       if (comment === void 0) { return []; }
 
-      // TODO: refactor
-      comment = comment.replace(/\r\n/gm, '\n');      // for windows
+      const startLoc = this.getCommentStartLocation(commentNode);
 
-      comment = comment.replace(/^[\t ]*/gm, '');     // remove line head space
+      const lines = s_SPLIT_LINES(comment, startLoc, fenceAware);
 
-      comment = comment.replace(/^\*[\t ]?/, '');     // remove first '*'
+      const tags = [];
 
-      comment = comment.replace(/[\t ]$/, '');        // remove last space
+      let current;
 
-      comment = comment.replace(/^\*[\t ]?/gm, '');   // remove line head '*'
+      for (let i = 0; i < lines.length; i++)
+      {
+         const line = lines[i];
+
+         // The first line is only considered a tag when it immediately starts with `@`. Lines in code fences never are.
+         const match = !line.fenced && (i > 0 || line.text.charAt(0) === '@') ? line.text.match(s_TAG_LINE_REGEX) :
+          null;
+
+         if (match)
+         {
+            if (current) { tags.push(this._createTag(current, startLoc)); }
+
+            const nameColumn = line.column + line.text.indexOf('@');
+
+            current =
+            {
+               tagName: match[1],
+               nameStart: { line: line.line, column: nameColumn },
+               nameEnd: { line: line.line, column: nameColumn + match[1].length },
+               segments: [{ text: match[2] || '', line: line.line, column: nameColumn + match[1].length + 1 }]
+            };
+         }
+         else if (i === 0)
+         {
+            // Auto insert `@desc` for any leading text.
+            current =
+            {
+               tagName: '@desc',
+               nameStart: null,
+               nameEnd: { line: line.line, column: line.column },
+               segments: [{ text: line.text, line: line.line, column: line.column }]
+            };
+         }
+         else
+         {
+            current.segments.push({ text: line.text, line: line.line, column: line.column });
+         }
+      }
 
-      if (comment.charAt(0) !== '@') { comment = `@desc ${comment}`; }  // auto insert @desc
+      if (current) { tags.push(this._createTag(current, startLoc)); }
 
-      comment = comment.replace(/[\t ]*$/, '');       // remove tail space.
+      return tags;
+   }
 
-      comment = comment.replace(/^[\t ]*(@\w+)$/gm, '$1 \\TRUE'); // auto insert tag text to non-text tag (e.g. @interface)
+   /**
+    * Tokenizes all inline tags found in the given text such as `{@link Foo#bar}`, `{@linkcode Foo}`,
+    * `{@tutorial intro}` or `[label]{@link Foo}`. A label may be given in brackets before the inline tag, after a `|`
+    * or after the first whitespace following the target.
+    *
+    * @param {string}   text - The text to tokenize.
+    *
+    * @returns {InlineTag[]} The inline tags in order of appearance; an empty array if none are found.
+    */
+   parseInlineTags(text)
+   {
+      const results = [];
 
-      comment = comment.replace(/^[\t ]*(@\w+)[\t ](.*)/gm, '\\Z$1\\Z$2'); // insert separator (\\Z@tag\\Ztext)
+      if (typeof text !== 'string' || !text.includes('{@')) { return results; }
 
-      const lines = comment.split('\\Z');
+      const regex = /(?:\[([^\]\n]*)\])?\{@(\w+)(?:\s+([^}]*?))?\s*\}/g;
 
-      let tagName = '';
-      let tagValue = '';
-      const tags = [];
+      let match;
 
-      for (let i = 0; i < lines.length; i++)
+      while ((match = regex.exec(text)) !== null)
       {
-         const line = lines[i];
+         const [raw, prefixLabel, kind, content] = match;
+
+         let target = content ? content.trim() : '';
+         let label = null;
+
+         const pipeIndex = target.indexOf('|');
 
-         if (line.charAt(0) === '@')
+         if (pipeIndex !== -1)
          {
-            tagName = line;
-            const nextLine = lines[i + 1];
+            label = target.substring(pipeIndex + 1).trim();
+            target = target.substring(0, pipeIndex).trim();
+         }
+         else
+         {
+            const spaceMatch = target.match(/^(\S+)\s+([\s\S]+)$/);
 
-            if (nextLine.charAt(0) === '@')
+            if (spaceMatch)
             {
-               tagValue = '';
-            }
-            else
-            {
-               tagValue = nextLine;
-               i++;
+               target = spaceMatch[1];
+               label = spaceMatch[2];
             }
+         }
+
+         if (typeof prefixLabel === 'string' && prefixLabel.trim() !== '') { label = prefixLabel.trim(); }
+
+         if (label === '') { label = null; }
+
+         results.push({
+            kind,
+            target: target !== '' ? target : null,
+            label,
+            offset: match.index,
+            length: raw.length,
+            raw
+         });
+      }
+
+      return results;
+   }
+
+   /**
+    * Creates a tag from the collected line segments of the tag value. Leading & trailing empty lines are removed from
+    * the tag value.
+    *
+    * @param {object}   data - The collected tag name, name location and value line segments.
+    *
+    * @param {{line: number, column: number}|null}   startLoc - The location of the comment value if available.
+    *
+    * @returns {Tag} The parsed tag.
+    * @private
+    */
+   _createTag(data, startLoc)
+   {
+      const segments = data.segments.slice();
+
+      if (segments.length && segments[0].text === '') { segments.shift(); }
+
+      while (segments.length && segments[segments.length - 1].text === '') { segments.pop(); }
+
+      const tag = { tagName: data.tagName, tagValue: segments.map((segment) => segment.text).join('\n') };
+
+      const inlineTags = this.parseInlineTags(tag.tagValue);
+
+      if (startLoc)
+      {
+         const first = segments[0];
+         const last = segments[segments.length - 1];
+
+         const valueStart = first ? { line: first.line, column: first.column } : data.nameEnd;
+         const valueEnd = last ? { line: last.line, column: last.column + last.text.length } : data.nameEnd;
+
+         tag.loc = { start: data.nameStart || valueStart, end: valueEnd };
+         tag.valueLoc = { start: valueStart, end: valueEnd };
 
-            tagValue = tagValue.replace('\\TRUE', '').replace(/^\n/, '').replace(/\n*$/, '');
-            tags.push({ tagName, tagValue });
+         for (const inlineTag of inlineTags)
+         {
+            inlineTag.loc =
+            {
+               start: s_OFFSET_TO_LOCATION(segments, inlineTag.offset),
+               end: s_OFFSET_TO_LOCATION(segments, inlineTag.offset + inlineTag.length)
+            };
          }
       }
-      return tags;
+
+      if (inlineTags.length) { tag.inlineTags = inlineTags; }
+
+      return tag;
    }
 }
+
+/**
+ * @typedef {object} InlineTag
+ * @property {string}      kind - The inline tag name without `@`; e.g. `link`, `linkcode`, `linkplain` or `tutorial`.
+ * @property {string|null} target - The namepath, URL or tutorial ID referenced.
+ * @property {string|null} label - Any label text provided.
+ * @property {number}      offset - The character offset of the inline tag in the source text.
+ * @property {number}      length - The character length of the inline tag in the source text.
+ * @property {string}      raw - The raw source text of the inline tag.
+ * @property {{start: {line: number, column: number}, end: {line: number, column: number}}} [loc] - The absolute file
+ *           location of the inline tag when available.
+ */
+
+/**
+ * Matches a comment line that starts a new tag capturing the tag name and any text following on the same line.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_TAG_LINE_REGEX = /^[\t ]*(@\w+)(?:[\t ](.*))?$/;
+
+/**
+ * Converts a character offset in a tag value to an absolute file location given the line segments of the value.
+ *
+ * @param {Array<{text: string, line: number, column: number}>} segments - The line segments of the tag value.
+ *
+ * @param {number}   offset - A character offset in the tag value.
+ *
+ * @returns {{line: number, column: number}}
+ * @ignore
+ */
+const s_OFFSET_TO_LOCATION = (segments, offset) =>
+{
+   for (const segment of segments)
+   {
+      if (offset <= segment.text.length) { return { line: segment.line, column: segment.column + offset }; }
+
+      // Account for the newline separating segments.
+      offset -= segment.text.length + 1;
+   }
+
+   const last = segments[segments.length - 1];
+
+   return { line: last.line, column: last.column + last.text.length };
+};
+
+/**
+ * Matches the opening or closing line of a markdown code fence.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_FENCE_REGEX = /^[\t ]*(```|~~~)/;
+
+/**
+ * Splits the comment value into lines removing the leading whitespace and `*` of each line along with any trailing
+ * whitespace at the end of the comment. The absolute file location of the remaining text of each line is tracked.
+ *
+ * In fence aware mode only the common indentation is removed from lines without a leading `*` and lines inside of
+ * code fences are marked as `fenced`.
+ *
+ * @param {string}   comment - The comment value.
+ *
+ * @param {{line: number, column: number}|null}   startLoc - The location of the comment value if available.
+ *
+ * @param {boolean}  fenceAware - Enables fence aware parsing.
+ *
+ * @returns {Array<{text: string, line: number, column: number, fenced: boolean}>}
+ * @ignore
+ */
+const s_SPLIT_LINES = (comment, startLoc, fenceAware) =>
+{
+   const rawLines = comment.replace(/\r\n/gm, '\n').split('\n');   // for windows
+
+   // The minimum indentation of all non-empty lines after the first line that do not start with `*`.
+   let commonIndent = Number.MAX_SAFE_INTEGER;
+
+   if (fenceAware)
+   {
+      for (let i = 1; i < rawLines.length; i++)
+      {
+         const indent = rawLines[i].match(/^[\t ]*/)[0].length;
+         const text = rawLines[i].substring(indent);
+
+         if (text !== '' && text.charAt(0) !== '*') { commonIndent = Math.min(commonIndent, indent); }
+      }
+   }
+
+   const lines = [];
+
+   let fence = null;
+
+   for (let i = 0; i < rawLines.length; i++)
+   {
+      let text = rawLines[i];
+      let column = i === 0 && startLoc ? startLoc.column : 0;
+
+      const strip = (regex) =>
+      {
+         const length = text.match(regex)[0].length;
+
+         text = text.substring(length);
+         column += length;
+      };
+
+      if (fenceAware && i > 0 && !(/^[\t ]*(\*|$)/).test(text))
+      {
+         strip(new RegExp(`^[\\t ]{0,${commonIndent}}`));     // remove common line head space
+      }
+      else
+      {
+         strip(/^[\t ]*/);                              // remove line head space
+      }
+
+      if (i === 0) { strip(/^(?:\*[\t ]?)?/); }        // remove first '*'
+
+      strip(/^(?:\*[\t ]?)?/);                         // remove line head '*'
+
+      if (i === rawLines.length - 1) { text = text.replace(/[\t ]*$/, ''); }  // remove tail space.
+
+      let fenced = fence !== null;
+
+      if (fenceAware)
+      {
+         const match = text.match(s_FENCE_REGEX);
+
+         if (match && fence === null)
+         {
+            fence = match[1];
+            fenced = true;
+         }
+         else if (match && match[1] === fence)
+         {
+            fence = null;
+         }
+      }
+
+      lines.push({ text, line: startLoc ? startLoc.line + i : 0, column, fenced });
+   }
+
+   return lines;
+};
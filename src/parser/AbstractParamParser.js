@@ -1,3 +1,6 @@
+import LiteralValueParser    from './LiteralValueParser.js';
+import TypeExpressionParser  from './TypeExpressionParser.js';
+
 /**
  * Abstract Param Type Parser class - Provides the common param parsing functionality with a child implementation
  * providing the AST specific guessing of param types.
@@ -62,6 +65,24 @@ export default class AbstractParamParser
       this._eventbus.on('tjsdoc:system:parser:param:parse', this.parseParam, this);
       this._eventbus.on('tjsdoc:system:parser:param:from:value:parse', this.parseParamFromValue, this);
       this._eventbus.on('tjsdoc:system:parser:param:value:parse', this.parseParamValue, this);
+      this._eventbus.on('tjsdoc:system:parser:type:parse', this.parseType, this);
+
+      /**
+       * The type syntax of type expressions; either `jsdoc` or `typescript`.
+       * @type {string}
+       */
+      this._typeSyntax = 'jsdoc';
+   }
+
+   /**
+    * Stores the type syntax from the target project TJSDocConfig `typeSyntax`; either `jsdoc` (default) or
+    * `typescript`.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      this._typeSyntax = ev.data.mainConfig.typeSyntax === 'typescript' ? 'typescript' : 'jsdoc';
    }
 
    /**
@@ -98,6 +119,13 @@ export default class AbstractParamParser
     *
     * Please see ParamParser.parseParam for a method which combines the above into one call.
     *
+    * The type AST of the type text is stored as `typeAST`. If the type text is malformed `typeAST` is null and
+    * `typeError` contains the `message` and `index` of the error in the type expression.
+    *
+    * Default values are safely evaluated without executing code. When the default value is a JavaScript literal
+    * `defaultRaw` is the evaluated value and `defaultType` is `literal`; otherwise `defaultRaw` is the source text and
+    * `defaultType` is `expression`.
+    *
     * @returns {ParsedParam} formatted result.
     */
    parseParamFromValue(options = { typeText: void 0 })
@@ -120,6 +148,8 @@ export default class AbstractParamParser
       const { paramDesc } = options;
       let { typeText, paramName } = options;
 
+      const typeAST = typeText ? this._parseTypeAST(typeText) : null;
+
       if (typeText)
       {
          // check nullable
@@ -139,7 +169,12 @@ export default class AbstractParamParser
          typeText = typeText.replace(/^[?!]/, '');
 
          // check record and union
-         if (typeText[0] === '{')
+         if (this._typeSyntax === 'typescript')
+         {
+            // Only split top level unions; IE `(a: number) => string | number` is a single type.
+            result.types = s_SPLIT_UNION_TYPES(typeText);
+         }
+         else if (typeText[0] === '{')
          {
             result.types = [typeText];
          }
@@ -172,6 +207,10 @@ export default class AbstractParamParser
             result.types = [typeText];
          }
 
+         result.typeAST = typeAST.ast;
+
+         if (typeAST.error) { result.typeError = typeAST.error; }
+
          result.spread = typeText.startsWith('...');
       }
       else
@@ -198,24 +237,23 @@ export default class AbstractParamParser
             result.optional = false;
          }
 
-         // check default value
-         const pair = paramName.split('=');
+         // check default value; only the first `=` separates the name as default values may contain `=`.
+         const equalIndex = paramName.indexOf('=');
 
-         if (pair.length === 2)
+         if (equalIndex >= 0)
          {
-            result.defaultValue = pair[1];
+            const defaultValue = paramName.substring(equalIndex + 1).trim();
 
-            try
-            {
-               result.defaultRaw = JSON.parse(pair[1]);
-            }
-            catch (err)
-            {
-               result.defaultRaw = pair[1];
-            }
+            const literal = LiteralValueParser.parse(defaultValue);
+
+            result.defaultValue = defaultValue;
+            result.defaultRaw = literal.literal ? literal.value : defaultValue;
+            result.defaultType = literal.literal ? 'literal' : 'expression';
+
+            paramName = paramName.substring(0, equalIndex);
          }
 
-         result.name = pair[0].trim();
+         result.name = paramName.trim();
       }
 
       result.description = paramDesc;
@@ -223,6 +261,22 @@ export default class AbstractParamParser
       return result;
    }
 
+   /**
+    * Parses a type expression into a type AST.
+    *
+    * @param {string}   typeText - The type expression without enclosing braces; IE `Array<string|number>`.
+    *
+    * @param {object}   [options] - Optional parameters.
+    * @param {string}   [options.syntax] - The type syntax; defaults to TJSDocConfig `typeSyntax` or `jsdoc`.
+    *
+    * @returns {TypeNode} The type AST.
+    * @throws {SyntaxError} A malformed type expression with `index` and `expression` properties.
+    */
+   parseType(typeText, { syntax = this._typeSyntax } = {})
+   {
+      return TypeExpressionParser.parse(typeText, { syntax });
+   }
+
    /**
     * parse param value.
     *
@@ -293,11 +347,24 @@ export default class AbstractParamParser
          {
             paramName = '';
             let counter = 0;
+            let quote = null;
+            let escaped = false;
 
             for (const c of value)
             {
                paramName += c;
 
+               // Brackets in string literals of default values are skipped; IE `[sep=']']`.
+               if (quote)
+               {
+                  if (escaped) { escaped = false; }
+                  else if (c === '\\') { escaped = true; }
+                  else if (c === quote) { quote = null; }
+
+                  continue;
+               }
+
+               if (c === '"' || c === `'` || c === '`') { quote = c; }
                if (c === '[') { counter++; }
                if (c === ']') { counter--; }
                if (counter === 0) { break; }
@@ -348,4 +415,138 @@ export default class AbstractParamParser
 
       return { typeText, paramName, paramDesc };
    }
+
+   /**
+    * Parses the type text catching any syntax error.
+    *
+    * @param {string}   typeText - The type text to parse.
+    *
+    * @returns {object} The type AST as `ast` or null and any syntax error as `error` with `message` and `index`.
+    * @private
+    */
+   _parseTypeAST(typeText)
+   {
+      try
+      {
+         return { ast: this.parseType(typeText), error: null };
+      }
+      catch (err)
+      {
+         if (!(err instanceof SyntaxError)) { throw err; }
+
+         return { ast: null, error: { message: err.message, index: err.index } };
+      }
+   }
 }
+
+/**
+ * Returns the index of the bracket closing the bracket at the start of a TypeScript type expression. Brackets in string
+ * literals and the `>` of arrow functions are ignored.
+ *
+ * @param {string}   text - A type expression starting with an opening bracket.
+ *
+ * @returns {number} The index of the closing bracket or -1 when unbalanced.
+ * @ignore
+ */
+const s_FIND_CLOSING_BRACKET = (text) =>
+{
+   let depth = 0;
+   let quote = null;
+
+   for (let i = 0; i < text.length; i++)
+   {
+      const char = text.charAt(i);
+
+      if (quote)
+      {
+         if (char === quote) { quote = null; }
+         continue;
+      }
+
+      if (char === `'` || char === '"' || char === '`') { quote = char; continue; }
+
+      if (char === '=' && text.charAt(i + 1) === '>') { i++; continue; }
+
+      if ('([{<'.includes(char)) { depth++; }
+
+      if (')]}>'.includes(char) && --depth === 0) { return i; }
+   }
+
+   return -1;
+};
+
+/**
+ * Returns whether a TypeScript type expression is enclosed in matching parentheses; IE `(string|number)`, but not
+ * `(string|number)[]` or `(A)|(B)`.
+ *
+ * @param {string}   text - A trimmed type expression.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_PARENTHESIZED = (text) => text.charAt(0) === '(' && s_FIND_CLOSING_BRACKET(text) === text.length - 1;
+
+/**
+ * Splits a TypeScript type expression into the types of a top level union. Unions nested in brackets, generics, string
+ * literals or the return type of an arrow function are not split. A type or union member enclosed in parentheses is
+ * unwrapped; IE `(string|number)` and `(A)|(B)`, but not `(string|number)[]`.
+ *
+ * @param {string}   typeText - The type expression to split.
+ *
+ * @returns {string[]}
+ * @ignore
+ */
+const s_SPLIT_UNION_TYPES = (typeText) =>
+{
+   const text = typeText.trim();
+
+   if (s_IS_PARENTHESIZED(text)) { return s_SPLIT_UNION_TYPES(text.substring(1, text.length - 1)); }
+
+   const types = [];
+
+   let depth = 0;
+   let quote = null;
+   let start = 0;
+
+   for (let i = 0; i < text.length; i++)
+   {
+      const char = text.charAt(i);
+
+      if (quote)
+      {
+         if (char === quote) { quote = null; }
+         continue;
+      }
+
+      if (char === `'` || char === '"' || char === '`') { quote = char; continue; }
+
+      if (char === '=' && text.charAt(i + 1) === '>')
+      {
+         // An arrow function type at the top level includes any following union in the return type.
+         if (depth === 0) { return [text]; }
+
+         i++;
+         continue;
+      }
+
+      if ('([{<'.includes(char)) { depth++; }
+      if (')]}>'.includes(char)) { depth--; }
+
+      if (char === '|' && depth === 0)
+      {
+         types.push(text.substring(start, i).trim());
+         start = i + 1;
+      }
+   }
+
+   types.push(text.substring(start).trim());
+
+   // TypeScript allows a leading `|`.
+   if (types.length > 1 && types[0] === '') { types.shift(); }
+
+   if (types.length === 1) { return types; }
+
+   // Unwrap parenthesized union members; IE `(A|B)|C` splits into `A`, `B` and `C`.
+   return types.reduce((result, type) => result.concat(s_IS_PARENTHESIZED(type) ? s_SPLIT_UNION_TYPES(type) : [type]),
+    []);
+};
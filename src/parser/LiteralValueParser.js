@@ -0,0 +1,304 @@
+/**
+ * Safely evaluates JavaScript literal syntax without executing code. This is used to evaluate param default values.
+ *
+ * The following literals are supported: strings including template literals without substitutions, numbers (decimal,
+ * hex, octal, binary and exponent notation with an optional sign), `Infinity`, `NaN`, `true`, `false`, `null`,
+ * `undefined` along with array and object literals composed of literals.
+ *
+ * @example
+ * LiteralValueParser.parse(`{a: 1, b: ['x', -Infinity]}`);   // { literal: true, value: { a: 1, b: ['x', -Infinity] } }
+ * LiteralValueParser.parse('(x) => x === 1');                 // { literal: false }
+ */
+export default class LiteralValueParser
+{
+   /**
+    * Evaluates the given text as a JavaScript literal.
+    *
+    * @param {string}   text - The text to evaluate.
+    *
+    * @returns {{literal: boolean, value: *}} `literal` is true and `value` is the evaluated value if the text is a
+    *                                          literal otherwise only `literal` is set to false.
+    */
+   static parse(text)
+   {
+      if (typeof text !== 'string') { throw new TypeError(`'text' is not a 'string'.`); }
+
+      const parser = new LiteralValueParser(text);
+
+      try
+      {
+         const value = parser._parseValue();
+
+         parser._skipWhitespace();
+
+         if (parser._index !== text.length) { return { literal: false }; }
+
+         return { literal: true, value };
+      }
+      catch (err)
+      {
+         if (err !== s_NOT_LITERAL) { throw err; }
+
+         return { literal: false };
+      }
+   }
+
+   /**
+    * @param {string}   text - The text to evaluate.
+    */
+   constructor(text)
+   {
+      /**
+       * The text to evaluate.
+       * @type {string}
+       * @private
+       */
+      this._text = text;
+
+      /**
+       * The current character index.
+       * @type {number}
+       * @private
+       */
+      this._index = 0;
+   }
+
+   /**
+    * Parses an array literal.
+    *
+    * @returns {Array}
+    * @private
+    */
+   _parseArray()
+   {
+      const result = [];
+
+      this._index++;
+
+      for (;;)
+      {
+         this._skipWhitespace();
+
+         if (this._text.charAt(this._index) === ']') { this._index++; return result; }
+
+         result.push(this._parseValue());
+
+         this._skipWhitespace();
+
+         const char = this._text.charAt(this._index++);
+
+         if (char === ']') { return result; }
+         if (char !== ',') { throw s_NOT_LITERAL; }
+      }
+   }
+
+   /**
+    * Parses an object literal.
+    *
+    * @returns {object}
+    * @private
+    */
+   _parseObject()
+   {
+      const result = {};
+
+      this._index++;
+
+      for (;;)
+      {
+         this._skipWhitespace();
+
+         const char = this._text.charAt(this._index);
+
+         if (char === '}') { this._index++; return result; }
+
+         let key;
+
+         if (char === '"' || char === `'`)
+         {
+            key = this._parseString();
+         }
+         else
+         {
+            const match = this._text.substring(this._index).match(/^(?:[A-Za-z_$][\w$]*|\d+(?:\.\d+)?)/);
+
+            if (!match) { throw s_NOT_LITERAL; }
+
+            key = match[0];
+            this._index += key.length;
+         }
+
+         this._skipWhitespace();
+
+         // Shorthand properties & methods reference variables or are functions so are not literals.
+         if (this._text.charAt(this._index++) !== ':') { throw s_NOT_LITERAL; }
+
+         // Define the property so that a `__proto__` key does not modify the prototype.
+         Object.defineProperty(result, key,
+          { value: this._parseValue(), configurable: true, enumerable: true, writable: true });
+
+         this._skipWhitespace();
+
+         const next = this._text.charAt(this._index++);
+
+         if (next === '}') { return result; }
+         if (next !== ',') { throw s_NOT_LITERAL; }
+      }
+   }
+
+   /**
+    * Parses a string or template literal without substitutions.
+    *
+    * @returns {string}
+    * @private
+    */
+   _parseString()
+   {
+      const quote = this._text.charAt(this._index++);
+
+      let result = '';
+
+      while (this._index < this._text.length)
+      {
+         const char = this._text.charAt(this._index++);
+
+         if (char === quote) { return result; }
+
+         if (quote === '`' && char === '$' && this._text.charAt(this._index) === '{') { throw s_NOT_LITERAL; }
+
+         if (char === '\n' && quote !== '`') { throw s_NOT_LITERAL; }
+
+         if (char !== '\\')
+         {
+            result += char;
+            continue;
+         }
+
+         const escape = this._text.charAt(this._index++);
+
+         if (escape === 'u' || escape === 'x')
+         {
+            const rest = this._text.substring(this._index);
+
+            const match = escape === 'u' ? rest.match(/^(?:[0-9a-fA-F]{4}|\{[0-9a-fA-F]+\})/) :
+             rest.match(/^[0-9a-fA-F]{2}/);
+
+            if (!match) { throw s_NOT_LITERAL; }
+
+            result += String.fromCodePoint(parseInt(match[0].replace(/[{}]/g, ''), 16));
+            this._index += match[0].length;
+         }
+         else if (escape === '\n')
+         {
+            // Line continuation.
+         }
+         else
+         {
+            result += s_ESCAPES[escape] !== void 0 ? s_ESCAPES[escape] : escape;
+         }
+      }
+
+      throw s_NOT_LITERAL;
+   }
+
+   /**
+    * Parses any literal value.
+    *
+    * @returns {*}
+    * @private
+    */
+   _parseValue()
+   {
+      this._skipWhitespace();
+
+      const char = this._text.charAt(this._index);
+
+      switch (char)
+      {
+         case '[':
+            return this._parseArray();
+
+         case '{':
+            return this._parseObject();
+
+         case '"':
+         case `'`:
+         case '`':
+            return this._parseString();
+      }
+
+      const rest = this._text.substring(this._index);
+
+      const number = rest.match(s_NUMBER_REGEX);
+
+      if (number)
+      {
+         this._index += number[0].length;
+
+         const sign = number[1] === '-' ? -1 : 1;
+         const body = number[2];
+
+         if (body === 'Infinity') { return sign * Infinity; }
+
+         const prefix = body.substring(0, 2).toLowerCase();
+
+         if (prefix === '0x' || prefix === '0o' || prefix === '0b')
+         {
+            return sign * parseInt(body.substring(2), prefix === '0x' ? 16 : prefix === '0o' ? 8 : 2);
+         }
+
+         return sign * Number(body);
+      }
+
+      const keyword = rest.match(/^[A-Za-z_$][\w$]*/);
+
+      if (keyword && Object.prototype.hasOwnProperty.call(s_KEYWORDS, keyword[0]))
+      {
+         this._index += keyword[0].length;
+
+         return s_KEYWORDS[keyword[0]];
+      }
+
+      throw s_NOT_LITERAL;
+   }
+
+   /**
+    * Advances the index past any whitespace.
+    *
+    * @private
+    */
+   _skipWhitespace()
+   {
+      while (/\s/.test(this._text.charAt(this._index))) { this._index++; }
+   }
+}
+
+/**
+ * Single character escape sequences.
+ * @type {Object<string, string>}
+ * @ignore
+ */
+const s_ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' };
+
+/**
+ * Literal keywords and their values.
+ * @type {Object<string, *>}
+ * @ignore
+ */
+const s_KEYWORDS = { 'false': false, NaN, 'null': null, 'true': true, 'undefined': void 0 };
+
+/**
+ * Thrown internally when the text is not a literal.
+ * @type {object}
+ * @ignore
+ */
+const s_NOT_LITERAL = {};
+
+/**
+ * Matches a number literal with an optional sign capturing the sign and number body. A trailing identifier character
+ * prevents a match; IE `1n` or `1px`.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_NUMBER_REGEX =
+ /^([+-]?)\s*(Infinity|0[xX][0-9a-fA-F]+|0[oO][0-7]+|0[bB][01]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)(?![\w$])/;
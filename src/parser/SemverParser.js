@@ -0,0 +1,145 @@
+/**
+ * Parses, normalizes and compares semantic versions (https://semver.org) as used by `@since` and `@version`.
+ *
+ * In strict mode only complete semantic versions are accepted; IE `1.2.0` or `2.0.0-beta.1+build.5`. The lenient mode
+ * additionally accepts a leading `v` or `version`, missing minor / patch numbers and leading zeros which are
+ * normalized; IE `v1.2` -> `1.2.0`.
+ *
+ * A malformed version throws a `SyntaxError` with the additional property `version` containing the source text.
+ *
+ * @example
+ * SemverParser.parse('1.2.0-beta.1').prerelease;             // ['beta', 1]
+ * SemverParser.normalize('v1.2', { lenient: true });         // '1.2.0'
+ * SemverParser.compare('1.2.0', '1.10.0');                   // -1
+ */
+export default class SemverParser
+{
+   /**
+    * Compares two versions by semver precedence ignoring build metadata.
+    *
+    * @param {string|SemverData} a - A version string or parsed version.
+    *
+    * @param {string|SemverData} b - A version string or parsed version.
+    *
+    * @param {object}            [options] - Optional parameters.
+    *
+    * @param {boolean}           [options.lenient=false] - Parses version strings in lenient mode.
+    *
+    * @returns {number} -1 if `a` precedes `b`, 1 if `a` follows `b` otherwise 0.
+    */
+   static compare(a, b, options)
+   {
+      a = typeof a === 'string' ? SemverParser.parse(a, options) : a;
+      b = typeof b === 'string' ? SemverParser.parse(b, options) : b;
+
+      for (const key of ['major', 'minor', 'patch'])
+      {
+         if (a[key] !== b[key]) { return a[key] < b[key] ? -1 : 1; }
+      }
+
+      // A version without a prerelease has higher precedence than one with a prerelease.
+      if (a.prerelease.length === 0 || b.prerelease.length === 0)
+      {
+         return a.prerelease.length === b.prerelease.length ? 0 : a.prerelease.length === 0 ? 1 : -1;
+      }
+
+      for (let cntr = 0; cntr < Math.min(a.prerelease.length, b.prerelease.length); cntr++)
+      {
+         const idA = a.prerelease[cntr];
+         const idB = b.prerelease[cntr];
+
+         if (idA === idB) { continue; }
+
+         // Numeric identifiers have lower precedence than alphanumeric identifiers.
+         if (typeof idA !== typeof idB) { return typeof idA === 'number' ? -1 : 1; }
+
+         return idA < idB ? -1 : 1;
+      }
+
+      return a.prerelease.length === b.prerelease.length ? 0 : a.prerelease.length < b.prerelease.length ? -1 : 1;
+   }
+
+   /**
+    * Returns the normalized version string.
+    *
+    * @param {string}   version - The version to normalize.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {boolean}  [options.lenient=false] - Parses the version in lenient mode.
+    *
+    * @returns {string}
+    */
+   static normalize(version, options)
+   {
+      return SemverParser.parse(version, options).version;
+   }
+
+   /**
+    * Parses a version.
+    *
+    * @param {string}   version - The version to parse.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {boolean}  [options.lenient=false] - Accepts incomplete and prefixed versions.
+    *
+    * @returns {SemverData}
+    */
+   static parse(version, { lenient = false } = {})
+   {
+      if (typeof version !== 'string') { throw new TypeError(`'version' is not a 'string'.`); }
+
+      const match = version.trim().match(lenient ? s_LENIENT_REGEX : s_STRICT_REGEX);
+
+      if (!match)
+      {
+         const error = new SyntaxError(`Invalid semantic version: '${version}'`);
+
+         error.version = version;
+
+         throw error;
+      }
+
+      const major = parseInt(match[1], 10);
+      const minor = match[2] !== void 0 ? parseInt(match[2], 10) : 0;
+      const patch = match[3] !== void 0 ? parseInt(match[3], 10) : 0;
+
+      const prerelease = match[4] ? match[4].split('.').map((id) => (/^\d+$/).test(id) ? parseInt(id, 10) : id) : [];
+      const build = match[5] ? match[5].split('.') : [];
+
+      let normalized = `${major}.${minor}.${patch}`;
+
+      if (prerelease.length) { normalized += `-${prerelease.join('.')}`; }
+      if (build.length) { normalized += `+${build.join('.')}`; }
+
+      return { version: normalized, major, minor, patch, prerelease, build };
+   }
+}
+
+/**
+ * Matches a version in lenient mode capturing major, minor, patch, prerelease and build metadata.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_LENIENT_REGEX = new RegExp('^(?:v(?:ersion)?\\s*)?(\\d+)(?:\\.(\\d+)(?:\\.(\\d+))?)?'
+ + '(?:-?([0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*))?(?:\\+([0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*))?$', 'i');
+
+/**
+ * Matches a version in strict mode capturing major, minor, patch, prerelease and build metadata.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_STRICT_REGEX = new RegExp('^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)'
+ + '(?:-((?:0|[1-9]\\d*|\\d*[A-Za-z-][0-9A-Za-z-]*)(?:\\.(?:0|[1-9]\\d*|\\d*[A-Za-z-][0-9A-Za-z-]*))*))?'
+  + '(?:\\+([0-9A-Za-z-]+(?:\\.[0-9A-Za-z-]+)*))?$');
+
+/**
+ * @typedef {object} SemverData
+ * @property {string}            version - The normalized version.
+ * @property {number}            major - The major version.
+ * @property {number}            minor - The minor version.
+ * @property {number}            patch - The patch version.
+ * @property {Array<string|number>} prerelease - The prerelease identifiers; numeric identifiers are numbers.
+ * @property {string[]}          build - The build metadata identifiers.
+ */
@@ -0,0 +1,852 @@
+/**
+ * Parses JSDoc / Closure Compiler type expressions into a type AST.
+ *
+ * The following syntax is supported:
+ * - names / namepaths: `string`, `module:foo/bar~Baz`, `Foo#bar`
+ * - all / unknown: `*`, `?`
+ * - `null`, `undefined` and `void` literals.
+ * - type applications: `Array<string>`, `Array.<string>`, `Object<string, Array<number>>`, `string[]`
+ * - unions: `string|number`, `(string|number)`
+ * - record types: `{a: number, b: string, c}`
+ * - function types: `function(new:Foo, this:Bar, string, ...number): boolean`
+ * - nullable / non-nullable prefix & postfix: `?string`, `!Object`, `string?`, `Object!`
+ * - optional postfix: `string=`
+ * - rest / spread: `...number`, `...(string|number)`, `...`
+ * - array / tuple literal: `[string, number]`
+ *
+ * When the `typescript` syntax is enabled the following TypeScript type syntax is also supported:
+ * - string, numeric and boolean literal types: `'a' | 'b'`, `1 | 2`, `true`
+ * - tuple types: `[number, number]`
+ * - arrow & constructor function types: `(a: number, b?: string) => void`, `new (...args: any[]) => Foo`
+ * - object types with `;` separators, optional properties and index signatures: `{ a?: number; [key: string]: any }`
+ * - intersections: `A & B`
+ * - type operators: `keyof T`, `typeof value`
+ * - indexed access types: `T['a']`, `T[number]`
+ *
+ * A malformed type expression throws a `SyntaxError` with the additional properties `index` and `expression`
+ * describing the location of the error in the type expression.
+ *
+ * @example
+ * const ast = TypeExpressionParser.parse('Array<string|number>');
+ * const tsAST = TypeExpressionParser.parse('(a: number) => string | number', { syntax: 'typescript' });
+ */
+export default class TypeExpressionParser
+{
+   /**
+    * Parses a type expression into a type AST.
+    *
+    * @param {string}   expression - The type expression to parse.
+    *
+    * @param {object}   [options] - Optional parameters.
+    * @param {string}   [options.syntax='jsdoc'] - The type syntax; either `jsdoc` or `typescript`.
+    *
+    * @returns {TypeNode} The type AST.
+    */
+   static parse(expression, options)
+   {
+      return new TypeExpressionParser(expression, options).parse();
+   }
+
+   /**
+    * Tokenizes the given type expression.
+    *
+    * @param {string}   expression - The type expression to parse.
+    *
+    * @param {object}   [options] - Optional parameters.
+    * @param {string}   [options.syntax='jsdoc'] - The type syntax; either `jsdoc` or `typescript`.
+    */
+   constructor(expression, { syntax = 'jsdoc' } = {})
+   {
+      if (typeof expression !== 'string') { throw new TypeError(`'expression' is not a 'string'.`); }
+
+      if (syntax !== 'jsdoc' && syntax !== 'typescript')
+      {
+         throw new TypeError(`'syntax' must be either 'jsdoc' or 'typescript'.`);
+      }
+
+      /**
+       * The type expression being parsed.
+       * @type {string}
+       * @private
+       */
+      this._expression = expression;
+
+      /**
+       * True when TypeScript type syntax is enabled.
+       * @type {boolean}
+       * @private
+       */
+      this._typescript = syntax === 'typescript';
+
+      /**
+       * The current token index.
+       * @type {number}
+       * @private
+       */
+      this._position = 0;
+
+      /**
+       * The tokens of the type expression.
+       * @type {Array<{type: string, value: string, index: number}>}
+       * @private
+       */
+      this._tokens = this._tokenize();
+   }
+
+   /**
+    * Parses the type expression into a type AST.
+    *
+    * @returns {TypeNode} The type AST.
+    */
+   parse()
+   {
+      this._position = 0;
+
+      if (this._peek().type === 'eof') { throw this._error('Empty type expression', this._peek()); }
+
+      const node = this._parseUnion();
+
+      if (this._peek().type !== 'eof') { throw this._unexpected(); }
+
+      return node;
+   }
+
+   /**
+    * Creates a SyntaxError with the location of the error in the type expression.
+    *
+    * @param {string}   message - The error message.
+    *
+    * @param {{index: number}} token - The token where the error occurred.
+    *
+    * @returns {SyntaxError}
+    * @private
+    */
+   _error(message, token)
+   {
+      const error = new SyntaxError(`${message} at index ${token.index} in type expression: '${this._expression}'`);
+
+      error.index = token.index;
+      error.expression = this._expression;
+
+      return error;
+   }
+
+   /**
+    * Consumes the next token which must be the given punctuator.
+    *
+    * @param {string}   value - The expected punctuator.
+    *
+    * @returns {{type: string, value: string, index: number}} The consumed token.
+    * @private
+    */
+   _expect(value)
+   {
+      if (!this._is(value))
+      {
+         const token = this._peek();
+
+         throw this._error(token.type === 'eof' ? `Expected '${value}' but found end of type expression` :
+          `Expected '${value}' but found '${token.value}'`, token);
+      }
+
+      return this._next();
+   }
+
+   /**
+    * Returns true if the current token is the given punctuator.
+    *
+    * @param {string}   value - The punctuator to test.
+    *
+    * @param {number}   [offset=0] - A token offset from the current token.
+    *
+    * @returns {boolean}
+    * @private
+    */
+   _is(value, offset = 0)
+   {
+      const token = this._peek(offset);
+
+      return token.type === 'punctuator' && token.value === value;
+   }
+
+   /**
+    * Returns true if the current token ends a type; IE the end of the expression or a closing / separator punctuator.
+    *
+    * @param {number}   [offset=0] - A token offset from the current token.
+    *
+    * @returns {boolean}
+    * @private
+    */
+   _isTerminator(offset = 0)
+   {
+      const token = this._peek(offset);
+
+      return token.type === 'eof' || (token.type === 'punctuator' && s_TERMINATORS.includes(token.value)) ||
+       (this._typescript && token.type === 'punctuator' && s_TS_TERMINATORS.includes(token.value));
+   }
+
+   /**
+    * Returns true if the parenthesis at the current token starts the parameters of an arrow function type; IE the
+    * matching closing parenthesis is followed by `=>`.
+    *
+    * @returns {boolean}
+    * @private
+    */
+   _isArrowFunction()
+   {
+      let depth = 0;
+
+      for (let offset = 0; this._peek(offset).type !== 'eof'; offset++)
+      {
+         const token = this._peek(offset);
+
+         if (token.type !== 'punctuator') { continue; }
+
+         if (s_OPEN_BRACKETS.includes(token.value)) { depth++; }
+
+         if (s_CLOSE_BRACKETS.includes(token.value) && --depth === 0) { return this._is('=>', offset + 1); }
+      }
+
+      return false;
+   }
+
+   /**
+    * Consumes and returns the current token.
+    *
+    * @returns {{type: string, value: string, index: number}}
+    * @private
+    */
+   _next()
+   {
+      const token = this._tokens[this._position];
+
+      if (this._position < this._tokens.length - 1) { this._position++; }
+
+      return token;
+   }
+
+   /**
+    * Parses a TypeScript arrow or constructor function type; IE `(a: number, ...b: string[]) => void`.
+    *
+    * @param {boolean}  isNew - True when parsing a constructor type; IE `new () => Foo`.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parseArrowFunction(isNew)
+   {
+      this._expect('(');
+
+      const params = [];
+
+      while (!this._is(')'))
+      {
+         const rest = this._is('...');
+
+         if (rest) { this._next(); }
+
+         const token = this._next();
+
+         if (token.type !== 'name') { throw this._error(`Unexpected token '${token.value}'`, token); }
+
+         const optional = this._is('?');
+
+         if (optional) { this._next(); }
+
+         let value = null;
+
+         if (this._is(':'))
+         {
+            this._next();
+
+            value = this._parseUnion();
+         }
+
+         params.push({ type: 'ParameterType', name: token.value, optional, rest, value });
+
+         if (!this._is(',')) { break; }
+
+         this._next();
+      }
+
+      this._expect(')');
+      this._expect('=>');
+
+      return { 'type': 'ArrowFunctionType', params, 'result': this._parseUnion(), 'new': isNew };
+   }
+
+   /**
+    * Parses a function type; IE `function(new:Foo, this:Bar, string): number`.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parseFunction()
+   {
+      this._next();
+      this._expect('(');
+
+      const node = { 'type': 'FunctionType', 'params': [], 'result': null, 'this': null, 'new': null };
+
+      while (!this._is(')'))
+      {
+         const token = this._peek();
+
+         if (token.type === 'name' && (token.value === 'new' || token.value === 'this') && this._is(':', 1))
+         {
+            this._next();
+            this._next();
+
+            node[token.value] = this._parseUnion();
+         }
+         else
+         {
+            node.params.push(this._parseUnion());
+         }
+
+         if (!this._is(',')) { break; }
+
+         this._next();
+      }
+
+      this._expect(')');
+
+      if (this._is(':'))
+      {
+         this._next();
+
+         node.result = this._parseUnary();
+      }
+
+      return node;
+   }
+
+   /**
+    * Parses a TypeScript intersection type; IE `A & B`.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parseIntersection()
+   {
+      const elements = [this._parseUnary()];
+
+      while (this._typescript && this._is('&'))
+      {
+         this._next();
+
+         elements.push(this._parseUnary());
+      }
+
+      return elements.length === 1 ? elements[0] : { type: 'IntersectionType', elements };
+   }
+
+   /**
+    * Parses postfix type applications, array brackets, optional and nullable modifiers along with TypeScript indexed
+    * access types.
+    *
+    * @param {TypeNode} node - The type node to modify.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parsePostfix(node)
+   {
+      for (;;)
+      {
+         if (this._is('<') || this._is('.<'))
+         {
+            this._next();
+
+            const applications = this._parseTypeList('>');
+
+            this._expect('>');
+
+            node = { type: 'TypeApplication', expression: node, applications };
+         }
+         else if (this._is('[') && this._is(']', 1))
+         {
+            this._next();
+            this._next();
+
+            node =
+            {
+               type: 'TypeApplication',
+               expression: { type: 'NameExpression', name: 'Array' },
+               applications: [node]
+            };
+         }
+         else if (this._typescript && this._is('['))
+         {
+            this._next();
+
+            const indexType = this._parseUnion();
+
+            this._expect(']');
+
+            node = { type: 'IndexedAccessType', objectType: node, indexType };
+         }
+         else if (this._is('='))
+         {
+            this._next();
+
+            node = { type: 'OptionalType', expression: node };
+         }
+         else if (this._is('?'))
+         {
+            this._next();
+
+            node = { type: 'NullableType', expression: node, prefix: false };
+         }
+         else if (this._is('!'))
+         {
+            this._next();
+
+            node = { type: 'NonNullableType', expression: node, prefix: false };
+         }
+         else
+         {
+            return node;
+         }
+      }
+   }
+
+   /**
+    * Parses a primary type.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parsePrimary()
+   {
+      const token = this._peek();
+
+      if (token.type === 'punctuator')
+      {
+         switch (token.value)
+         {
+            case '*':
+               this._next();
+               return { type: 'AllLiteral' };
+
+            case '(':
+            {
+               if (this._typescript && this._isArrowFunction()) { return this._parseArrowFunction(false); }
+
+               this._next();
+
+               const node = this._parseUnion();
+
+               this._expect(')');
+
+               return node;
+            }
+
+            case '{':
+               return this._parseRecord();
+
+            case '[':
+            {
+               this._next();
+
+               const elements = this._is(']') ? [] : this._parseTypeList(']');
+
+               this._expect(']');
+
+               return { type: this._typescript ? 'TupleType' : 'ArrayType', elements };
+            }
+         }
+      }
+      else if (this._typescript && token.type === 'string')
+      {
+         this._next();
+
+         return { type: 'StringLiteralType', value: token.value };
+      }
+      else if (this._typescript && token.type === 'number')
+      {
+         this._next();
+
+         return { type: 'NumericLiteralType', value: Number(token.value) };
+      }
+      else if (token.type === 'name')
+      {
+         if (token.value === 'function' && this._is('(', 1)) { return this._parseFunction(); }
+
+         if (this._typescript && token.value === 'new' && this._is('(', 1))
+         {
+            this._next();
+
+            return this._parseArrowFunction(true);
+         }
+
+         this._next();
+
+         if (this._typescript && (token.value === 'true' || token.value === 'false'))
+         {
+            return { type: 'BooleanLiteralType', value: token.value === 'true' };
+         }
+
+         switch (token.value)
+         {
+            case 'null':
+               return { type: 'NullLiteral' };
+
+            case 'undefined':
+               return { type: 'UndefinedLiteral' };
+
+            case 'void':
+               return { type: 'VoidLiteral' };
+
+            default:
+               return { type: 'NameExpression', name: token.value };
+         }
+      }
+
+      throw this._unexpected();
+   }
+
+   /**
+    * Parses a record type; IE `{a: number, b}`. With TypeScript syntax fields may also be separated by `;`, marked
+    * optional `{a?: number}`, `readonly` or be an index signature `{[key: string]: number}`.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parseRecord()
+   {
+      this._expect('{');
+
+      const fields = [];
+
+      while (!this._is('}'))
+      {
+         if (this._typescript && this._is('['))
+         {
+            fields.push(this._parseIndexSignature());
+         }
+         else
+         {
+            let token = this._next();
+
+            if (this._typescript && token.type === 'name' && token.value === 'readonly' && !this._is(':') &&
+             !this._is('?'))
+            {
+               token = this._next();
+            }
+
+            if (token.type !== 'name' && token.type !== 'string' && token.type !== 'number')
+            {
+               throw this._error(token.type === 'eof' ? 'Unexpected end of type expression' :
+                `Unexpected token '${token.value}'`, token);
+            }
+
+            const field = { type: 'FieldType', key: token.value, value: null };
+
+            if (this._typescript && this._is('?'))
+            {
+               this._next();
+
+               field.optional = true;
+            }
+
+            if (this._is(':'))
+            {
+               this._next();
+
+               field.value = this._parseUnion();
+            }
+
+            fields.push(field);
+         }
+
+         if (!this._is(',') && !(this._typescript && this._is(';'))) { break; }
+
+         this._next();
+      }
+
+      this._expect('}');
+
+      return { type: 'RecordType', fields };
+   }
+
+   /**
+    * Parses a TypeScript index signature; IE `[key: string]: number`.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parseIndexSignature()
+   {
+      this._expect('[');
+
+      const token = this._next();
+
+      if (token.type !== 'name') { throw this._error(`Unexpected token '${token.value}'`, token); }
+
+      this._expect(':');
+
+      const keyType = this._parseUnion();
+
+      this._expect(']');
+      this._expect(':');
+
+      return { type: 'IndexSignatureType', key: token.value, keyType, value: this._parseUnion() };
+   }
+
+   /**
+    * Parses a comma separated list of types.
+    *
+    * @param {string}   close - The closing punctuator of the list.
+    *
+    * @returns {TypeNode[]}
+    * @private
+    */
+   _parseTypeList(close)
+   {
+      const types = [this._parseUnion()];
+
+      while (this._is(','))
+      {
+         this._next();
+
+         if (this._is(close)) { break; }
+
+         types.push(this._parseUnion());
+      }
+
+      return types;
+   }
+
+   /**
+    * Parses prefix rest, nullable and non-nullable modifiers.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parseUnary()
+   {
+      if (this._is('...'))
+      {
+         this._next();
+
+         return { type: 'RestType', expression: this._isTerminator() ? null : this._parseUnary() };
+      }
+
+      if (this._is('?') || this._is('!'))
+      {
+         const nullable = this._next().value === '?';
+
+         // A lone `?` is the unknown type.
+         if (nullable && this._isTerminator()) { return this._parsePostfix({ type: 'NullableLiteral' }); }
+
+         const expression = this._parseUnary();
+
+         const type = nullable ? 'NullableType' : 'NonNullableType';
+
+         // The optional modifier applies to the entire type; IE `?number=` is an optional nullable number.
+         if (expression.type === 'OptionalType')
+         {
+            return { type: 'OptionalType', expression: { type, expression: expression.expression, prefix: true } };
+         }
+
+         return { type, expression, prefix: true };
+      }
+
+      const token = this._peek();
+
+      if (this._typescript && token.type === 'name' && (token.value === 'keyof' || token.value === 'typeof') &&
+       !this._isTerminator(1))
+      {
+         this._next();
+
+         return { type: token.value === 'keyof' ? 'KeyofType' : 'TypeofType', expression: this._parseUnary() };
+      }
+
+      return this._parsePostfix(this._parsePrimary());
+   }
+
+   /**
+    * Parses a union type; IE `string|number`.
+    *
+    * @returns {TypeNode}
+    * @private
+    */
+   _parseUnion()
+   {
+      // TypeScript allows a leading `|`.
+      if (this._typescript && this._is('|')) { this._next(); }
+
+      const elements = [this._parseIntersection()];
+
+      while (this._is('|'))
+      {
+         this._next();
+
+         elements.push(this._parseIntersection());
+      }
+
+      return elements.length === 1 ? elements[0] : { type: 'UnionType', elements };
+   }
+
+   /**
+    * Returns the token at the given offset from the current token.
+    *
+    * @param {number}   [offset=0] - A token offset from the current token.
+    *
+    * @returns {{type: string, value: string, index: number}}
+    * @private
+    */
+   _peek(offset = 0)
+   {
+      return this._tokens[Math.min(this._position + offset, this._tokens.length - 1)];
+   }
+
+   /**
+    * Splits the type expression into tokens.
+    *
+    * @returns {Array<{type: string, value: string, index: number}>}
+    * @private
+    */
+   _tokenize()
+   {
+      const expression = this._expression;
+      const tokens = [];
+
+      let index = 0;
+
+      while (index < expression.length)
+      {
+         const char = expression.charAt(index);
+
+         if (/\s/.test(char)) { index++; continue; }
+
+         const punctuator = (this._typescript ? s_TS_PUNCTUATORS : s_PUNCTUATORS).find(
+          (value) => expression.startsWith(value, index));
+
+         if (punctuator)
+         {
+            tokens.push({ type: 'punctuator', value: punctuator, index });
+            index += punctuator.length;
+            continue;
+         }
+
+         if (char === '"' || char === `'`)
+         {
+            const end = expression.indexOf(char, index + 1);
+
+            if (end === -1) { throw this._error('Unterminated string', { index }); }
+
+            tokens.push({ type: 'string', value: expression.substring(index + 1, end), index });
+            index = end + 1;
+            continue;
+         }
+
+         const number = expression.substring(index).match(s_NUMBER_REGEX);
+
+         if (number)
+         {
+            tokens.push({ type: 'number', value: number[0], index });
+            index += number[0].length;
+            continue;
+         }
+
+         const name = expression.substring(index).match(s_NAME_REGEX);
+
+         if (name)
+         {
+            tokens.push({ type: 'name', value: name[0], index });
+            index += name[0].length;
+            continue;
+         }
+
+         throw this._error(`Unexpected character '${char}'`, { index });
+      }
+
+      tokens.push({ type: 'eof', value: '', index });
+
+      return tokens;
+   }
+
+   /**
+    * Creates a SyntaxError for the current token.
+    *
+    * @returns {SyntaxError}
+    * @private
+    */
+   _unexpected()
+   {
+      const token = this._peek();
+
+      return token.type === 'eof' ? this._error('Unexpected end of type expression', token) :
+       this._error(`Unexpected token '${token.value}'`, token);
+   }
+}
+
+/**
+ * Matches a name or namepath including `module:`, `external:` and `event:` prefixes. A `.` is only part of a name when
+ * followed by a name character so that `Array.<string>` is not consumed.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_NAME_REGEX = /^(?:(?:module|external|event):(?=[^\s]))?[A-Za-z_$@][\w$@\-\/#~]*(?:\.[\w$@\-\/#~]+)*/;
+
+/**
+ * Matches a number literal.
+ * @type {RegExp}
+ * @ignore
+ */
+const s_NUMBER_REGEX = /^-?\d+(?:\.\d+)?/;
+
+/**
+ * All punctuators; longer punctuators must be listed first.
+ * @type {string[]}
+ * @ignore
+ */
+const s_PUNCTUATORS = ['...', '.<', '(', ')', '{', '}', '[', ']', '<', '>', ',', '|', ':', '=', '?', '!', '*'];
+
+/**
+ * All punctuators including those for TypeScript syntax; longer punctuators must be listed first.
+ * @type {string[]}
+ * @ignore
+ */
+const s_TS_PUNCTUATORS = ['...', '.<', '=>', ...s_PUNCTUATORS.slice(2), '&', ';'];
+
+/**
+ * Opening brackets.
+ * @type {string[]}
+ * @ignore
+ */
+const s_OPEN_BRACKETS = ['(', '[', '{', '<', '.<'];
+
+/**
+ * Closing brackets.
+ * @type {string[]}
+ * @ignore
+ */
+const s_CLOSE_BRACKETS = [')', ']', '}', '>'];
+
+/**
+ * Punctuators which end a type.
+ * @type {string[]}
+ * @ignore
+ */
+const s_TERMINATORS = [')', ',', '|', '>', ']', '}', '=', ':'];
+
+/**
+ * Additional punctuators which end a type for TypeScript syntax.
+ * @type {string[]}
+ * @ignore
+ */
+const s_TS_TERMINATORS = ['&', ';', '=>'];
+
+/**
+ * @typedef {object} TypeNode
+ * @property {string}   type - The node type; one of `AllLiteral`, `ArrayType`, `FieldType`, `FunctionType`,
+ *                             `NameExpression`, `NonNullableType`, `NullableLiteral`, `NullableType`, `NullLiteral`,
+ *                             `OptionalType`, `RecordType`, `RestType`, `TypeApplication`, `UndefinedLiteral`,
+ *                             `UnionType` or `VoidLiteral`. TypeScript syntax adds `ArrowFunctionType`,
+ *                             `BooleanLiteralType`, `IndexedAccessType`, `IndexSignatureType`, `IntersectionType`,
+ *                             `KeyofType`, `NumericLiteralType`, `ParameterType`, `StringLiteralType`, `TupleType`
+ *                             and `TypeofType`.
+ */
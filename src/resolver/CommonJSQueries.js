@@ -0,0 +1,314 @@
+/**
+ * Provides CommonJS module queries for `require` bindings and `module.exports` / `exports.x` exports. The queries
+ * complement the ES module queries of the AST runtime and analyze the top level statements of ESTree / Babel ASTs.
+ * AST runtimes may provide their own implementation by handling the same events.
+ *
+ * The following bindings are recognized:
+ * - `const Base = require('./Base')`
+ * - `const { A, B: C } = require('./lib')`
+ * - `const A = require('./lib').A`
+ *
+ * The following exports are recognized where the assigned value is an identifier or a named class / function
+ * expression; IE `module.exports = class Foo {}`:
+ * - `module.exports = Foo` - exported as `default`.
+ * - `module.exports = { Foo, Bar: Baz }`
+ * - `module.exports.Foo = Foo` and `exports.Foo = Foo`
+ *
+ * The following queries are available on the eventbus:
+ * - `tjsdoc:system:ast:require:binding:find` - Returns the `require` binding of a local name.
+ * - `tjsdoc:system:ast:commonjs:export:names:find` - Returns the CommonJS export names of a local declaration.
+ *
+ * @example
+ * // `const { Base: Parent } = require('./Base.js');`
+ * eventbus.triggerSync('tjsdoc:system:ast:require:binding:find', ast, 'Parent');
+ * // { source: './Base.js', imported: 'Base' }
+ */
+export default class CommonJSQueries
+{
+   /**
+    * Returns the CommonJS export names of a local declaration.
+    *
+    * @param {AST}      ast - The AST of a module.
+    *
+    * @param {string}   name - The declared name.
+    *
+    * @returns {string[]} The export names; `default` for `module.exports = <name>`.
+    */
+   static findExportNames(ast, name)
+   {
+      const names = [];
+
+      for (const [exportName, entry] of CommonJSQueries.parseModule(ast).exports)
+      {
+         if (!entry.source && entry.local === name) { names.push(exportName); }
+      }
+
+      return names;
+   }
+
+   /**
+    * Returns the `require` binding of a local name.
+    *
+    * @param {AST}      ast - The AST of a module.
+    *
+    * @param {string}   name - The local binding name.
+    *
+    * @returns {object|null} The binding with the required module specifier as `source` and the imported property as
+    *                         `imported` which is null for the whole module; null when the name is not required.
+    */
+   static findRequireBinding(ast, name)
+   {
+      const binding = CommonJSQueries.parseModule(ast).requires.get(name);
+
+      return binding ? Object.assign({}, binding) : null;
+   }
+
+   /**
+    * Analyzes the top level CommonJS `require` bindings and exports of a module. The result is cached by AST.
+    *
+    * @param {AST}      ast - The AST of a module or its program node.
+    *
+    * @returns {object} The module `requires` as a Map of local name -> `{ source, imported }`, `exports` as a Map of
+    *                   export name -> `{ local }` or `{ source, imported }` and declared `locals` of class / function
+    *                   expressions as a Set.
+    */
+   static parseModule(ast)
+   {
+      if (typeof ast !== 'object' || ast === null) { throw new TypeError(`'ast' is not an 'object'.`); }
+
+      if (!s_CACHE.has(ast)) { s_CACHE.set(ast, s_PARSE_MODULE(ast.program || ast)); }
+
+      return s_CACHE.get(ast);
+   }
+
+   /**
+    * Wires up CommonJSQueries on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      const eventbus = ev.eventbus;
+
+      eventbus.on('tjsdoc:system:ast:commonjs:export:names:find', CommonJSQueries.findExportNames);
+      eventbus.on('tjsdoc:system:ast:require:binding:find', CommonJSQueries.findRequireBinding);
+   }
+}
+
+/**
+ * Caches parsed module data by AST.
+ * @type {WeakMap<object, object>}
+ * @ignore
+ */
+const s_CACHE = new WeakMap();
+
+/**
+ * Returns the string value of a string literal AST node.
+ *
+ * @param {ASTNode}  node - An AST node.
+ *
+ * @returns {string|null}
+ * @ignore
+ */
+const s_GET_STRING = (node) =>
+{
+   if (!node) { return null; }
+
+   if ((node.type === 'StringLiteral' || node.type === 'Literal') && typeof node.value === 'string')
+   {
+      return node.value;
+   }
+
+   if (node.type === 'TemplateLiteral' && node.expressions.length === 0 && node.quasis.length === 1)
+   {
+      return node.quasis[0].value.cooked;
+   }
+
+   return null;
+};
+
+/**
+ * Returns the name of a non computed member expression property or object property key.
+ *
+ * @param {ASTNode}  node - An AST node.
+ *
+ * @param {boolean}  computed - Whether the property is computed.
+ *
+ * @returns {string|null}
+ * @ignore
+ */
+const s_GET_PROPERTY_NAME = (node, computed) =>
+{
+   if (!computed && node.type === 'Identifier') { return node.name; }
+
+   return s_GET_STRING(node);
+};
+
+/**
+ * Returns the export target of an assignment left hand side; `module.exports` or `module.exports.x` / `exports.x`.
+ *
+ * @param {ASTNode}  node - An assignment left hand side AST node.
+ *
+ * @returns {object|null} The target with the export `name` or null `name` for `module.exports`; null if not an
+ *                         export.
+ * @ignore
+ */
+const s_GET_EXPORT_TARGET = (node) =>
+{
+   if (node.type !== 'MemberExpression') { return null; }
+
+   const isModuleExports = (member) => member.type === 'MemberExpression' && member.object.type === 'Identifier' &&
+    member.object.name === 'module' && s_GET_PROPERTY_NAME(member.property, member.computed) === 'exports';
+
+   if (isModuleExports(node)) { return { name: null }; }
+
+   const name = s_GET_PROPERTY_NAME(node.property, node.computed);
+
+   if (name === null) { return null; }
+
+   if (isModuleExports(node.object) || (node.object.type === 'Identifier' && node.object.name === 'exports'))
+   {
+      return { name };
+   }
+
+   return null;
+};
+
+/**
+ * Returns the `require` call data of an expression; IE `require('x')` or `require('x').y`.
+ *
+ * @param {ASTNode}  node - An expression AST node.
+ *
+ * @returns {object|null} The required module `source` and `imported` property which is null for the whole module.
+ * @ignore
+ */
+const s_GET_REQUIRE = (node) =>
+{
+   if (!node) { return null; }
+
+   if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === 'require' &&
+    node.arguments.length === 1)
+   {
+      const source = s_GET_STRING(node.arguments[0]);
+
+      return source !== null ? { source, imported: null } : null;
+   }
+
+   if (node.type === 'MemberExpression')
+   {
+      const required = s_GET_REQUIRE(node.object);
+      const imported = s_GET_PROPERTY_NAME(node.property, node.computed);
+
+      if (required && required.imported === null && imported !== null) { return { source: required.source, imported }; }
+   }
+
+   return null;
+};
+
+/**
+ * Parses the top level `require` bindings and exports of a program.
+ *
+ * @param {ASTNode}  program - The program AST node.
+ *
+ * @returns {object}
+ * @ignore
+ */
+const s_PARSE_MODULE = (program) =>
+{
+   const result = { requires: new Map(), exports: new Map(), locals: new Set() };
+
+   // Returns the export entry for an assigned value.
+   const getEntry = (value) =>
+   {
+      if (!value) { return null; }
+
+      if (value.type === 'Identifier') { return { local: value.name }; }
+
+      if ((value.type === 'ClassExpression' || value.type === 'FunctionExpression') && value.id)
+      {
+         result.locals.add(value.id.name);
+
+         return { local: value.id.name };
+      }
+
+      const required = s_GET_REQUIRE(value);
+
+      if (required) { return { source: required.source, imported: required.imported || 'default' }; }
+
+      return null;
+   };
+
+   for (const node of program.body || [])
+   {
+      if (node.type === 'VariableDeclaration')
+      {
+         for (const declarator of node.declarations)
+         {
+            const required = s_GET_REQUIRE(declarator.init);
+
+            if (!required) { continue; }
+
+            if (declarator.id.type === 'Identifier')
+            {
+               result.requires.set(declarator.id.name, required);
+            }
+            else if (declarator.id.type === 'ObjectPattern' && required.imported === null)
+            {
+               for (const property of declarator.id.properties)
+               {
+                  if (property.type !== 'ObjectProperty' && property.type !== 'Property') { continue; }
+
+                  const imported = s_GET_PROPERTY_NAME(property.key, property.computed);
+                  const value = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+
+                  if (imported !== null && value.type === 'Identifier')
+                  {
+                     result.requires.set(value.name, { source: required.source, imported });
+                  }
+               }
+            }
+         }
+
+         continue;
+      }
+
+      if (node.type !== 'ExpressionStatement' || node.expression.type !== 'AssignmentExpression' ||
+       node.expression.operator !== '=')
+      {
+         continue;
+      }
+
+      const target = s_GET_EXPORT_TARGET(node.expression.left);
+
+      if (!target) { continue; }
+
+      const value = node.expression.right;
+
+      if (target.name !== null)
+      {
+         const entry = getEntry(value);
+
+         if (entry) { result.exports.set(target.name, entry); }
+      }
+      else if (value.type === 'ObjectExpression')
+      {
+         for (const property of value.properties)
+         {
+            if (property.type !== 'ObjectProperty' && property.type !== 'Property') { continue; }
+
+            const name = s_GET_PROPERTY_NAME(property.key, property.computed);
+            const entry = getEntry(property.value);
+
+            if (name !== null && entry) { result.exports.set(name, entry); }
+         }
+      }
+      else
+      {
+         const entry = getEntry(value);
+
+         if (entry) { result.exports.set('default', entry); }
+      }
+   }
+
+   return result;
+};
@@ -1,8 +1,23 @@
+import path         from 'path';
+
+import SemverParser from '../parser/SemverParser.js';
+
 /**
  * Resolves various core properties in DocDB / TaffyDB data.
  */
 export default class CoreDocResolver
 {
+   /**
+    * Returns a report of all `@see` references that could not be resolved to a doc by the last resolution.
+    *
+    * @returns {Array<{longname: string, filePath: string, target: string}>} The longname and file path of the doc
+    *                                                                         with the unresolved reference target.
+    */
+   getUnresolvedSee()
+   {
+      return this._unresolvedSee.slice();
+   }
+
    /**
     * Wires up CoreDocResolver.
     *
@@ -17,6 +32,14 @@ export default class CoreDocResolver
       this._eventbus = ev.eventbus;
 
       this._eventbus.on('tjsdoc:system:resolver:docdb:resolve', this.resolve, this);
+      this._eventbus.on('tjsdoc:system:resolver:see:unresolved:get', this.getUnresolvedSee, this);
+
+      /**
+       * Stores the `@see` references that could not be resolved.
+       * @type {Array<{longname: string, filePath: string, target: string}>}
+       * @private
+       */
+      this._unresolvedSee = [];
    }
 
    /**
@@ -29,6 +52,15 @@ export default class CoreDocResolver
       this._mainConfig = ev.data.mainConfig;
 
       this._mainDocDB = ev.data.docDB;
+
+      /**
+       * The absolute project root path doc file paths are relative to; the TJSDocConfig `rootPath` or otherwise the
+       * current working directory.
+       * @type {string}
+       * @private
+       */
+      this._rootPath = typeof this._mainConfig.rootPath === 'string' ? path.resolve(this._mainConfig.rootPath) :
+       process.cwd();
    }
 
    /**
@@ -77,10 +109,78 @@ export default class CoreDocResolver
       if (!silent) { this._eventbus.trigger('log:info:raw', 'tjsdoc-doc-resolver-core: resolve duplication'); }
       this._resolveDuplication(docDB, filePath);
 
+      if (!silent) { this._eventbus.trigger('log:info:raw', 'tjsdoc-doc-resolver-core: resolve since version'); }
+      this._resolveSinceVersion(docDB, filePath);
+
       if (!silent) { this._eventbus.trigger('log:info:raw', 'tjsdoc-doc-resolver-core: resolve ignored'); }
       this._resolveIgnore(docDB, filePath);
 
+      if (!silent) { this._eventbus.trigger('log:info:raw', 'tjsdoc-doc-resolver-core: resolve entry points'); }
+      this._resolveEntryPoints(docDB, filePath);
+
+      if (!silent) { this._eventbus.trigger('log:info:raw', 'tjsdoc-doc-resolver-core: resolve see references'); }
+      this._resolveSeeReferences(docDB, filePath);
+
+      if (!silent) { this._eventbus.trigger('log:info:raw', 'tjsdoc-doc-resolver-core: resolve status replacement'); }
+      this._resolveStatusReplacement(docDB, filePath);
+
       this._resolveTestRelation(docDB, filePath, silent);
+
+      if (this._mainConfig.docValidation === 'warning' || this._mainConfig.docValidation === 'error')
+      {
+         if (!silent) { this._eventbus.trigger('log:info:raw', 'tjsdoc-doc-resolver-core: validate docs'); }
+         this._validateDocs(docDB, filePath);
+      }
+   }
+
+   /**
+    * Finds the doc referenced by a `@see` target or `@deprecated` / `@experimental` replacement of a doc. The target
+    * is looked up by the import aware longname, then as a declaration in the file of the doc, then relative to the
+    * parent of the doc when the target starts with `#`, `.` or `~` and finally by the target itself.
+    *
+    * @param {DocDB}       docDB - The target DocDB.
+    *
+    * @param {DocObject}   doc - The doc with the reference.
+    *
+    * @param {string}      target - The referenced name.
+    *
+    * @param {string}      [importName] - The import aware longname of the target.
+    *
+    * @returns {DocObject|undefined} The referenced doc.
+    * @private
+    */
+   _findReferencedDoc(docDB, doc, target, importName = void 0)
+   {
+      const fileName = (doc.memberof || doc.longname).split('~')[0];
+      const parentName = doc.kind === 'ModuleClass' ? doc.longname : doc.memberof;
+
+      const candidates = [importName, `${fileName}~${target}`];
+
+      if (parentName && (/^[#.~]/).test(target)) { candidates.push(`${parentName}${target}`); }
+
+      candidates.push(target);
+
+      for (const candidate of candidates)
+      {
+         const refDoc = candidate ? docDB.findByName(candidate)[0] : void 0;
+
+         if (refDoc) { return refDoc; }
+      }
+
+      return void 0;
+   }
+
+   /**
+    * Returns the real path of a file via `tjsdoc:system:file:realpath:get`.
+    *
+    * @param {string}   filePath - An absolute file path.
+    *
+    * @returns {string} The real path or the given path when it does not exist.
+    * @private
+    */
+   _getRealPath(filePath)
+   {
+      return this._eventbus.triggerSync('tjsdoc:system:file:realpath:get', filePath) || filePath;
    }
 
    /**
@@ -151,6 +251,19 @@ export default class CoreDocResolver
          if (doc.longname) { doc.longname = doc.longname.replace(regex, ''); }
          if (doc.memberof) { doc.memberof = doc.memberof.replace(regex, ''); }
          if (doc.name) { doc.name = doc.name.replace(regex, ''); }
+
+         if (Array.isArray(doc.seeInfo))
+         {
+            for (const ref of doc.seeInfo)
+            {
+               if (ref.importName) { ref.importName = ref.importName.replace(regex, ''); }
+            }
+         }
+
+         for (const info of [doc.deprecatedInfo, doc.experimentalInfo])
+         {
+            if (info && info.importName) { info.importName = info.importName.replace(regex, ''); }
+         }
       }
    }
 
@@ -205,6 +318,97 @@ export default class CoreDocResolver
       });
    }
 
+   /**
+    * Resolves the public import specifiers of module level docs from the package entry points. Entry points are defined
+    * by the target project TJSDocConfig `entryPoints` as an object of public specifier -> file path relative to the
+    * project root; IE `{ "my-package": "src/index.js" }`. Otherwise the entry points are determined from
+    * `package.json` `exports` or `main` in the project root via `tjsdoc:system:module:entry:points:get`. Entry points
+    * and docs are matched by the real path of their files, so the project root may be reached through a symbolic link.
+    *
+    * Starting from each entry point all exports are followed to the defining declarations including re-exports and
+    * namespace exports. Each reachable doc stores `publicImports` as a list of `{ specifier, importStyle, name }`
+    * objects where `name` is the public export name; IE `ns.Foo` for a member of an exported namespace. Exported docs
+    * unreachable from any entry point are flagged with `internal` as true.
+    *
+    * @param {DocDB}    docDB - The target DocDB to resolve.
+    *
+    * @param {boolean}  [filePath=undefined] - Defines a string or array of strings limiting resolution to the given
+    *                                          file paths.
+    *
+    * @private
+    */
+   _resolveEntryPoints(docDB, filePath)
+   {
+      const configEntryPoints = this._mainConfig.entryPoints;
+
+      let entryPoints;
+
+      if (typeof configEntryPoints === 'object' && configEntryPoints !== null)
+      {
+         entryPoints = Object.keys(configEntryPoints).map((specifier) =>
+          ({ specifier, filePath: this._getRealPath(path.resolve(this._rootPath, configEntryPoints[specifier])) }));
+      }
+      else
+      {
+         entryPoints = this._eventbus.triggerSync('tjsdoc:system:module:entry:points:get', this._rootPath);
+      }
+
+      if (!Array.isArray(entryPoints) || !entryPoints.length) { return; }
+
+      // Stores `<absolute file path>#<declared name>` -> public imports.
+      const publicImports = new Map();
+
+      const walk = (specifier, moduleFilePath, namespace, visited) =>
+      {
+         if (visited.includes(moduleFilePath)) { return; }
+
+         visited = visited.concat([moduleFilePath]);
+
+         const exportNames = this._eventbus.triggerSync('tjsdoc:system:module:exports:get', moduleFilePath) || [];
+
+         for (const exportName of exportNames)
+         {
+            const definition = this._eventbus.triggerSync('tjsdoc:system:module:export:find', moduleFilePath,
+             exportName);
+
+            if (!definition) { continue; }
+
+            const name = namespace ? `${namespace.name}.${exportName}` : exportName;
+
+            // Members of a namespace are imported by the namespace import style; default exports by the doc name.
+            const importStyle = namespace ? namespace.importStyle : exportName === 'default' ? null : `{${exportName}}`;
+
+            if (definition.namespace)
+            {
+               walk(specifier, definition.filePath, { name, importStyle: importStyle || `{${exportName}}` }, visited);
+               continue;
+            }
+
+            const key = `${definition.filePath}#${definition.name}`;
+
+            if (!publicImports.has(key)) { publicImports.set(key, []); }
+
+            publicImports.get(key).push({ specifier, importStyle, name });
+         }
+      };
+
+      for (const entryPoint of entryPoints) { walk(entryPoint.specifier, entryPoint.filePath, null, []); }
+
+      for (const doc of docDB.find(filePath ? { filePath } : void 0))
+      {
+         if (!s_MODULE_KINDS.includes(doc.kind)) { continue; }
+
+         const docFilePath = this._getRealPath(path.resolve(this._rootPath, doc.filePath));
+
+         const imports = publicImports.get(`${docFilePath}#${doc.name}`) || [];
+
+         doc.publicImports = imports.map((entry) =>
+          Object.assign({}, entry, { importStyle: entry.importStyle || doc.name }));
+
+         if (doc.export) { doc.internal = doc.publicImports.length === 0; }
+      }
+   }
+
    /**
     * Resolve class extends chain.
     *
@@ -500,11 +704,169 @@ export default class CoreDocResolver
       });
    }
 
+   /**
+    * Resolves the link and identifier targets of `seeInfo` references to the longname of an existing doc storing it as
+    * `longname`. The import aware `importName`, a target in the same file, a target relative to the containing class
+    * for targets starting with `#`, `.` or `~` and finally the target itself are tried in order. Unresolved references
+    * are logged and available via `tjsdoc:system:resolver:see:unresolved:get`.
+    *
+    * @param {DocDB}    docDB - The target DocDB to resolve.
+    *
+    * @param {boolean}  [filePath=undefined] - Defines a string or array of strings limiting resolution to the given
+    *                                          file paths.
+    * @private
+    */
+   _resolveSeeReferences(docDB, filePath)
+   {
+      const filePaths = typeof filePath === 'string' ? [filePath] : filePath;
+
+      // Remove the previous report entries for the docs being resolved.
+      this._unresolvedSee = filePaths ? this._unresolvedSee.filter((entry) => !filePaths.includes(entry.filePath)) :
+       [];
+
+      const docs = docDB.find(filePath ? { seeInfo: { isArray: true }, filePath } : { seeInfo: { isArray: true } });
+
+      for (const doc of docs)
+      {
+         for (const ref of doc.seeInfo)
+         {
+            if ((ref.type !== 'identifier' && ref.type !== 'link') || (/^(?:[a-z]+:\/\/|www\.)/i).test(ref.target))
+            {
+               continue;
+            }
+
+            const refDoc = this._findReferencedDoc(docDB, doc, ref.target, ref.importName);
+
+            ref.longname = refDoc ? refDoc.longname : null;
+
+            if (!refDoc)
+            {
+               this._unresolvedSee.push({ longname: doc.longname, filePath: doc.filePath, target: ref.target });
+
+               this._eventbus.trigger('log:warn',
+                `tjsdoc-doc-resolver-core - @see reference not found: ${ref.target} (${doc.longname})`);
+            }
+         }
+      }
+   }
+
+   /**
+    * Resolves `@since` versions. When the target project TJSDocConfig `apiVersion` is set the DocDB is filtered to the
+    * API as of that version by ignoring all docs with a newer `@since` version. A warning is logged for any class
+    * member with an `@since` version older than the containing class.
+    *
+    * @param {DocDB}    docDB - The target DocDB to resolve.
+    *
+    * @param {boolean}  [filePath=undefined] - Defines a string or array of strings limiting resolution to the given
+    *                                          file paths.
+    * @private
+    */
+   _resolveSinceVersion(docDB, filePath)
+   {
+      // Versions are validated when docs are created so parse leniently here.
+      const parse = (version) =>
+      {
+         try { return SemverParser.parse(version, { lenient: true }); }
+         catch (err) { return null; }
+      };
+
+      let apiVersion = null;
+
+      if (this._mainConfig.apiVersion)
+      {
+         apiVersion = parse(this._mainConfig.apiVersion);
+
+         if (!apiVersion)
+         {
+            this._eventbus.trigger('log:warn',
+             `tjsdoc-doc-resolver-core - 'apiVersion' is not a valid semantic version: ${this._mainConfig.apiVersion}`);
+         }
+      }
+
+      const docs = docDB.find(filePath ? { since: { isString: true }, filePath } : { since: { isString: true } });
+
+      for (const doc of docs)
+      {
+         const since = parse(doc.since);
+
+         if (!since) { continue; }
+
+         if (apiVersion && SemverParser.compare(since, apiVersion) > 0)
+         {
+            doc.ignore = true;
+            continue;
+         }
+
+         if (!doc.memberof) { continue; }
+
+         const classDoc = docDB.find({ longname: doc.memberof, kind: 'ModuleClass' })[0];
+
+         const classSince = classDoc && typeof classDoc.since === 'string' ? parse(classDoc.since) : null;
+
+         if (classSince && SemverParser.compare(since, classSince) < 0)
+         {
+            this._eventbus.trigger('log:warn', `tjsdoc-doc-resolver-core - @since ${doc.since} of ${doc.longname
+             } is older than @since ${classDoc.since} of the containing class`);
+         }
+      }
+   }
+
+   /**
+    * Resolves the replacement target of `deprecatedInfo` and `experimentalInfo` to the longname of an existing doc
+    * storing it as `replacementLongname`. Like `@see` references the import aware `importName`, a target in the same
+    * file, a target relative to the containing class for targets starting with `#`, `.` or `~` and finally the target
+    * itself are tried in order. A warning is logged when the replacement doc does not exist.
+    *
+    * @param {DocDB}    docDB - The target DocDB to resolve.
+    *
+    * @param {boolean}  [filePath=undefined] - Defines a string or array of strings limiting resolution to the given
+    *                                          file paths.
+    * @private
+    */
+   _resolveStatusReplacement(docDB, filePath)
+   {
+      const deprecated = { deprecatedInfo: { isObject: true } };
+      const experimental = { experimentalInfo: { isObject: true } };
+
+      if (filePath)
+      {
+         deprecated.filePath = filePath;
+         experimental.filePath = filePath;
+      }
+
+      const docs = docDB.find(deprecated, experimental);
+
+      for (const doc of docs)
+      {
+         for (const [tagName, info] of [['@deprecated', doc.deprecatedInfo], ['@experimental', doc.experimentalInfo]])
+         {
+            if (typeof info !== 'object' || info === null || !info.replacement) { continue; }
+
+            const replacementDoc = this._findReferencedDoc(docDB, doc, info.replacement, info.importName);
+
+            info.replacementLongname = replacementDoc ? replacementDoc.longname : null;
+
+            if (!replacementDoc)
+            {
+               this._eventbus.trigger('log:warn', `tjsdoc-doc-resolver-core - ${tagName} replacement not found: ${
+                info.replacement} (${doc.longname})`);
+            }
+         }
+      }
+   }
+
    /**
     * Resolve tests and identifier relationships adding the following special properties:
     * - ``_custom_tests``: longnames of test doc.
     * - ``_custom_test_targets``: longnames of identifier.
     *
+    * @param {DocDB}    docDB - The target DocDB to resolve.
+    *
+    * @param {boolean}  [filePath=undefined] - Defines a string or array of strings limiting resolution to the given
+    *                                          file paths.
+    *
+    * @param {boolean}  [silent=false] - If true then logging is not output.
+    *
     * @private
     */
    _resolveTestRelation(docDB, filePath, silent)
@@ -630,4 +992,51 @@ export default class CoreDocResolver
          docDB.query(filePath ? { 'export': false, filePath } : { 'export': false }).update({ ignore: true });
       }
    }
+
+   /**
+    * Validates all docs against the JSON Schema of their kind via `tjsdoc:system:doc:validate`. Each validation error
+    * is logged. When the target project TJSDocConfig `docValidation` is `error` an error is thrown after all docs are
+    * validated so malformed doc data fails early.
+    *
+    * @param {DocDB}    docDB - The target DocDB to validate.
+    *
+    * @param {boolean}  [filePath=undefined] - Defines a string or array of strings limiting validation to the given
+    *                                          file paths.
+    *
+    * @private
+    */
+   _validateDocs(docDB, filePath)
+   {
+      const isError = this._mainConfig.docValidation === 'error';
+
+      let invalidCount = 0;
+
+      for (const doc of docDB.find(filePath ? { filePath } : void 0))
+      {
+         const errors = this._eventbus.triggerSync('tjsdoc:system:doc:validate', doc);
+
+         if (!Array.isArray(errors) || !errors.length) { continue; }
+
+         invalidCount++;
+
+         for (const error of errors)
+         {
+            this._eventbus.trigger(isError ? 'log:error' : 'log:warn',
+             `tjsdoc-doc-resolver-core - invalid doc data: ${doc.longname} (${doc.kind}) ${error.path} ${
+              error.message}`);
+         }
+      }
+
+      if (isError && invalidCount)
+      {
+         throw new Error(`tjsdoc-doc-resolver-core - ${invalidCount} doc(s) failed schema validation.`);
+      }
+   }
 }
+
+/**
+ * Defines the module level doc kinds which may be publicly imported.
+ * @type {string[]}
+ * @ignore
+ */
+const s_MODULE_KINDS = ['ModuleAssignment', 'ModuleClass', 'ModuleFunction', 'ModuleVariable'];
@@ -0,0 +1,498 @@
+import path             from 'path';
+
+import CommonJSQueries  from './CommonJSQueries.js';
+
+/**
+ * Provides a module export graph following imports and re-export chains to the declaration defining an exported
+ * identifier. This enables linking identifiers imported through barrel files; IE `index.js` with `export { Foo } from
+ * './Foo.js'` or `export * from './Foo.js'`, aliased imports such as `import { A as B }` and namespace imports such as
+ * `import * as ns` referenced as `ns.Foo`.
+ *
+ * The module data of each file is built lazily from the ES module declarations and CommonJS `require` bindings /
+ * exports of the file. An AST already produced by the runtime may be passed to `tjsdoc:system:module:binding:find` and
+ * `tjsdoc:system:module:export:names:get`; IE the AST of the doc querying its own module. Otherwise the file is read
+ * via `tjsdoc:system:file:content:get` and parsed by the active parser via `tjsdoc:system:parser:code:source:parse`.
+ * Files that can not be read or parsed are logged via `log:warn` and have no module data. Import specifiers are
+ * resolved via `tjsdoc:system:module:resolve`. The graph is rebuilt for the DocDB of each generation run.
+ *
+ * The following queries are available on the eventbus:
+ * - `tjsdoc:system:module:export:find` - Resolves an exported name of a module to its definition.
+ * - `tjsdoc:system:module:binding:find` - Resolves a local binding of a module to its definition.
+ * - `tjsdoc:system:module:export:names:get` - Returns the exported names of a local declaration of a module.
+ * - `tjsdoc:system:module:exports:get` - Returns all names exported by a module.
+ *
+ * A definition is a `ModuleDefinition` with the absolute `filePath` of the defining module and the declared `name` in
+ * that module. Definitions of `export * as ns` and `import * as ns` bindings have a null `name` and `namespace` is
+ * true.
+ *
+ * @example
+ * // `src/index.js` contains `export { default as Widget } from './Widget.js';`
+ * eventbus.triggerSync('tjsdoc:system:module:export:find', '/project/src/index.js', 'Widget');
+ * // { filePath: '/project/src/Widget.js', name: 'Widget', namespace: false }
+ */
+export default class ModuleExportGraph
+{
+   /**
+    * Initializes the graph.
+    */
+   constructor()
+   {
+      /**
+       * Caches module data by absolute file path; null when the file can not be read or parsed.
+       * @type {Map<string, ModuleData|null>}
+       * @private
+       */
+      this._modules = new Map();
+   }
+
+   /**
+    * Resolves a local binding of a module to its definition following imports and re-exports. A binding may be a
+    * member of a namespace import; IE `ns.Foo`.
+    *
+    * @param {string}   filePath - The absolute file path of the module.
+    *
+    * @param {string}   name - The local binding name.
+    *
+    * @param {AST}      [ast] - The AST of the module when already parsed; used instead of parsing the file.
+    *
+    * @returns {ModuleDefinition|null} The definition or null when unresolved.
+    */
+   findBinding(filePath, name, ast = void 0)
+   {
+      const module = this._getModule(filePath, ast);
+
+      if (!module) { return null; }
+
+      const [bindingName, ...members] = name.split('.');
+
+      let definition;
+
+      if (module.imports.has(bindingName))
+      {
+         const entry = module.imports.get(bindingName);
+         const source = this._resolveSource(filePath, entry.source);
+
+         if (!source) { return null; }
+
+         definition = entry.imported === '*' ? { filePath: source, name: null, namespace: true } :
+          this.findExport(source, entry.imported);
+      }
+      else if (module.locals.has(bindingName))
+      {
+         definition = { filePath, name: bindingName, namespace: false };
+      }
+
+      if (!definition) { return null; }
+
+      // Members of namespaces are resolved as exports of the namespace module.
+      while (definition && definition.namespace && members.length)
+      {
+         definition = this.findExport(definition.filePath, members.shift());
+      }
+
+      if (!definition || members.length) { return null; }
+
+      return definition;
+   }
+
+   /**
+    * Resolves an exported name of a module to its definition following re-export chains.
+    *
+    * @param {string}   filePath - The absolute file path of the module.
+    *
+    * @param {string}   exportName - The exported name; `default` for the default export.
+    *
+    * @param {string[]} [visited] - Tracks visited module exports to guard against circular re-exports.
+    *
+    * @returns {ModuleDefinition|null} The definition or null when unresolved.
+    */
+   findExport(filePath, exportName, visited = [])
+   {
+      const key = `${filePath}#${exportName}`;
+
+      if (visited.includes(key)) { return null; }
+
+      visited.push(key);
+
+      const module = this._getModule(filePath);
+
+      if (!module) { return null; }
+
+      const entry = module.exports.get(exportName);
+
+      if (entry)
+      {
+         if (entry.source)
+         {
+            const source = this._resolveSource(filePath, entry.source);
+
+            if (!source) { return null; }
+
+            if (entry.imported === '*') { return { filePath: source, name: null, namespace: true }; }
+
+            return this.findExport(source, entry.imported, visited);
+         }
+
+         // A local export of an imported binding is a re-export.
+         if (module.imports.has(entry.local))
+         {
+            const imported = module.imports.get(entry.local);
+            const source = this._resolveSource(filePath, imported.source);
+
+            if (!source) { return null; }
+
+            if (imported.imported === '*') { return { filePath: source, name: null, namespace: true }; }
+
+            return this.findExport(source, imported.imported, visited);
+         }
+
+         return { filePath, name: entry.local, namespace: false };
+      }
+
+      // `export *` does not re-export the default export.
+      if (exportName === 'default') { return null; }
+
+      for (const starSource of module.starExports)
+      {
+         const source = this._resolveSource(filePath, starSource);
+
+         const definition = source ? this.findExport(source, exportName, visited) : null;
+
+         if (definition) { return definition; }
+      }
+
+      return null;
+   }
+
+   /**
+    * Returns all names exported by a module including names of `export * from` declarations.
+    *
+    * @param {string}   filePath - The absolute file path of the module.
+    *
+    * @param {string[]} [visited] - Tracks visited modules to guard against circular re-exports.
+    *
+    * @returns {string[]} The exported names; `default` for the default export.
+    */
+   getExportedNames(filePath, visited = [])
+   {
+      if (visited.includes(filePath)) { return []; }
+
+      visited.push(filePath);
+
+      const module = this._getModule(filePath);
+
+      if (!module) { return []; }
+
+      const names = Array.from(module.exports.keys());
+
+      for (const starSource of module.starExports)
+      {
+         const source = this._resolveSource(filePath, starSource);
+
+         if (!source) { continue; }
+
+         for (const name of this.getExportedNames(source, visited))
+         {
+            // `export *` does not re-export the default export.
+            if (name !== 'default' && !names.includes(name)) { names.push(name); }
+         }
+      }
+
+      return names;
+   }
+
+   /**
+    * Returns the names a local declaration of a module is exported as.
+    *
+    * @param {string}   filePath - The absolute file path of the module.
+    *
+    * @param {string}   localName - The declared name.
+    *
+    * @param {AST}      [ast] - The AST of the module when already parsed; used instead of parsing the file.
+    *
+    * @returns {string[]} The exported names; `default` for the default export.
+    */
+   getExportNames(filePath, localName, ast = void 0)
+   {
+      const module = this._getModule(filePath, ast);
+
+      if (!module) { return []; }
+
+      const names = [];
+
+      for (const [exportName, entry] of module.exports)
+      {
+         if (!entry.source && entry.local === localName) { names.push(exportName); }
+      }
+
+      return names;
+   }
+
+   /**
+    * Wires up ModuleExportGraph on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       * @private
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:module:binding:find', this.findBinding, this);
+      this._eventbus.on('tjsdoc:system:module:export:find', this.findExport, this);
+      this._eventbus.on('tjsdoc:system:module:export:names:get', this.getExportNames, this);
+      this._eventbus.on('tjsdoc:system:module:exports:get', this.getExportedNames, this);
+   }
+
+   /**
+    * Clears the graph for the DocDB of a new generation run.
+    */
+   onRuntimePreGenerateAsync()
+   {
+      this._modules.clear();
+   }
+
+   /**
+    * Returns the module data of a file building it on first access.
+    *
+    * @param {string}   filePath - The absolute file path of the module.
+    *
+    * @param {AST}      [ast] - The AST of the module when already parsed; otherwise the file is read and parsed.
+    *
+    * @returns {ModuleData|null} The module data or null when the file can not be read or parsed.
+    * @private
+    */
+   _getModule(filePath, ast = void 0)
+   {
+      if (!this._modules.has(filePath))
+      {
+         if (typeof ast !== 'object' || ast === null) { ast = this._parseModule(filePath); }
+
+         this._modules.set(filePath, ast ? s_BUILD_MODULE(ast) : null);
+      }
+
+      return this._modules.get(filePath);
+   }
+
+   /**
+    * Reads and parses a module logging a warning when the file can not be read or parsed.
+    *
+    * @param {string}   filePath - The absolute file path of the module.
+    *
+    * @returns {AST|null} The AST of the module or null when the file can not be read or parsed.
+    * @private
+    */
+   _parseModule(filePath)
+   {
+      const code = this._eventbus.triggerSync('tjsdoc:system:file:content:get', filePath);
+
+      if (typeof code !== 'string')
+      {
+         this._eventbus.trigger('log:warn', `tjsdoc-module-export-graph - can not read module: ${filePath}`);
+         return null;
+      }
+
+      try
+      {
+         return this._eventbus.triggerSync('tjsdoc:system:parser:code:source:parse', code) || null;
+      }
+      catch (err)
+      {
+         this._eventbus.trigger('log:warn', `tjsdoc-module-export-graph - can not parse module: ${filePath}${
+          err && err.message ? ` (${err.message})` : ''}`);
+
+         return null;
+      }
+   }
+
+   /**
+    * Resolves an import specifier of a module.
+    *
+    * @param {string}   filePath - The absolute file path of the importing module.
+    *
+    * @param {string}   specifier - The import specifier.
+    *
+    * @returns {string|null} The absolute file path of the imported module.
+    * @private
+    */
+   _resolveSource(filePath, specifier)
+   {
+      const resolved = this._eventbus.triggerSync('tjsdoc:system:module:resolve', specifier, filePath);
+
+      if (resolved) { return resolved; }
+
+      // Fallback for relative specifiers when no module resolver is available.
+      if (specifier.startsWith('.'))
+      {
+         const absolutePath = path.resolve(path.dirname(filePath), specifier);
+
+         return this._eventbus.triggerSync('tjsdoc:system:file:exists', absolutePath) ? absolutePath : null;
+      }
+
+      return null;
+   }
+}
+
+/**
+ * Builds module data from the top level declarations of a parsed module. CommonJS `require` bindings and exports are
+ * added when not shadowed by ES module declarations; a whole module `require` binding imports `default` which
+ * corresponds to `module.exports`.
+ *
+ * @param {AST}      ast - The AST of a module.
+ *
+ * @returns {ModuleData}
+ * @ignore
+ */
+const s_BUILD_MODULE = (ast) =>
+{
+   const module = { exports: new Map(), imports: new Map(), locals: new Set(), starExports: [] };
+   const program = ast.program || ast;
+
+   const addLocal = (declaration) =>
+   {
+      if (!declaration) { return []; }
+
+      const names = [];
+
+      if (declaration.id && declaration.id.name)
+      {
+         names.push(declaration.id.name);
+      }
+      else if (Array.isArray(declaration.declarations))
+      {
+         for (const declarator of declaration.declarations)
+         {
+            if (declarator.id && declarator.id.type === 'Identifier') { names.push(declarator.id.name); }
+         }
+      }
+
+      for (const name of names) { module.locals.add(name); }
+
+      return names;
+   };
+
+   for (const node of program.body || [])
+   {
+      switch (node.type)
+      {
+         case 'ImportDeclaration':
+            for (const specifier of node.specifiers || [])
+            {
+               const imported = specifier.type === 'ImportDefaultSpecifier' ? 'default' :
+                specifier.type === 'ImportNamespaceSpecifier' ? '*' : s_NAME(specifier.imported);
+
+               module.imports.set(specifier.local.name, { source: node.source.value, imported });
+            }
+            break;
+
+         case 'ExportAllDeclaration':
+            if (node.exported)
+            {
+               module.exports.set(s_NAME(node.exported), { source: node.source.value, imported: '*' });
+            }
+            else
+            {
+               module.starExports.push(node.source.value);
+            }
+            break;
+
+         case 'ExportDefaultDeclaration':
+         {
+            const declaration = node.declaration;
+
+            if (declaration && declaration.type === 'Identifier')
+            {
+               module.exports.set('default', { local: declaration.name });
+            }
+            else
+            {
+               const names = addLocal(declaration);
+
+               // Anonymous default declarations are documented by the name `default`.
+               module.exports.set('default', { local: names.length ? names[0] : 'default' });
+            }
+            break;
+         }
+
+         case 'ExportNamedDeclaration':
+            for (const name of addLocal(node.declaration)) { module.exports.set(name, { local: name }); }
+
+            for (const specifier of node.specifiers || [])
+            {
+               const exported = s_NAME(specifier.exported);
+
+               if (specifier.type === 'ExportNamespaceSpecifier')
+               {
+                  module.exports.set(exported, { source: node.source.value, imported: '*' });
+               }
+               else if (specifier.type === 'ExportDefaultSpecifier')
+               {
+                  module.exports.set(exported, { source: node.source.value, imported: 'default' });
+               }
+               else if (node.source)
+               {
+                  module.exports.set(exported, { source: node.source.value, imported: s_NAME(specifier.local) });
+               }
+               else
+               {
+                  module.exports.set(exported, { local: s_NAME(specifier.local) });
+               }
+            }
+            break;
+
+         default:
+            addLocal(node);
+            break;
+      }
+   }
+
+   const commonJS = CommonJSQueries.parseModule(ast);
+
+   for (const [name, binding] of commonJS.requires)
+   {
+      if (!module.imports.has(name))
+      {
+         module.imports.set(name, { source: binding.source, imported: binding.imported || 'default' });
+      }
+   }
+
+   for (const [name, entry] of commonJS.exports)
+   {
+      if (!module.exports.has(name)) { module.exports.set(name, entry); }
+   }
+
+   for (const name of commonJS.locals) { module.locals.add(name); }
+
+   return module;
+};
+
+/**
+ * Returns the name of an identifier or string literal module export name.
+ *
+ * @param {ASTNode}  node - An identifier or string literal AST node.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_NAME = (node) => node.type === 'Identifier' ? node.name : String(node.value);
+
+/**
+ * @typedef {object} ModuleDefinition
+ * @property {string}         filePath - The absolute file path of the defining module.
+ * @property {string|null}    name - The declared name in the defining module or null for a namespace.
+ * @property {boolean}        namespace - True when the definition is a module namespace.
+ */
+
+/**
+ * @typedef {object} ModuleData
+ * @property {Map<string, object>}  exports - Exported name -> `{ local }` for local declarations or `{ source,
+ *                                            imported }` for re-exports where `imported` is `*` for namespaces.
+ * @property {Map<string, object>}  imports - Local binding name -> `{ source, imported }` where `imported` is
+ *                                            `default`, `*` or the imported name.
+ * @property {Set<string>}          locals - The top level declared names.
+ * @property {string[]}             starExports - The specifiers of `export * from` declarations.
+ */
@@ -0,0 +1,475 @@
+import path from 'path';
+
+/**
+ * Resolves import specifiers to absolute source file paths against the local file system. This is used by
+ * `DocBase._resolveLongname` via `tjsdoc:system:module:resolve`, so that longnames of imported identifiers refer to
+ * the defining file. Plugins may replace this resolver by adding a different `tjsdoc:system:module:resolve` handler.
+ *
+ * The following specifiers are resolved:
+ * - Relative and absolute paths; a missing extension is resolved by trying the TJSDocConfig `pathExtensions` and
+ *   directories are resolved by `package.json` `main` or an `index` file.
+ * - Path aliases defined by the target project TJSDocConfig `pathAliases`; IE `{ "@app/*": "src/*" }`. A pattern may
+ *   include a single `*` wildcard and may map to a single target or an array of targets tried in order. Targets are
+ *   relative to the target project TJSDocConfig `rootPath` or the current working directory when `rootPath` is not
+ *   defined.
+ * - Self references to the package containing the importing file by its `package.json` `name`.
+ * - Packages in `node_modules` directories above the importing file.
+ *
+ * Packages are resolved by `package.json` `exports` including subpath patterns and the `import`, `module`, `node`,
+ * `require` and `default` conditions, otherwise by `main` or an `index` file. Resolved file paths are real paths, so
+ * linked packages of a monorepo resolve to their source location.
+ *
+ * `package.json` files, file type checks and real paths are read through the shared source file cache via
+ * `tjsdoc:system:file:content:get`, `tjsdoc:system:file:is:file`, `tjsdoc:system:file:is:directory` and
+ * `tjsdoc:system:file:realpath:get`.
+ *
+ * @example
+ * const absolutePath = eventbus.triggerSync('tjsdoc:system:module:resolve', '@app/utils', '/project/src/Foo.js');
+ */
+export default class ModuleResolver
+{
+   /**
+    * Initializes the resolver.
+    */
+   constructor()
+   {
+      /**
+       * The plugin eventbus.
+       * @type {EventProxy}
+       * @private
+       */
+      this._eventbus = null;
+
+      /**
+       * Caches parsed `package.json` files by absolute file path; null when missing or invalid.
+       * @type {Map<string, object|null>}
+       * @private
+       */
+      this._packageCache = new Map();
+
+      /**
+       * The path aliases from the target project TJSDocConfig `pathAliases`.
+       * @type {Array<{pattern: string, targets: string[]}>}
+       * @private
+       */
+      this._pathAliases = [];
+
+      /**
+       * The supported path extensions from the target project TJSDocConfig `pathExtensions`.
+       * @type {string[]}
+       * @private
+       */
+      this._pathExtensions = ['.js'];
+
+      /**
+       * The absolute root path of the target project that path alias targets are relative to.
+       * @type {string}
+       * @private
+       */
+      this._rootPath = process.cwd();
+   }
+
+   /**
+    * Returns the public entry points of a package defined by `package.json` `exports` or otherwise `main`. Subpath
+    * patterns of `exports` are not included.
+    *
+    * @param {string}   packageDir - The absolute package directory.
+    *
+    * @returns {Array<{specifier: string, filePath: string}>} The public import specifiers and absolute file paths.
+    */
+   getEntryPoints(packageDir)
+   {
+      const data = this._readPackage(path.join(packageDir, 'package.json'));
+
+      if (!data || typeof data.name !== 'string') { return []; }
+
+      const subpaths = typeof data.exports !== 'undefined' && data.exports !== null ?
+       Object.keys(s_NORMALIZE_EXPORTS(data.exports)).filter((key) => key.startsWith('.') && !key.includes('*')) :
+        ['.'];
+
+      const entryPoints = [];
+
+      for (const key of subpaths)
+      {
+         const subpath = key === '.' ? '' : key.replace(/^\.\//, '');
+         const filePath = this._resolvePackage(packageDir, data, subpath);
+
+         if (filePath) { entryPoints.push({ specifier: subpath ? `${data.name}/${subpath}` : data.name, filePath }); }
+      }
+
+      return entryPoints;
+   }
+
+   /**
+    * Wires up ModuleResolver on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      this._eventbus = ev.eventbus;
+
+      ev.eventbus.on('tjsdoc:system:module:entry:points:get', this.getEntryPoints, this);
+      ev.eventbus.on('tjsdoc:system:module:resolve', this.resolve, this);
+   }
+
+   /**
+    * Stores the path aliases, path extensions and root path of the target project TJSDocConfig.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      const config = ev.data.mainConfig;
+
+      if (Array.isArray(config.pathExtensions)) { this._pathExtensions = config.pathExtensions; }
+
+      this._rootPath = typeof config.rootPath === 'string' ? path.resolve(config.rootPath) : process.cwd();
+
+      this._pathAliases = [];
+
+      if (typeof config.pathAliases === 'object' && config.pathAliases !== null)
+      {
+         for (const pattern of Object.keys(config.pathAliases))
+         {
+            const targets = config.pathAliases[pattern];
+
+            this._pathAliases.push({ pattern, targets: Array.isArray(targets) ? targets : [targets] });
+         }
+      }
+
+      this._packageCache.clear();
+   }
+
+   /**
+    * Resolves an import specifier.
+    *
+    * @param {string}   specifier - The import specifier; IE `./utils`, `@app/utils` or `my-package/feature`.
+    *
+    * @param {string}   fromPath - The absolute file path of the importing file.
+    *
+    * @returns {string|null} The absolute real path of the resolved file or null when unresolved.
+    */
+   resolve(specifier, fromPath)
+   {
+      if (typeof specifier !== 'string') { throw new TypeError(`'specifier' is not a 'string'.`); }
+      if (typeof fromPath !== 'string') { throw new TypeError(`'fromPath' is not a 'string'.`); }
+
+      const fromDir = path.dirname(fromPath);
+
+      for (const alias of this._pathAliases)
+      {
+         const match = s_MATCH_PATTERN(alias.pattern, specifier);
+
+         if (match === null) { continue; }
+
+         for (const target of alias.targets)
+         {
+            const resolved = this._resolveFile(path.resolve(this._rootPath, target.replace('*', match)));
+
+            if (resolved) { return resolved; }
+         }
+      }
+
+      if (specifier.startsWith('.') || path.isAbsolute(specifier))
+      {
+         return this._resolveFile(path.resolve(fromDir, specifier));
+      }
+
+      const nameMatch = specifier.match(/^((?:@[^/]+\/)?[^/]+)(?:\/(.*))?$/);
+
+      if (!nameMatch) { return null; }
+
+      const [, packageName, subpath = ''] = nameMatch;
+
+      // Self reference to the package containing the importing file.
+      const ownPackage = this._findPackage(fromDir);
+
+      if (ownPackage && ownPackage.data.name === packageName)
+      {
+         return this._resolvePackage(ownPackage.dir, ownPackage.data, subpath);
+      }
+
+      for (let dir = fromDir; ; dir = path.dirname(dir))
+      {
+         const packageDir = path.join(dir, 'node_modules', packageName);
+         const data = this._readPackage(path.join(packageDir, 'package.json'));
+
+         if (data) { return this._resolvePackage(packageDir, data, subpath); }
+
+         if (path.dirname(dir) === dir) { break; }
+      }
+
+      return null;
+   }
+
+   /**
+    * Finds the nearest `package.json` in the given directory or any parent directory.
+    *
+    * @param {string}   dir - An absolute directory path.
+    *
+    * @returns {{dir: string, data: object}|null} The package directory and parsed `package.json`.
+    * @private
+    */
+   _findPackage(dir)
+   {
+      for (;; dir = path.dirname(dir))
+      {
+         const data = this._readPackage(path.join(dir, 'package.json'));
+
+         if (data) { return { dir, data }; }
+
+         if (path.dirname(dir) === dir) { return null; }
+      }
+   }
+
+   /**
+    * Returns the real path of a file via `tjsdoc:system:file:realpath:get`.
+    *
+    * @param {string}   filePath - An absolute file path.
+    *
+    * @returns {string} The absolute real path.
+    * @private
+    */
+   _getRealPath(filePath)
+   {
+      return this._eventbus.triggerSync('tjsdoc:system:file:realpath:get', filePath) || filePath;
+   }
+
+   /**
+    * Returns whether a path is a directory via `tjsdoc:system:file:is:directory`.
+    *
+    * @param {string}   filePath - An absolute path.
+    *
+    * @returns {boolean}
+    * @private
+    */
+   _isDirectory(filePath)
+   {
+      return this._eventbus.triggerSync('tjsdoc:system:file:is:directory', filePath) === true;
+   }
+
+   /**
+    * Returns whether a path is a file via `tjsdoc:system:file:is:file`.
+    *
+    * @param {string}   filePath - An absolute path.
+    *
+    * @returns {boolean}
+    * @private
+    */
+   _isFile(filePath)
+   {
+      return this._eventbus.triggerSync('tjsdoc:system:file:is:file', filePath) === true;
+   }
+
+   /**
+    * Reads and caches a `package.json` file.
+    *
+    * @param {string}   filePath - The absolute `package.json` file path.
+    *
+    * @returns {object|null} The parsed `package.json` or null when missing or invalid.
+    * @private
+    */
+   _readPackage(filePath)
+   {
+      if (!this._packageCache.has(filePath))
+      {
+         const content = this._eventbus.triggerSync('tjsdoc:system:file:content:get', filePath);
+
+         let data = null;
+
+         try
+         {
+            if (typeof content === 'string') { data = JSON.parse(content); }
+         }
+         catch (err) { /* nop */ }
+
+         this._packageCache.set(filePath, typeof data === 'object' ? data : null);
+      }
+
+      return this._packageCache.get(filePath);
+   }
+
+   /**
+    * Resolves a file path by trying the path itself, the path with each supported path extension and finally a
+    * directory by its `package.json` `main` or `index` file.
+    *
+    * @param {string}   filePath - An absolute file path possibly without extension.
+    *
+    * @returns {string|null} The absolute real path of the resolved file or null when unresolved.
+    * @private
+    */
+   _resolveFile(filePath)
+   {
+      for (const candidate of [filePath].concat(this._pathExtensions.map((extension) => `${filePath}${extension}`)))
+      {
+         if (this._isFile(candidate)) { return this._getRealPath(candidate); }
+      }
+
+      if (!this._isDirectory(filePath)) { return null; }
+
+      const data = this._readPackage(path.join(filePath, 'package.json'));
+
+      if (data && typeof data.main === 'string')
+      {
+         const main = path.resolve(filePath, data.main);
+
+         // Avoid recursion for a `main` referring to the directory itself.
+         if (main !== filePath)
+         {
+            const resolved = this._resolveFile(main);
+
+            if (resolved) { return resolved; }
+         }
+      }
+
+      for (const extension of this._pathExtensions)
+      {
+         const candidate = path.join(filePath, `index${extension}`);
+
+         if (this._isFile(candidate)) { return this._getRealPath(candidate); }
+      }
+
+      return null;
+   }
+
+   /**
+    * Resolves a subpath of a package by `package.json` `exports` or `main`.
+    *
+    * @param {string}   packageDir - The absolute package directory.
+    *
+    * @param {object}   data - The parsed `package.json`.
+    *
+    * @param {string}   subpath - The subpath without leading `./`; an empty string for the package entry point.
+    *
+    * @returns {string|null} The absolute real path of the resolved file or null when unresolved.
+    * @private
+    */
+   _resolvePackage(packageDir, data, subpath)
+   {
+      if (typeof data.exports !== 'undefined' && data.exports !== null)
+      {
+         const exportsMap = s_NORMALIZE_EXPORTS(data.exports);
+         const key = subpath ? `./${subpath}` : '.';
+
+         let match = '', target = null;
+
+         if (Object.prototype.hasOwnProperty.call(exportsMap, key))
+         {
+            target = exportsMap[key];
+         }
+         else
+         {
+            for (const pattern of Object.keys(exportsMap))
+            {
+               match = s_MATCH_PATTERN(pattern, key);
+
+               if (match !== null && pattern.includes('*')) { target = exportsMap[pattern]; break; }
+            }
+         }
+
+         const resolvedTarget = s_RESOLVE_CONDITIONS(target);
+
+         // Subpaths not defined by `exports` are not accessible.
+         if (typeof resolvedTarget !== 'string') { return null; }
+
+         return this._resolveFile(path.resolve(packageDir, resolvedTarget.replace('*', match || '')));
+      }
+
+      if (subpath) { return this._resolveFile(path.resolve(packageDir, subpath)); }
+
+      return this._resolveFile(packageDir);
+   }
+}
+
+/**
+ * The supported `package.json` `exports` conditions.
+ * @type {string[]}
+ * @ignore
+ */
+const s_CONDITIONS = ['import', 'module', 'node', 'require', 'default'];
+
+/**
+ * Matches a value against a pattern with an optional single `*` wildcard.
+ *
+ * @param {string}   pattern - The pattern; IE `@app/*`.
+ *
+ * @param {string}   value - The value to match.
+ *
+ * @returns {string|null} The text matched by the wildcard, an empty string for an exact match or null.
+ * @ignore
+ */
+const s_MATCH_PATTERN = (pattern, value) =>
+{
+   const starIndex = pattern.indexOf('*');
+
+   if (starIndex < 0) { return pattern === value ? '' : null; }
+
+   const prefix = pattern.substring(0, starIndex);
+   const suffix = pattern.substring(starIndex + 1);
+
+   if (value.length < prefix.length + suffix.length || !value.startsWith(prefix) || !value.endsWith(suffix))
+   {
+      return null;
+   }
+
+   return value.substring(prefix.length, value.length - suffix.length);
+};
+
+/**
+ * Normalizes `package.json` `exports` to an object keyed by subpath.
+ *
+ * @param {string|Array|object}  exportsField - The `exports` field.
+ *
+ * @returns {object}
+ * @ignore
+ */
+const s_NORMALIZE_EXPORTS = (exportsField) =>
+{
+   // Conditions only or a single target apply to the package entry point.
+   if (typeof exportsField === 'string' || Array.isArray(exportsField) ||
+    !Object.keys(exportsField).some((key) => key.startsWith('.')))
+   {
+      return { '.': exportsField };
+   }
+
+   return exportsField;
+};
+
+/**
+ * Resolves the target of a `package.json` `exports` entry by the supported conditions in key order.
+ *
+ * @param {string|Array|object|null}   target - An `exports` target.
+ *
+ * @returns {string|null} The target path or null when no condition is supported.
+ * @ignore
+ */
+const s_RESOLVE_CONDITIONS = (target) =>
+{
+   if (typeof target === 'string') { return target; }
+
+   if (Array.isArray(target))
+   {
+      for (const entry of target)
+      {
+         const resolved = s_RESOLVE_CONDITIONS(entry);
+
+         if (resolved) { return resolved; }
+      }
+
+      return null;
+   }
+
+   if (typeof target !== 'object' || target === null) { return null; }
+
+   for (const key of Object.keys(target))
+   {
+      if (!s_CONDITIONS.includes(key)) { continue; }
+
+      const resolved = s_RESOLVE_CONDITIONS(target[key]);
+
+      if (resolved) { return resolved; }
+   }
+
+   return null;
+};
@@ -0,0 +1,552 @@
+/**
+ * Provides a JSON Schema (draft-07) for the doc object data of each doc `kind` along with a validator for doc objects.
+ * The schemas describe the values set by the `_$` methods of DocBase and the doc classes, the `_custom_*` values set
+ * by `CoreDocResolver` and the `sourceRange` of docs exported by `DocSerializer`. Additional values such as custom tags
+ * registered with `TagRegistry` are allowed.
+ *
+ * The validator supports the subset of JSON Schema used by the doc schemas: `$ref` to local definitions, `allOf`,
+ * `anyOf`, `const`, `enum`, `items`, `minItems`, `maxItems`, `properties`, `required`, `additionalProperties` and
+ * `type`. Properties with an `undefined` value are treated as absent as they are not serialized to JSON.
+ *
+ * `CoreDocResolver` validates all docs after resolution via `tjsdoc:system:doc:validate` when the target project
+ * TJSDocConfig `docValidation` is `warning` or `error`.
+ *
+ * @example
+ * const schema = eventbus.triggerSync('tjsdoc:data:doc:schema:get', 'ModuleClass');
+ * const errors = eventbus.triggerSync('tjsdoc:system:doc:validate', doc);   // [{ path: '/name', message: '...' }]
+ */
+export default class DocSchema
+{
+   /**
+    * Returns all doc kinds with a schema.
+    *
+    * @returns {string[]}
+    */
+   getKinds()
+   {
+      return Object.keys(s_KIND_SCHEMAS);
+   }
+
+   /**
+    * Returns a copy of the JSON Schema for a doc kind.
+    *
+    * @param {string}   kind - A doc kind; IE `ModuleClass`.
+    *
+    * @returns {object|undefined} The JSON Schema or undefined for an unknown doc kind.
+    */
+   getSchema(kind)
+   {
+      if (!Object.prototype.hasOwnProperty.call(s_KIND_SCHEMAS, kind)) { return void 0; }
+
+      return JSON.parse(JSON.stringify(s_CREATE_SCHEMA(kind)));
+   }
+
+   /**
+    * Wires up DocSchema on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      const eventbus = ev.eventbus;
+
+      eventbus.on('tjsdoc:data:doc:schema:get', this.getSchema, this);
+      eventbus.on('tjsdoc:data:doc:schema:kinds:get', this.getKinds, this);
+      eventbus.on('tjsdoc:system:doc:validate', this.validate, this);
+   }
+
+   /**
+    * Validates a doc object against the JSON Schema of its kind.
+    *
+    * @param {DocObject}   doc - A doc object.
+    *
+    * @returns {Array<{path: string, message: string}>} The validation errors as JSON pointer paths and messages; an
+    *                                                     empty array when the doc is valid.
+    */
+   validate(doc)
+   {
+      if (typeof doc !== 'object' || doc === null) { return [{ path: '', message: 'is not an object' }]; }
+
+      if (!Object.prototype.hasOwnProperty.call(s_KIND_SCHEMAS, doc.kind))
+      {
+         return [{ path: '/kind', message: `is not a known doc kind: ${doc.kind}` }];
+      }
+
+      const schema = s_CREATE_SCHEMA(doc.kind);
+      const errors = [];
+
+      s_VALIDATE(doc, schema, schema, '', errors);
+
+      return errors;
+   }
+}
+
+/**
+ * Creates a JSON Schema type for a value which may be null.
+ *
+ * @param {object}   schema - The schema of the non null value.
+ *
+ * @returns {object}
+ * @ignore
+ */
+const s_NULLABLE = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+
+/**
+ * Provides commonly used schemas.
+ * @type {object}
+ * @ignore
+ */
+const s_ARRAY_OF_STRINGS = { type: 'array', items: { type: 'string' } };
+
+/**
+ * Provides local definitions shared by all doc schemas.
+ * @type {object}
+ * @ignore
+ */
+const s_DEFINITIONS =
+{
+   example:
+   {
+      type: 'object',
+      required: ['language'],
+      properties:
+      {
+         language: { type: 'string' },
+         code: { type: ['string', 'null'] },
+         caption: { type: 'string' },
+         file:
+         {
+            type: 'object',
+            required: ['filePath'],
+            properties:
+            {
+               filePath: { type: 'string' },
+               region: { type: ['string', 'null'] },
+               line: { type: 'integer' }
+            }
+         },
+         syntaxError:
+         {
+            type: 'object',
+            required: ['message'],
+            properties: { message: { type: 'string' }, line: { type: ['integer', 'null'] } }
+         },
+         verified: { type: 'boolean' },
+         error: { type: ['string', 'null'] }
+      }
+   },
+
+   location:
+   {
+      type: 'object',
+      required: ['line', 'column'],
+      properties: { line: { type: 'integer' }, column: { type: 'integer' } }
+   },
+
+   param:
+   {
+      type: 'object',
+      required: ['types'],
+      properties:
+      {
+         types: s_ARRAY_OF_STRINGS,
+         typeAST: { type: 'object' },
+         nullable: { type: ['boolean', 'null'] },
+         spread: { type: 'boolean' },
+         optional: { type: 'boolean' },
+         name: { type: 'string' },
+         description: { type: ['string', 'null'] },
+         defaultValue: { type: 'string' },
+         defaultRaw: {},
+         defaultType: { 'enum': ['literal', 'expression'] },
+         source: { 'enum': ['documented', 'guessed'] }
+      }
+   },
+
+   paramTreeNode:
+   {
+      allOf: [
+         { $ref: '#/definitions/param' },
+         {
+            type: 'object',
+            required: ['key', 'element', 'children'],
+            properties:
+            {
+               key: { type: 'string' },
+               element: { type: 'boolean' },
+               children: { type: 'array', items: { $ref: '#/definitions/paramTreeNode' } }
+            }
+         }
+      ]
+   },
+
+   range:
+   {
+      type: 'object',
+      required: ['start', 'end'],
+      properties: { start: { $ref: '#/definitions/location' }, end: { $ref: '#/definitions/location' } }
+   },
+
+   seeReference:
+   {
+      type: 'object',
+      required: ['type', 'value'],
+      properties:
+      {
+         type: { 'enum': ['url', 'link', 'identifier', 'text'] },
+         value: { type: 'string' },
+         target: { type: 'string' },
+         label: { type: ['string', 'null'] },
+         importName: { type: 'string' },
+         longname: { type: ['string', 'null'] }
+      }
+   },
+
+   statusInfo:
+   {
+      type: 'object',
+      properties:
+      {
+         since: { type: ['string', 'null'] },
+         removal: { type: ['string', 'null'] },
+         replacement: { type: ['string', 'null'] },
+         reason: { type: ['string', 'null'] },
+         importName: { type: 'string' },
+         replacementLongname: { type: ['string', 'null'] }
+      }
+   },
+
+   tag:
+   {
+      type: 'object',
+      required: ['tagName', 'tagValue'],
+      properties:
+      {
+         tagName: { type: 'string' },
+         tagValue: { type: 'string' },
+         tagAlias: { type: 'string' },
+         loc: { $ref: '#/definitions/range' },
+         valueLoc: { $ref: '#/definitions/range' },
+         inlineTags: { type: 'array', items: { type: 'object' } }
+      }
+   },
+
+   typeDescription:
+   {
+      type: 'object',
+      required: ['types'],
+      properties: { types: s_ARRAY_OF_STRINGS, description: { type: ['string', 'null'] } }
+   }
+};
+
+/**
+ * Defines the doc object properties set by DocBase and `CoreDocResolver` for all doc kinds.
+ * @type {object}
+ * @ignore
+ */
+const s_COMMON_PROPERTIES =
+{
+   '__docId__': { type: 'integer' },
+   '__esModuleId__': { type: ['integer', 'null'] },
+   'kind': { type: 'string' },
+   'category': { type: 'string' },
+   'name': { type: ['string', 'null'] },
+   'filePath': { type: 'string' },
+   'static': { type: 'boolean' },
+   'longname': { type: 'string' },
+   'memberof': { type: 'string' },
+   'qualifier': { type: 'string' },
+   'lineNumber': { type: ['integer', 'null'] },
+   'sourceRange': { $ref: '#/definitions/range' },
+   'node': { type: 'object' },
+   'ast': { type: 'object' },
+
+   'abstract': { type: 'boolean' },
+   'access': { 'enum': ['public', 'protected', 'private', 'package', null] },
+   'decorators': s_NULLABLE({ type: 'array', items: { type: 'object' } }),
+   'deprecated': { type: ['boolean', 'string'] },
+   'deprecatedInfo': { $ref: '#/definitions/statusInfo' },
+   'description': { type: ['string', 'null'] },
+   'emits': { type: 'array', items: { $ref: '#/definitions/typeDescription' } },
+   'examples': { type: 'array', items: { $ref: '#/definitions/example' } },
+   'experimental': { type: ['boolean', 'string'] },
+   'experimentalInfo': { $ref: '#/definitions/statusInfo' },
+   'ignore': { type: 'boolean' },
+   'listens': { type: 'array', items: { $ref: '#/definitions/typeDescription' } },
+   'override': { type: 'boolean' },
+   'params': { type: 'array', items: { $ref: '#/definitions/param' } },
+   'paramTree': { type: 'array', items: { $ref: '#/definitions/paramTreeNode' } },
+   'properties': { type: 'array', items: { $ref: '#/definitions/param' } },
+   'return': { $ref: '#/definitions/param' },
+   'see': s_ARRAY_OF_STRINGS,
+   'seeInfo': { type: 'array', items: { $ref: '#/definitions/seeReference' } },
+   'since': { type: 'string' },
+   'tagsKnown': { type: 'array', items: { $ref: '#/definitions/tag' } },
+   'tagsUnknown': { type: 'array', items: { $ref: '#/definitions/tag' } },
+   'throws': { type: 'array', items: { $ref: '#/definitions/typeDescription' } },
+   'todo': s_ARRAY_OF_STRINGS,
+   'type': { $ref: '#/definitions/param' },
+   'undocument': { type: 'boolean' },
+   'version': { type: 'string' },
+
+   '_custom_dependent_file_paths': s_ARRAY_OF_STRINGS,
+   '_custom_tests': s_ARRAY_OF_STRINGS
+};
+
+/**
+ * Defines the doc object properties of module level docs.
+ * @type {object}
+ * @ignore
+ */
+const s_MODULE_PROPERTIES =
+{
+   'export': { type: 'boolean' },
+   'importPath': { type: 'string' },
+   'importStyle': { type: ['string', 'null'] },
+   'internal': { type: 'boolean' },
+   'publicImports':
+   {
+      type: 'array',
+      items:
+      {
+         type: 'object',
+         required: ['specifier', 'importStyle', 'name'],
+         properties: { specifier: { type: 'string' }, importStyle: { type: 'string' }, name: { type: 'string' } }
+      }
+   }
+};
+
+/**
+ * Defines the doc object properties of function and method docs.
+ * @type {object}
+ * @ignore
+ */
+const s_FUNCTION_PROPERTIES =
+{
+   async: { type: 'boolean' },
+   generator: { type: 'boolean' }
+};
+
+/**
+ * Defines the required properties and additional properties of each doc kind.
+ * @type {Object<string, {required: string[], properties: object}>}
+ * @ignore
+ */
+const s_KIND_SCHEMAS =
+{
+   ClassMember: { required: ['memberof'], properties: {} },
+
+   ClassMethod:
+   {
+      required: ['memberof'],
+      properties: Object.assign({ accessor: { type: 'boolean' } }, s_FUNCTION_PROPERTIES)
+   },
+
+   ClassProperty: { required: ['memberof'], properties: {} },
+
+   ModuleAssignment: { required: ['memberof'], properties: s_MODULE_PROPERTIES },
+
+   ModuleClass:
+   {
+      required: ['memberof'],
+      properties: Object.assign({
+         'extends': s_ARRAY_OF_STRINGS,
+         'implements': s_ARRAY_OF_STRINGS,
+         'interface': { type: 'boolean' },
+         '_custom_direct_implemented': s_ARRAY_OF_STRINGS,
+         '_custom_direct_subclasses': s_ARRAY_OF_STRINGS,
+         '_custom_extends_chains': s_ARRAY_OF_STRINGS,
+         '_custom_indirect_implemented': s_ARRAY_OF_STRINGS,
+         '_custom_indirect_implements': s_ARRAY_OF_STRINGS,
+         '_custom_indirect_subclasses': s_ARRAY_OF_STRINGS
+      }, s_MODULE_PROPERTIES)
+   },
+
+   ModuleFile: { required: ['content'], properties: { content: { type: 'string' } } },
+
+   ModuleFunction:
+   {
+      required: ['memberof'],
+      properties: Object.assign({}, s_MODULE_PROPERTIES, s_FUNCTION_PROPERTIES)
+   },
+
+   ModuleMemory: { required: ['content'], properties: { content: { type: 'string' } } },
+
+   ModuleTestFile: { required: ['content'], properties: { content: { type: 'string' } } },
+
+   ModuleVariable: { required: ['memberof'], properties: s_MODULE_PROPERTIES },
+
+   Test:
+   {
+      required: ['testId'],
+      properties:
+      {
+         testId: { type: ['integer', 'string'] },
+         testTargets: s_ARRAY_OF_STRINGS,
+         _custom_test_targets:
+         {
+            type: 'array',
+            items: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 2 }
+         }
+      }
+   },
+
+   VirtualExternal: { required: ['memberof'], properties: { externalLink: { type: 'string' } } },
+
+   VirtualTypedef: { required: [], properties: {} }
+};
+
+/**
+ * Defines the properties required for all doc kinds.
+ * @type {string[]}
+ * @ignore
+ */
+const s_REQUIRED = ['__docId__', 'kind', 'category', 'name', 'filePath', 'static', 'longname'];
+
+/**
+ * Creates the JSON Schema for a doc kind.
+ *
+ * @param {string}   kind - A doc kind.
+ *
+ * @returns {object}
+ * @ignore
+ */
+const s_CREATE_SCHEMA = (kind) =>
+{
+   const kindSchema = s_KIND_SCHEMAS[kind];
+
+   return {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      $id: `tjsdoc-docs-common/doc/${kind}`,
+      title: `${kind} doc object`,
+      type: 'object',
+      required: s_REQUIRED.concat(kindSchema.required),
+      properties: Object.assign({}, s_COMMON_PROPERTIES, kindSchema.properties, { kind: { 'const': kind } }),
+      additionalProperties: true,
+      definitions: s_DEFINITIONS
+   };
+};
+
+/**
+ * Returns the JSON Schema type names matching a value.
+ *
+ * @param {*}  value - A value.
+ *
+ * @returns {string[]}
+ * @ignore
+ */
+const s_GET_TYPES = (value) =>
+{
+   if (value === null) { return ['null']; }
+   if (Array.isArray(value)) { return ['array']; }
+   if (typeof value === 'number') { return Number.isInteger(value) ? ['number', 'integer'] : ['number']; }
+
+   return [typeof value];
+};
+
+/**
+ * Validates a value against a schema collecting errors.
+ *
+ * @param {*}        value - The value to validate.
+ *
+ * @param {object}   schema - The schema to validate against.
+ *
+ * @param {object}   root - The root schema containing `definitions`.
+ *
+ * @param {string}   path - The JSON pointer of the value.
+ *
+ * @param {Array<{path: string, message: string}>} errors - Collects validation errors.
+ *
+ * @ignore
+ */
+const s_VALIDATE = (value, schema, root, path, errors) =>
+{
+   if (schema.$ref)
+   {
+      s_VALIDATE(value, root.definitions[schema.$ref.replace('#/definitions/', '')], root, path, errors);
+      return;
+   }
+
+   if (schema.allOf)
+   {
+      for (const entry of schema.allOf) { s_VALIDATE(value, entry, root, path, errors); }
+   }
+
+   if (schema.anyOf)
+   {
+      const valid = schema.anyOf.some((entry) =>
+      {
+         const entryErrors = [];
+
+         s_VALIDATE(value, entry, root, path, entryErrors);
+
+         return entryErrors.length === 0;
+      });
+
+      if (!valid) { errors.push({ path, message: 'does not match any allowed schema' }); return; }
+   }
+
+   if (schema.hasOwnProperty('const') && value !== schema.const)
+   {
+      errors.push({ path, message: `is not ${JSON.stringify(schema.const)}` });
+      return;
+   }
+
+   if (schema.enum && !schema.enum.includes(value))
+   {
+      errors.push({ path, message: `is not one of: ${schema.enum.map((entry) => JSON.stringify(entry)).join(', ')}` });
+      return;
+   }
+
+   if (schema.type)
+   {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+      if (!s_GET_TYPES(value).some((type) => types.includes(type)))
+      {
+         errors.push({ path, message: `is not of type: ${types.join(', ')}` });
+         return;
+      }
+   }
+
+   if (Array.isArray(value))
+   {
+      if (typeof schema.minItems === 'number' && value.length < schema.minItems)
+      {
+         errors.push({ path, message: `has fewer than ${schema.minItems} items` });
+      }
+
+      if (typeof schema.maxItems === 'number' && value.length > schema.maxItems)
+      {
+         errors.push({ path, message: `has more than ${schema.maxItems} items` });
+      }
+
+      if (schema.items)
+      {
+         value.forEach((entry, index) => s_VALIDATE(entry, schema.items, root, `${path}/${index}`, errors));
+      }
+
+      return;
+   }
+
+   if (typeof value !== 'object' || value === null) { return; }
+
+   for (const key of schema.required || [])
+   {
+      if (typeof value[key] === 'undefined') { errors.push({ path: `${path}/${key}`, message: 'is required' }); }
+   }
+
+   for (const key of Object.keys(value))
+   {
+      if (typeof value[key] === 'undefined') { continue; }
+
+      if (schema.properties && Object.prototype.hasOwnProperty.call(schema.properties, key))
+      {
+         s_VALIDATE(value[key], schema.properties[key], root, `${path}/${key}`, errors);
+      }
+      else if (schema.additionalProperties === false)
+      {
+         errors.push({ path: `${path}/${key}`, message: 'is not an allowed property' });
+      }
+   }
+};
@@ -0,0 +1,316 @@
+/**
+ * Exports DocDB data as plain, versioned and serializable doc objects and imports exported data into a DocDB. This
+ * allows doc data to be cached / diffed between runs or consumed by non JavaScript tools.
+ *
+ * Exported doc objects do not contain AST references. The `node` and `ast` values are removed and the source location
+ * of the doc AST node is stored as `sourceRange`; IE `{ start: { line: 1, column: 0 }, end: { line: 3, column: 1 } }`
+ * with 1 based lines and 0 based columns. Any other AST nodes in doc data are replaced by their source range. Internal
+ * DocDB / TaffyDB record properties are removed.
+ *
+ * Values without a JSON representation are encoded as `{ $literal: '<value>' }` and decoded on import; IE the `NaN`,
+ * `Infinity`, `-Infinity` and `-0` numbers and `undefined` default values of params stored as `defaultRaw`.
+ *
+ * The export format is an object with `format` (`tjsdoc-docs`), `version` and `docs` properties. Imported data must
+ * have the same format and a version no newer than `DocSerializer.version`. Imported docs have no `node` or `ast`
+ * values, so the resolution stages of `CoreDocResolver` relying on the AST should be run before exporting.
+ *
+ * @example
+ * const data = eventbus.triggerSync('tjsdoc:system:docdb:export');
+ * fs.writeFileSync('docs.json', JSON.stringify(data));
+ *
+ * const docDB = eventbus.triggerSync('tjsdoc:system:docdb:import', fs.readFileSync('docs.json', 'utf8'));
+ */
+export default class DocSerializer
+{
+   /**
+    * Returns the current export format version.
+    *
+    * @returns {number}
+    */
+   static get version()
+   {
+      return s_FORMAT_VERSION;
+   }
+
+   /**
+    * Exports the docs of a DocDB as serializable doc objects.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {DocDB}    [options.docDB=this._mainDocDB] - The DocDB to export. Defaults to the main DocDB.
+    *
+    * @param {string|string[]} [options.filePath] - Limits the export to the docs of the given file paths.
+    *
+    * @returns {object} The export data with `format`, `version` and `docs` properties.
+    */
+   exportDocs({ docDB = this._mainDocDB, filePath = void 0 } = {})
+   {
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not an 'object'.`); }
+
+      const docs = docDB.find(filePath ? { filePath } : void 0).map((doc) => DocSerializer.serializeDoc(doc));
+
+      return { format: s_FORMAT_NAME, version: s_FORMAT_VERSION, docs };
+   }
+
+   /**
+    * Imports exported doc data into a DocDB. When no DocDB is provided a new DocDB is created via
+    * `tjsdoc:system:docdb:create`.
+    *
+    * @param {object|string}  data - The export data or its JSON string.
+    *
+    * @param {object}         [options] - Optional parameters.
+    *
+    * @param {DocDB}          [options.docDB] - The DocDB receiving the imported docs.
+    *
+    * @returns {DocDB} The DocDB containing the imported docs.
+    */
+   importDocs(data, { docDB = void 0 } = {})
+   {
+      if (typeof data === 'string') { data = JSON.parse(data); }
+
+      if (typeof data !== 'object' || data === null) { throw new TypeError(`'data' is not an 'object'.`); }
+
+      if (data.format !== s_FORMAT_NAME) { throw new TypeError(`'data.format' is not '${s_FORMAT_NAME}'.`); }
+
+      if (!Number.isInteger(data.version) || data.version < 1 || data.version > s_FORMAT_VERSION)
+      {
+         throw new TypeError(`'data.version' is not a supported version: ${data.version}`);
+      }
+
+      if (!Array.isArray(data.docs)) { throw new TypeError(`'data.docs' is not an 'array'.`); }
+
+      if (typeof docDB === 'undefined') { docDB = this._eventbus.triggerSync('tjsdoc:system:docdb:create'); }
+
+      if (typeof docDB !== 'object' || docDB === null) { throw new TypeError(`'docDB' is not an 'object'.`); }
+
+      for (const doc of data.docs)
+      {
+         if (typeof doc !== 'object' || doc === null) { throw new TypeError(`'data.docs' contains a non 'object'.`); }
+
+         // Copy the doc so the DocDB does not share data with the caller.
+         docDB.insert(s_DESERIALIZE(doc));
+      }
+
+      return docDB;
+   }
+
+   /**
+    * Wires up DocSerializer on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      /**
+       * Stores the plugin eventbus proxy.
+       * @type {EventProxy}
+       * @private
+       */
+      this._eventbus = ev.eventbus;
+
+      this._eventbus.on('tjsdoc:system:docdb:export', this.exportDocs, this);
+      this._eventbus.on('tjsdoc:system:docdb:import', this.importDocs, this);
+      this._eventbus.on('tjsdoc:system:doc:serialize', DocSerializer.serializeDoc);
+   }
+
+   /**
+    * Stores the main DocDB.
+    *
+    * @param {PluginEvent}    ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      /**
+       * The main DocDB.
+       * @type {DocDB}
+       * @private
+       */
+      this._mainDocDB = ev.data.docDB;
+   }
+
+   /**
+    * Returns a serializable copy of a doc object without AST references. The doc AST node is replaced by
+    * `sourceRange`.
+    *
+    * @param {DocObject}   doc - A doc object.
+    *
+    * @returns {object}
+    */
+   static serializeDoc(doc)
+   {
+      if (typeof doc !== 'object' || doc === null) { throw new TypeError(`'doc' is not an 'object'.`); }
+
+      const result = {};
+
+      for (const key of Object.keys(doc))
+      {
+         if (key === 'node' || key === 'ast' || s_INTERNAL_KEYS.includes(key)) { continue; }
+
+         const value = s_SERIALIZE(doc[key], [doc]);
+
+         if (typeof value !== 'undefined') { result[key] = value; }
+      }
+
+      const sourceRange = s_GET_SOURCE_RANGE(doc.node);
+
+      if (sourceRange) { result.sourceRange = sourceRange; }
+
+      return result;
+   }
+}
+
+/**
+ * The export format name.
+ * @type {string}
+ * @ignore
+ */
+const s_FORMAT_NAME = 'tjsdoc-docs';
+
+/**
+ * The export format version.
+ * @type {number}
+ * @ignore
+ */
+const s_FORMAT_VERSION = 2;
+
+/**
+ * Internal DocDB / TaffyDB record properties which are not exported.
+ * @type {string[]}
+ * @ignore
+ */
+const s_INTERNAL_KEYS = ['___id', '___s'];
+
+/**
+ * Defines the encoded values without a JSON representation by their `$literal` name.
+ * @type {Map<string, *>}
+ * @ignore
+ */
+const s_LITERALS = new Map([['NaN', NaN], ['Infinity', Infinity], ['-Infinity', -Infinity], ['-0', -0],
+ ['undefined', void 0]]);
+
+/**
+ * Returns a copy of a serialized value decoding any values encoded as `{ $literal: '<value>' }`.
+ *
+ * @param {*}  value - The serialized value.
+ *
+ * @returns {*}
+ * @ignore
+ */
+const s_DESERIALIZE = (value) =>
+{
+   if (typeof value !== 'object' || value === null) { return value; }
+
+   if (Array.isArray(value)) { return value.map(s_DESERIALIZE); }
+
+   const keys = Object.keys(value);
+
+   if (keys.length === 1 && keys[0] === '$literal' && s_LITERALS.has(value.$literal))
+   {
+      return s_LITERALS.get(value.$literal);
+   }
+
+   const result = {};
+
+   for (const key of keys) { result[key] = s_DESERIALIZE(value[key]); }
+
+   return result;
+};
+
+/**
+ * Returns the encoded form of a value without a JSON representation.
+ *
+ * @param {*}  value - A value to encode.
+ *
+ * @returns {object|null} The `{ $literal: '<value>' }` encoding or null when the value has a JSON representation.
+ * @ignore
+ */
+const s_ENCODE_LITERAL = (value) =>
+{
+   for (const [name, literal] of s_LITERALS)
+   {
+      if (Object.is(value, literal)) { return { $literal: name }; }
+   }
+
+   return null;
+};
+
+/**
+ * Returns the source range of an AST node.
+ *
+ * @param {ASTNode}  node - An AST node.
+ *
+ * @returns {object|null} The `start` and `end` location or null when the node has no location data.
+ * @ignore
+ */
+const s_GET_SOURCE_RANGE = (node) =>
+{
+   if (!s_IS_AST_NODE(node) || !node.loc) { return null; }
+
+   return {
+      start: { line: node.loc.start.line, column: node.loc.start.column },
+      end: { line: node.loc.end.line, column: node.loc.end.column }
+   };
+};
+
+/**
+ * Returns whether a value is an AST node.
+ *
+ * @param {*}  value - A value to test.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_IS_AST_NODE = (value) => typeof value === 'object' && value !== null && typeof value.type === 'string' &&
+ (typeof value.loc === 'object' || typeof value.start === 'number');
+
+/**
+ * Returns a serializable copy of a value. Functions and `undefined` are dropped, AST nodes are replaced by their
+ * source range and circular references are dropped. Numbers without a JSON representation and an `undefined`
+ * `defaultRaw` are encoded as `{ $literal: '<value>' }`.
+ *
+ * @param {*}        value - The value to copy.
+ *
+ * @param {Array}    ancestors - The objects containing the value.
+ *
+ * @returns {*}
+ * @ignore
+ */
+const s_SERIALIZE = (value, ancestors) =>
+{
+   if (typeof value === 'function' || typeof value === 'symbol') { return void 0; }
+
+   if (typeof value === 'number') { return s_ENCODE_LITERAL(value) || value; }
+
+   if (typeof value !== 'object' || value === null) { return value; }
+
+   if (ancestors.includes(value)) { return void 0; }
+
+   if (s_IS_AST_NODE(value)) { return s_GET_SOURCE_RANGE(value); }
+
+   if (typeof value.toJSON === 'function') { return value.toJSON(); }
+
+   const children = ancestors.concat([value]);
+
+   if (Array.isArray(value))
+   {
+      return value.map((entry) =>
+      {
+         const result = s_SERIALIZE(entry, children);
+
+         return typeof result === 'undefined' ? null : result;
+      });
+   }
+
+   const result = {};
+
+   for (const key of Object.keys(value))
+   {
+      // An `undefined` default value is significant; IE `@param {*} [a=undefined]`.
+      const entry = key === 'defaultRaw' && typeof value[key] === 'undefined' ? s_ENCODE_LITERAL(void 0) :
+       s_SERIALIZE(value[key], children);
+
+      if (typeof entry !== 'undefined') { result[key] = entry; }
+   }
+
+   return result;
+};
@@ -0,0 +1,149 @@
+/**
+ * Provides a central registry mapping alias tag names to the canonical tag names supported by the doc classes. Comment
+ * tags are renamed to their canonical tag name in `DocBase.create` before any tag processing occurs.
+ *
+ * JSDoc compatible aliases are registered by default. Additional aliases may be added by plugins via
+ * `tjsdoc:system:tags:alias:add` or by the target project TJSDocConfig `tagAliases` object; IE
+ * `"tagAliases": { "@summary": "@desc" }`.
+ */
+export default class TagAliasRegistry
+{
+   /**
+    * Initializes the registry with the default aliases.
+    */
+   constructor()
+   {
+      /**
+       * Stores alias tag name -> canonical tag name.
+       * @type {Object<string, string>}
+       * @private
+       */
+      this._aliases = Object.assign({}, s_DEFAULT_ALIASES);
+   }
+
+   /**
+    * Adds an alias tag name for a canonical tag name. The leading `@` is optional for both names. Alias chains are
+    * flattened, so existing aliases of the added alias are re-pointed to the canonical tag name. The canonical tag
+    * names of the default aliases; IE `@param` can not be aliased.
+    *
+    * @param {string}   alias - The alias tag name.
+    *
+    * @param {string}   tagName - The canonical tag name.
+    */
+   addAlias(alias, tagName)
+   {
+      if (typeof alias !== 'string' || alias === '') { throw new TypeError(`'alias' is not a 'string'.`); }
+      if (typeof tagName !== 'string' || tagName === '') { throw new TypeError(`'tagName' is not a 'string'.`); }
+
+      alias = s_NORMALIZE_TAG_NAME(alias);
+      tagName = s_NORMALIZE_TAG_NAME(tagName);
+
+      if (alias === tagName) { throw new Error(`'alias' can not be the same as 'tagName': ${alias}`); }
+
+      if (s_CANONICAL_TAG_NAMES.includes(alias)) { throw new Error(`'alias' is a canonical tag name: ${alias}`); }
+
+      // Prevent alias chains by resolving the canonical tag name first.
+      tagName = this.resolve(tagName);
+
+      if (alias === tagName) { throw new Error(`circular alias for tag: ${alias}`); }
+
+      // Flatten alias chains by re-pointing existing aliases of the added alias.
+      for (const key of Object.keys(this._aliases))
+      {
+         if (this._aliases[key] === alias) { this._aliases[key] = tagName; }
+      }
+
+      this._aliases[alias] = tagName;
+   }
+
+   /**
+    * Returns a copy of all registered aliases.
+    *
+    * @returns {Object<string, string>} alias tag name -> canonical tag name.
+    */
+   getAliases()
+   {
+      return Object.assign({}, this._aliases);
+   }
+
+   /**
+    * Wires up TagAliasRegistry on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      const eventbus = ev.eventbus;
+
+      eventbus.on('tjsdoc:system:tags:alias:add', this.addAlias, this);
+      eventbus.on('tjsdoc:system:tags:alias:resolve', this.resolve, this);
+      eventbus.on('tjsdoc:system:tags:aliases:get', this.getAliases, this);
+   }
+
+   /**
+    * Adds any aliases defined in the target project TJSDocConfig `tagAliases` object.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onRuntimePreGenerateAsync(ev)
+   {
+      const tagAliases = ev.data.mainConfig.tagAliases;
+
+      if (typeof tagAliases !== 'object' || tagAliases === null) { return; }
+
+      for (const alias of Object.keys(tagAliases))
+      {
+         this.addAlias(alias, tagAliases[alias]);
+      }
+   }
+
+   /**
+    * Returns the canonical tag name for the given tag name.
+    *
+    * @param {string}   tagName - A tag name including the leading `@`.
+    *
+    * @returns {string} The canonical tag name or the given tag name if it is not an alias.
+    */
+   resolve(tagName)
+   {
+      return this._aliases[tagName] || tagName;
+   }
+}
+
+/**
+ * Defines the default JSDoc compatible aliases for the tags supported by the common docs.
+ * @type {Object<string, string>}
+ * @ignore
+ */
+const s_DEFAULT_ALIASES =
+{
+   '@arg': '@param',
+   '@argument': '@param',
+   '@augments': '@extends',
+   '@description': '@desc',
+   '@exception': '@throws',
+   '@extend': '@extends',
+   '@fires': '@emits',
+   '@host': '@external',
+   '@implement': '@implements',
+   '@prop': '@property',
+   '@returns': '@return',
+   '@virtual': '@abstract'
+};
+
+/**
+ * Defines the canonical tag names of the default aliases which can not be aliased.
+ * @type {string[]}
+ * @ignore
+ */
+const s_CANONICAL_TAG_NAMES = Object.keys(s_DEFAULT_ALIASES).map((alias) => s_DEFAULT_ALIASES[alias]);
+
+/**
+ * Ensures that a tag name starts with `@`.
+ *
+ * @param {string}   tagName - The tag name to normalize.
+ *
+ * @returns {string} normalized tag name.
+ * @ignore
+ */
+const s_NORMALIZE_TAG_NAME = (tagName) => tagName.charAt(0) === '@' ? tagName : `@${tagName}`;
@@ -0,0 +1,141 @@
+/**
+ * Provides a registry of custom tag definitions allowing plugins to add support for new tags without subclassing the
+ * doc classes. Definitions are added via `tjsdoc:system:tags:register` and are honored by `DocBase._apply` which
+ * stores the parsed tag values in the doc object and `DocBase._processCommentTags` which marks the tags as known.
+ *
+ * A tag definition has the following properties:
+ * - `name`: The tag name; the leading `@` is optional.
+ * - `kinds`: An optional list of doc kinds the tag applies to; IE `['ClassMethod', 'ModuleFunction']`. When omitted
+ *   the tag applies to all doc kinds.
+ * - `parser`: How the tag value is parsed; `flag` stores `true`, `string` (default) stores the raw tag value, `param`
+ *   parses the tag value like `@param` and `type` parses the tag value like `@type`.
+ * - `multiple`: When true all tag values are stored in an array otherwise only the last tag value is stored; default
+ *   `false`.
+ * - `key`: The doc object key storing the parsed value; defaults to the tag name without `@`. Keys of the core doc
+ *   object data such as `name`, `kind` or `params` and keys starting with `_` are reserved and rejected.
+ *
+ * @example
+ * eventbus.trigger('tjsdoc:system:tags:register', { name: '@beta', parser: 'flag' });
+ * eventbus.trigger('tjsdoc:system:tags:register',
+ *  { name: '@option', kinds: ['ModuleClass'], parser: 'param', multiple: true, key: 'options' });
+ */
+export default class TagRegistry
+{
+   /**
+    * Initializes the registry.
+    */
+   constructor()
+   {
+      /**
+       * Stores tag name -> tag definition.
+       * @type {Object<string, TagDefinition>}
+       * @private
+       */
+      this._tags = {};
+   }
+
+   /**
+    * Returns copies of all registered tag definitions optionally limited to the definitions applying to a doc kind.
+    *
+    * @param {string}   [kind] - A doc kind.
+    *
+    * @returns {TagDefinition[]}
+    */
+   getTags(kind)
+   {
+      return Object.keys(this._tags).map((name) => this._tags[name]).filter((definition) =>
+       typeof kind !== 'string' || definition.kinds === null || definition.kinds.includes(kind)).map((definition) =>
+        Object.assign({}, definition, { kinds: definition.kinds ? definition.kinds.slice() : null }));
+   }
+
+   /**
+    * Wires up TagRegistry on the plugin eventbus.
+    *
+    * @param {PluginEvent} ev - The plugin event.
+    */
+   onPluginLoad(ev)
+   {
+      const eventbus = ev.eventbus;
+
+      eventbus.on('tjsdoc:system:tags:register', this.register, this);
+      eventbus.on('tjsdoc:system:tags:registered:get', this.getTags, this);
+   }
+
+   /**
+    * Registers a custom tag definition.
+    *
+    * @param {object}   definition - The tag definition.
+    *
+    * @param {string}   definition.name - The tag name.
+    *
+    * @param {string[]} [definition.kinds] - The doc kinds the tag applies to.
+    *
+    * @param {string}   [definition.parser='string'] - The value parser: `flag`, `string`, `param` or `type`.
+    *
+    * @param {boolean}  [definition.multiple=false] - Stores all tag values in an array when true.
+    *
+    * @param {string}   [definition.key] - The doc object key storing the parsed value.
+    */
+   register({ name, kinds = null, parser = 'string', multiple = false, key = void 0 } = {})
+   {
+      if (typeof name !== 'string' || name === '') { throw new TypeError(`'name' is not a 'string'.`); }
+
+      name = name.charAt(0) === '@' ? name : `@${name}`;
+
+      if (!(/^@\w+$/).test(name)) { throw new Error(`'name' is not a valid tag name: ${name}`); }
+
+      if (this._tags[name]) { throw new Error(`tag is already registered: ${name}`); }
+
+      if (kinds !== null && (!Array.isArray(kinds) || kinds.some((kind) => typeof kind !== 'string')))
+      {
+         throw new TypeError(`'kinds' is not an 'array' of strings.`);
+      }
+
+      if (!s_PARSERS.includes(parser)) { throw new TypeError(`'parser' is not one of: ${s_PARSERS.join(', ')}.`); }
+
+      if (typeof multiple !== 'boolean') { throw new TypeError(`'multiple' is not a 'boolean'.`); }
+
+      if (typeof key === 'undefined') { key = name.substring(1); }
+
+      if (typeof key !== 'string' || key === '') { throw new TypeError(`'key' is not a 'string'.`); }
+
+      if (key.charAt(0) === '_' || s_RESERVED_KEYS.has(key)) { throw new Error(`'key' is reserved: ${key}`); }
+
+      this._tags[name] =
+      {
+         name,
+         kinds: kinds && kinds.length ? kinds.slice() : null,
+         parser,
+         multiple,
+         key
+      };
+   }
+}
+
+/**
+ * Defines the supported tag value parsers.
+ * @type {string[]}
+ * @ignore
+ */
+const s_PARSERS = ['flag', 'param', 'string', 'type'];
+
+/**
+ * Defines the doc object keys set by the doc classes and `CoreDocResolver` which custom tags may not overwrite.
+ * @type {Set<string>}
+ * @ignore
+ */
+const s_RESERVED_KEYS = new Set(['abstract', 'access', 'accessor', 'ast', 'async', 'category', 'content', 'decorators',
+ 'deprecated', 'deprecatedInfo', 'description', 'emits', 'examples', 'experimental', 'experimentalInfo', 'export',
+ 'extends', 'externalLink', 'filePath', 'generator', 'ignore', 'implements', 'importPath', 'importStyle', 'interface',
+ 'internal', 'kind', 'lineNumber', 'listens', 'longname', 'memberof', 'name', 'node', 'override', 'params', 'paramTree',
+ 'properties', 'publicImports', 'qualifier', 'return', 'see', 'seeInfo', 'since', 'sourceRange', 'static', 'tagsKnown',
+ 'tagsUnknown', 'testId', 'testTargets', 'throws', 'todo', 'type', 'undocument', 'version']);
+
+/**
+ * @typedef {object} TagDefinition
+ * @property {string}         name - The tag name including the leading `@`.
+ * @property {string[]|null}  kinds - The doc kinds the tag applies to or null for all doc kinds.
+ * @property {string}         parser - The value parser: `flag`, `string`, `param` or `type`.
+ * @property {boolean}        multiple - Stores all tag values in an array when true.
+ * @property {string}         key - The doc object key storing the parsed value.
+ */
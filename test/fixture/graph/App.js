@@ -0,0 +1,8 @@
+import { Widget as Base, Round } from './index';
+import * as lib from './index';
+import Missing from './missing';
+
+class App extends Base {}
+
+export default App;
+export { App as Application };
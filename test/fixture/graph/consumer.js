@@ -0,0 +1,3 @@
+const Legacy = require('./legacy.js');
+
+module.exports = { Legacy, Renamed: Legacy };
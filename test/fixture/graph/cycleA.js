@@ -0,0 +1,3 @@
+export * from './cycleB.js';
+
+export const a = 1;
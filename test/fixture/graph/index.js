@@ -0,0 +1,4 @@
+export { default as Widget } from './Widget.js';
+export { Circle as Round } from './shapes.js';
+export * from './shapes.js';
+export * as utils from './utils.js';
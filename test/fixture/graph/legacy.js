@@ -0,0 +1,8 @@
+const { Widget: Base } = require('./index.js');
+const Square = require('./shapes.js').Square;
+
+class Legacy extends Base {}
+
+module.exports = Legacy;
+module.exports.Square = Square;
+exports.helper = require('./utils.js').assist;
@@ -0,0 +1,4 @@
+export class Circle {}
+export class Square {}
+
+export default class Shape {}
@@ -0,0 +1,5 @@
+export function clamp() {}
+
+const helper = 1;
+
+export { helper as assist };
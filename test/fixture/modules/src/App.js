@@ -0,0 +1,3 @@
+import Foo from './Foo';
+
+export default class App extends Foo {}
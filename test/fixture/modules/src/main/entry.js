@@ -0,0 +1 @@
+export const entry = 1;
@@ -0,0 +1,6 @@
+const valid = true;
+
+// #region broken
+const a = 1;
+let b = ;
+// #endregion
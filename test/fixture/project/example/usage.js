@@ -0,0 +1,9 @@
+import Test from '../src/Test.js';
+
+// #region create
+const test = new Test();
+
+   // #region log
+   console.log(test);
+   // #endregion
+// #endregion
@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = function add(a, b)
+{
+   return a + b;
+};
@@ -0,0 +1,135 @@
+import { assert }            from 'chai';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+/**
+ * Stores the docs created by `NestingFunctionDoc` while an outer doc is being created.
+ * @type {DocBase[]}
+ */
+const s_NESTED_DOCS = [];
+
+/**
+ * Provides a function doc overriding `create` by using the doc context returned by `super.create`.
+ */
+class ContentFunctionDoc extends TestFunctionDoc
+{
+   /**
+    * Creates the doc setting `content` via the returned doc context.
+    *
+    * @param {...*}  args - The `create` arguments.
+    *
+    * @returns {DocBase}
+    */
+   static create(...args)
+   {
+      const doc = super.create(...args);
+
+      doc._value.content = 'content';
+
+      return doc;
+   }
+}
+
+/**
+ * Provides a function doc that creates further docs while a doc named `outer` is being created.
+ */
+class NestingFunctionDoc extends TestFunctionDoc
+{
+   /** Sets the name and creates an inner doc of this class and of the parent class for a doc named `outer`. */
+   static _$name()
+   {
+      super._$name();
+
+      if (this._value.name !== 'outer') { return; }
+
+      s_NESTED_DOCS.push(createDoc(NestingFunctionDoc, this._eventbus, { comment: comment('Inner'),
+       node: { id: { name: 'inner' } } }));
+
+      s_NESTED_DOCS.push(createDoc(TestFunctionDoc, this._eventbus, { comment: comment('@param {number} a - a'),
+       node: { id: { name: 'parent' } } }));
+   }
+}
+
+describe('DocBase create', () =>
+{
+   afterEach(() => { s_NESTED_DOCS.length = 0; });
+
+   it('creates docs in separate contexts', () =>
+   {
+      const eventbus = createEventbus();
+
+      const first = createDoc(TestFunctionDoc, eventbus, { comment: comment('First'), node: { id: { name: 'a' } } });
+      const second = createDoc(TestFunctionDoc, eventbus, { comment: comment('Second'), node: { id: { name: 'b' } } });
+
+      assert.notStrictEqual(first, second);
+      assert.strictEqual(first.value.name, 'a');
+      assert.strictEqual(second.value.name, 'b');
+      assert.strictEqual(first.value.description, 'First');
+   });
+
+   it('holds no doc state on the doc class', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment('@param {number} a - a') });
+
+      assert.lengthOf(doc.value.params, 1);
+      assert.isUndefined(TestFunctionDoc._value);
+      assert.deepEqual(Object.keys(TestFunctionDoc), []);
+   });
+
+   it('supports `create` overrides using the returned doc context', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(ContentFunctionDoc, eventbus, { comment: comment('Desc') });
+
+      assert.notStrictEqual(doc, ContentFunctionDoc);
+      assert.strictEqual(doc.value.content, 'content');
+      assert.strictEqual(doc.value.description, 'Desc');
+      assert.isUndefined(ContentFunctionDoc._value);
+   });
+
+   it('keeps the state of docs created while another doc is being created', () =>
+   {
+      const eventbus = createEventbus();
+
+      const outer = createDoc(NestingFunctionDoc, eventbus, { comment: comment('Outer'),
+       node: { id: { name: 'outer' } } });
+
+      const [inner, parent] = s_NESTED_DOCS;
+
+      assert.strictEqual(outer.value.name, 'outer');
+      assert.strictEqual(outer.value.description, 'Outer');
+      assert.isUndefined(outer.value.params);
+
+      assert.strictEqual(inner.value.name, 'inner');
+      assert.strictEqual(inner.value.description, 'Inner');
+
+      assert.strictEqual(parent.value.name, 'parent');
+      assert.lengthOf(parent.value.params, 1);
+      assert.strictEqual(parent.value.description, '');
+
+      assert.deepEqual(Object.keys(NestingFunctionDoc), []);
+      assert.deepEqual(Object.keys(TestFunctionDoc), []);
+   });
+
+   it('keeps the state of other docs when a doc is reset', () =>
+   {
+      const eventbus = createEventbus();
+
+      const first = createDoc(TestFunctionDoc, eventbus, { comment: comment('First') });
+      const second = createDoc(TestFunctionDoc, eventbus, { comment: comment('Second') });
+
+      const value = first.reset();
+
+      assert.strictEqual(value.description, 'First');
+      assert.isUndefined(first._value);
+      assert.strictEqual(second.value.description, 'Second');
+      assert.strictEqual(second.reset().description, 'Second');
+   });
+});
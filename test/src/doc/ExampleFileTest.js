@@ -0,0 +1,69 @@
+import { assert }            from 'chai';
+
+import SourceFileCache       from '../../../src/file/SourceFileCache.js';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('DocBase @example files', () =>
+{
+   /**
+    * Creates a function doc in `src/Test.js` of the test project with the given `@example` tags.
+    *
+    * @param {...string}   examples - The `@example` tag values.
+    *
+    * @returns {{doc: DocObject, invalid: object[]}} The doc object and the invalid code entries.
+    */
+   const create = (...examples) =>
+   {
+      const eventbus = createEventbus({}, [new SourceFileCache()]);
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment(...examples.map((example) =>
+       `@example ${example}`)) }).value;
+
+      return { doc, invalid: eventbus.logged('tjsdoc:system:invalid:code:add').map((args) => args[0]) };
+   };
+
+   it('loads the code of a whole file', () =>
+   {
+      const { doc } = create('file:../example/usage.js');
+
+      assert.lengthOf(doc.examples, 1);
+      assert.strictEqual(doc.examples[0].language, 'javascript');
+      assert.isTrue(doc.examples[0].code.startsWith(`import Test from '../src/Test.js';\n\nconst test = new Test();`));
+      assert.notInclude(doc.examples[0].code, '#region');
+      assert.deepEqual(doc.examples[0].file, { filePath: 'example/usage.js', region: null, line: 1 });
+   });
+
+   it('loads the dedented code of a region without nested region markers', () =>
+   {
+      const { doc } = create('file:../example/usage.js#create', 'file:../example/usage.js#log');
+
+      assert.strictEqual(doc.examples[0].code, 'const test = new Test();\n\n   console.log(test);');
+      assert.deepEqual(doc.examples[0].file, { filePath: 'example/usage.js', region: 'create', line: 4 });
+
+      assert.strictEqual(doc.examples[1].code, 'console.log(test);');
+      assert.strictEqual(doc.examples[1].file.line, 7);
+   });
+
+   it('determines the language from the file extension unless defined', () =>
+   {
+      const { doc } = create('file:../example/config.json', '{typescript, Caption} file:../example/usage.js#log');
+
+      assert.strictEqual(doc.examples[0].language, 'json');
+      assert.strictEqual(doc.examples[1].language, 'typescript');
+      assert.strictEqual(doc.examples[1].caption, 'Caption');
+   });
+
+   it('reports missing files and regions as invalid code', () =>
+   {
+      const { doc, invalid } = create('file:../example/missing.js', 'file:../example/usage.js#missing');
+
+      assert.isUndefined(doc.examples);
+      assert.deepEqual(invalid.map((entry) => entry.message), ['@example file not found: ../example/missing.js',
+       '@example region not found: ../example/usage.js#missing']);
+   });
+});
@@ -0,0 +1,74 @@
+import { assert }            from 'chai';
+import { parse }             from 'babylon';
+
+import SourceFileCache       from '../../../src/file/SourceFileCache.js';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('DocBase @example syntax validation', () =>
+{
+   /**
+    * Creates a function doc from a comment starting on line 10 of `src/Test.js` with example validation enabled.
+    *
+    * @param {...string}   lines - The comment lines.
+    *
+    * @returns {{doc: DocObject, invalid: object[]}} The doc object and the invalid code entries.
+    */
+   const create = (...lines) =>
+   {
+      const eventbus = createEventbus({ validateExamples: true }, [new SourceFileCache()]);
+
+      eventbus.on('tjsdoc:system:parser:code:source:parse', (code) => parse(code, { sourceType: 'module' }));
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment(...lines), line: 10 }).value;
+
+      return { doc, invalid: eventbus.logged('tjsdoc:system:invalid:code:add').map((args) => args[0]) };
+   };
+
+   it('does not report valid examples', () =>
+   {
+      const { doc, invalid } = create('@example', 'const a = 1;', '@example {json}', '{ "a": 1 }');
+
+      assert.lengthOf(doc.examples, 2);
+      assert.isUndefined(doc.examples[0].syntaxError);
+      assert.lengthOf(invalid, 0);
+   });
+
+   it('reports syntax errors of JavaScript examples', () =>
+   {
+      const { doc, invalid } = create('@example', 'const a = 1;', 'const b = ;');
+
+      // The comment starts on line 10 so the second code line is line 13 of the source file.
+      assert.deepEqual(doc.examples[0].syntaxError, { message: 'Unexpected token (2:10)', line: 13 });
+      assert.lengthOf(invalid, 1);
+      assert.strictEqual(invalid[0].message, '@example syntax error: Unexpected token (2:10)');
+      assert.strictEqual(invalid[0].loc.start.line, 13);
+   });
+
+   it('reports syntax errors of JSON examples', () =>
+   {
+      const { doc, invalid } = create('@example {json}', '{ "a": }');
+
+      assert.isObject(doc.examples[0].syntaxError);
+      assert.lengthOf(invalid, 1);
+   });
+
+   it('does not validate examples of other languages', () =>
+   {
+      const { doc, invalid } = create('@example {python}', 'def ():');
+
+      assert.isUndefined(doc.examples[0].syntaxError);
+      assert.lengthOf(invalid, 0);
+   });
+
+   it('reports the absolute line of syntax errors in example files', () =>
+   {
+      const { doc } = create('@example file:../example/invalid.js#broken');
+
+      assert.deepEqual(doc.examples[0].syntaxError, { message: 'Unexpected token (2:8)', line: 5 });
+   });
+});
@@ -0,0 +1,65 @@
+import { assert }            from 'chai';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('DocBase param tree', () =>
+{
+   const strip = (node) => ({ key: node.key, element: node.element, children: node.children.map(strip) });
+
+   it('builds nested params from dotted and array element param names', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment(
+       '@param {object} options - o',
+       '@param {string} options.name - n',
+       '@param {object[]} options.items - i',
+       '@param {string} options.items[].id - id',
+       '@param {number} count - c') });
+
+      assert.deepEqual(doc.value.paramTree.map(strip), [
+         {
+            key: 'options',
+            element: false,
+            children: [
+               { key: 'name', element: false, children: [] },
+               { key: 'items', element: false, children: [{ key: 'id', element: true, children: [] }] }
+            ]
+         },
+         { key: 'count', element: false, children: [] }
+      ]);
+   });
+
+   it('warns about child params without a declared parent', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment('@param {string} other.name - n') });
+
+      assert.deepEqual(doc.value.paramTree.map(strip), [{ key: 'name', element: false, children: [] }]);
+
+      assert.lengthOf(eventbus.logged('log:warn'), 1);
+      assert.include(eventbus.logged('log:warn')[0][0], `'other.name' has no declared parent param`);
+   });
+
+   it('supports param names matching Object.prototype properties', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment(
+       '@param {string} constructor.toString - n',
+       '@param {object} hasOwnProperty - h',
+       '@param {string} hasOwnProperty.valueOf - v') });
+
+      assert.deepEqual(doc.value.paramTree.map(strip), [
+         { key: 'toString', element: false, children: [] },
+         { key: 'hasOwnProperty', element: false, children: [{ key: 'valueOf', element: false, children: [] }] }
+      ]);
+
+      assert.lengthOf(eventbus.logged('log:warn'), 1);
+   });
+});
@@ -0,0 +1,113 @@
+import { assert }            from 'chai';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestFunctionDoc,
+   TestMethodDoc,
+   TestVariableDoc }         from '../utils/TestUtils.js';
+
+describe('DocBase reconcile params', () =>
+{
+   const identifier = (name) => ({ type: 'Identifier', name });
+   const assignment = (name, value) => ({ type: 'AssignmentPattern', left: identifier(name), right: { value } });
+
+   const functionNode = (...params) => ({ type: 'FunctionDeclaration', id: identifier('fn'), params });
+
+   it('merges documented and undocumented params in signature order', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, {
+         comment: comment('@param {number} b - the b'),
+         node: functionNode(identifier('a'), assignment('b', 2))
+      });
+
+      assert.deepEqual(doc.value.params.map((param) => [param.name, param.source]),
+       [['a', 'guessed'], ['b', 'documented']]);
+
+      // The documented param is supplemented by the default value of the signature.
+      assert.strictEqual(doc.value.params[1].defaultValue, '2');
+
+      const warnings = eventbus.logged('log:warn').map((args) => args[0]);
+
+      assert.isTrue(warnings.some((warning) => warning.startsWith(`param 'a' is not documented`)));
+      assert.isTrue(warnings.some((warning) => warning.startsWith(`@param 'b' is not documented as optional`)));
+   });
+
+   it('warns about documented params missing from the signature and keeps them last', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, {
+         comment: comment('@param {string} missing - m', '@param {number} a - a'),
+         node: functionNode(identifier('a'))
+      });
+
+      assert.deepEqual(doc.value.params.map((param) => [param.name, param.source]),
+       [['a', 'documented'], ['missing', 'documented']]);
+
+      const warnings = eventbus.logged('log:warn').map((args) => args[0]);
+
+      assert.isTrue(warnings.some((warning) => warning.startsWith(`@param 'missing' is not in the signature`)));
+   });
+
+   it('uses the guessed params when no params are documented', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment('Desc'),
+       node: functionNode(identifier('a')) });
+
+      assert.deepEqual(doc.value.params.map((param) => [param.name, param.source]), [['a', 'guessed']]);
+      assert.lengthOf(eventbus.logged('log:warn'), 0);
+   });
+
+   it('reconciles the params of class methods and ESTree method definitions', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestMethodDoc, eventbus, {
+         comment: comment('@param {number} x - the x'),
+         node: { type: 'MethodDefinition', key: identifier('method'), value: { params: [identifier('x')] } }
+      });
+
+      assert.deepEqual(doc.value.params.map((param) => [param.name, param.source]), [['x', 'documented']]);
+      assert.lengthOf(eventbus.logged('log:warn'), 0);
+   });
+
+   it('reconciles the params of function expressions assigned to variables', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, {
+         comment: comment('Desc'),
+         node: {
+            type: 'VariableDeclaration',
+            id: identifier('fn'),
+            declarations: [{ init: { type: 'ArrowFunctionExpression', params: [identifier('y')] } }]
+         }
+      });
+
+      assert.deepEqual(doc.value.params.map((param) => param.name), ['y']);
+   });
+
+   it('does not reconcile the params of docs without a function signature', () =>
+   {
+      const eventbus = createEventbus();
+
+      const node = {
+         type: 'VariableDeclaration',
+         id: identifier('fn'),
+         declarations: [{ init: { type: 'ArrowFunctionExpression', params: [identifier('y')] } }]
+      };
+
+      assert.isUndefined(createDoc(TestVariableDoc, eventbus, { comment: comment('Desc'), node }).value.params);
+
+      const doc = createDoc(TestVariableDoc, eventbus, { comment: comment('@param {number} x - the x'), node });
+
+      assert.deepEqual(doc.value.params.map((param) => [param.name, param.source]), [['x', void 0]]);
+      assert.notInclude(eventbus.log.map((entry) => entry[0]), 'tjsdoc:system:parser:param:guess');
+   });
+});
@@ -0,0 +1,59 @@
+import { assert }            from 'chai';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('DocBase @see', () =>
+{
+   /**
+    * Creates a function doc importing `Foo` from `./Foo.js` with the given `@see` tag values.
+    *
+    * @param {...string}   values - The `@see` tag values.
+    *
+    * @returns {DocObject}
+    */
+   const create = (...values) =>
+   {
+      const eventbus = createEventbus();
+
+      eventbus.on('tjsdoc:system:ast:path:import:declaration:find', (ast, name) => name === 'Foo' ? './Foo.js' : null);
+
+      return createDoc(TestFunctionDoc, eventbus, { comment: comment(...values.map((value) => `@see ${value}`)) })
+       .value;
+   };
+
+   it('classifies URL, link, identifier and text references', () =>
+   {
+      const doc = create('https://example.com Example', '{@link Bar#baz} the baz', 'Bar.qux()', 'some text');
+
+      assert.deepEqual(doc.see, ['https://example.com Example', '{@link Bar#baz} the baz', 'Bar.qux()', 'some text']);
+
+      assert.deepEqual(doc.seeInfo, [
+         { type: 'url', value: 'https://example.com Example', target: 'https://example.com', label: 'Example' },
+         { type: 'link', value: '{@link Bar#baz} the baz', target: 'Bar#baz', label: 'the baz' },
+         { type: 'identifier', value: 'Bar.qux()', target: 'Bar.qux', label: null },
+         { type: 'text', value: 'some text' }
+      ]);
+   });
+
+   it('uses the label of a link inline tag', () =>
+   {
+      const doc = create('{@link Bar|the bar}');
+
+      assert.strictEqual(doc.seeInfo[0].label, 'the bar');
+   });
+
+   it('stores the import aware longname of imported link and identifier targets', () =>
+   {
+      const doc = create('Foo#bar', '{@link Foo}', 'Bar', 'src/Foo.js~Foo', '{@link https://example.com}');
+
+      assert.strictEqual(doc.seeInfo[0].importName, 'src/Foo.js~Foo#bar');
+      assert.strictEqual(doc.seeInfo[1].importName, 'src/Foo.js~Foo');
+      assert.isUndefined(doc.seeInfo[2].importName);
+      assert.isUndefined(doc.seeInfo[3].importName);
+      assert.isUndefined(doc.seeInfo[4].importName);
+   });
+});
@@ -0,0 +1,58 @@
+import { assert }            from 'chai';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('DocBase unknown tags', () =>
+{
+   it('warns about unknown tags suggesting the closest known tag', () =>
+   {
+      const eventbus = createEventbus();
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment('@parma {number} a - a', '@foobar') });
+
+      assert.deepEqual(doc.value.tagsUnknown.map((tag) => tag.tagName), ['@parma', '@foobar']);
+
+      const warnings = eventbus.logged('log:warn').map((args) => args[0]);
+
+      assert.isTrue(warnings.some((warning) => warning.startsWith('unknown tag @parma (did you mean @param?): ')));
+      assert.isTrue(warnings.some((warning) => warning.startsWith('unknown tag @foobar: ')));
+   });
+
+   it('adds unknown tags as invalid code when `unknownTags` is `error`', () =>
+   {
+      const eventbus = createEventbus({ unknownTags: 'error' });
+
+      createDoc(TestFunctionDoc, eventbus, { comment: comment('@retrun {number}') });
+
+      const invalid = eventbus.logged('tjsdoc:system:invalid:code:add').map((args) => args[0]);
+
+      assert.lengthOf(invalid, 1);
+      assert.strictEqual(invalid[0].message, 'unknown tag @retrun (did you mean @return?)');
+      assert.lengthOf(eventbus.logged('log:warn'), 0);
+   });
+
+   it('does not report unknown tags when `unknownTags` is `ignore`', () =>
+   {
+      const eventbus = createEventbus({ unknownTags: 'ignore' });
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment('@foobar') });
+
+      assert.lengthOf(doc.value.tagsUnknown, 1);
+      assert.lengthOf(eventbus.logged('log:warn'), 0);
+   });
+
+   it('does not report internal tags', () =>
+   {
+      const eventbus = createEventbus({ unknownTags: 'error' });
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment('@_undocument') });
+
+      assert.isTrue(doc.value.undocument);
+      assert.lengthOf(eventbus.logged('log:warn'), 0);
+      assert.lengthOf(eventbus.logged('tjsdoc:system:invalid:code:add'), 0);
+   });
+});
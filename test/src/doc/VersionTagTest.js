@@ -0,0 +1,65 @@
+import { assert }            from 'chai';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('DocBase version tags', () =>
+{
+   /**
+    * Creates a function doc with `@since` and `@version` tags.
+    *
+    * @param {string}   semverMode - The `semverMode` config value.
+    *
+    * @param {string}   version - The tag value.
+    *
+    * @returns {{doc: DocObject, invalid: object[]}} The doc object and the invalid code entries.
+    */
+   const create = (semverMode, version) =>
+   {
+      const eventbus = createEventbus(semverMode ? { semverMode } : {});
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment(`@since ${version}`,
+       `@version ${version}`) }).value;
+
+      return { doc, invalid: eventbus.logged('tjsdoc:system:invalid:code:add').map((args) => args[0]) };
+   };
+
+   it('normalizes versions leniently by default', () =>
+   {
+      const { doc, invalid } = create(void 0, 'v1.2');
+
+      assert.strictEqual(doc.since, '1.2.0');
+      assert.strictEqual(doc.version, '1.2.0');
+      assert.lengthOf(invalid, 0);
+   });
+
+   it('reports invalid versions in lenient mode', () =>
+   {
+      const { doc, invalid } = create('lenient', 'next');
+
+      assert.strictEqual(doc.since, 'next');
+      assert.deepEqual(invalid.map((entry) => entry.message),
+       ['@since is not a valid semantic version: next', '@version is not a valid semantic version: next']);
+   });
+
+   it('only accepts complete versions when `semverMode` is `strict`', () =>
+   {
+      const { doc, invalid } = create('strict', 'v1.2');
+
+      assert.strictEqual(doc.since, 'v1.2');
+      assert.lengthOf(invalid, 2);
+
+      assert.lengthOf(create('strict', '1.2.0').invalid, 0);
+   });
+
+   it('does not validate versions when `semverMode` is `off`', () =>
+   {
+      const { doc, invalid } = create('off', 'next');
+
+      assert.strictEqual(doc.since, 'next');
+      assert.lengthOf(invalid, 0);
+   });
+});
@@ -0,0 +1,70 @@
+import { assert }            from 'chai';
+
+import ExampleVerifier       from '../../../src/example/ExampleVerifier.js';
+
+import { fixturePath }       from '../utils/TestUtils.js';
+
+describe('ExampleVerifier', () =>
+{
+   const verifier = new ExampleVerifier();
+
+   const options = { filePath: fixturePath('project/src/add.js'), importPath: 'test-project/src/add.js' };
+
+   /**
+    * Verifies example code of the `add` fixture module.
+    *
+    * @param {...string}   lines - The example code lines.
+    *
+    * @returns {object} The verification result.
+    */
+   const verify = (...lines) => verifier.verify(lines.join('\n'), options);
+
+   it('verifies examples importing the module under test by import path or relative path', () =>
+   {
+      assert.deepEqual(verify(`import add from 'test-project/src/add.js';`, 'add(40, 2); // => 42'),
+       { verified: true, error: null });
+
+      assert.deepEqual(verify(`const add = require('./add');`, 'const sum = add(1, 2); // => 3'),
+       { verified: true, error: null });
+   });
+
+   it('fails examples with failed assertions or errors', () =>
+   {
+      assert.deepEqual(verify(`import add from './add.js';`, '', 'add(1, 2); // => 4'),
+       { verified: false, error: 'Error: assertion failed on line 3: expected 4 but received 3' });
+
+      assert.deepEqual(verify('missing();'), { verified: false, error: 'ReferenceError: missing is not defined' });
+   });
+
+   it('fails examples with errors thrown by timers or unhandled rejections after all settled', () =>
+   {
+      assert.deepEqual(verify(`setTimeout(() => { throw new TypeError('late'); }, 10);`),
+       { verified: false, error: 'TypeError: late' });
+
+      assert.deepEqual(verify(`Promise.resolve().then(() => Promise.reject(new RangeError('rejected')));`),
+       { verified: false, error: 'RangeError: rejected' });
+
+      assert.deepEqual(verify('(async () => { await null; throw new Error(\'async\'); })();'),
+       { verified: false, error: 'Error: async' });
+
+      assert.deepEqual(verify(`setTimeout(() => {}, 10);`), { verified: true, error: null });
+   });
+
+   it('only allows requiring the module under test and relative paths', () =>
+   {
+      assert.deepEqual(verify(`import fs from 'fs';`), { verified: false,
+       error: 'Error: examples may only require the module under test or relative paths: fs' });
+
+      assert.isFalse(verify(`require('child_process');`).verified);
+
+      assert.deepEqual(verify('process.exit(0);'),
+       { verified: false, error: 'ReferenceError: process is not defined' });
+   });
+
+   it('fails examples exceeding the timeout', () =>
+   {
+      const result = verifier.verify('setInterval(() => {}, 10);', Object.assign({ timeout: 1000 }, options));
+
+      assert.deepEqual(result, { verified: false, error: 'Error: example timed out after 1000 ms' });
+   });
+});
@@ -0,0 +1,162 @@
+import { assert }            from 'chai';
+import fs                    from 'fs';
+import os                    from 'os';
+import path                  from 'path';
+
+import ModuleFileDoc         from '../../../src/doc/ModuleFileDoc.js';
+import SourceFileCache       from '../../../src/file/SourceFileCache.js';
+
+import {
+   createEventbus,
+   createPathResolver }      from '../utils/TestUtils.js';
+
+describe('SourceFileCache', () =>
+{
+   const tempDir = path.join(os.tmpdir(), `tjsdoc-test-file-cache-${process.pid}`);
+   const tempFile = path.join(tempDir, 'file.js');
+
+   beforeEach(() =>
+   {
+      fs.mkdirSync(tempDir);
+      fs.writeFileSync(tempFile, 'const a = 1;\r\nconst b = 2;');
+   });
+
+   afterEach(() =>
+   {
+      for (const fileName of fs.readdirSync(tempDir)) { fs.unlinkSync(path.join(tempDir, fileName)); }
+
+      fs.rmdirSync(tempDir);
+   });
+
+   it('memoizes content, lines and existence until cleared', () =>
+   {
+      const cache = new SourceFileCache();
+
+      assert.strictEqual(cache.getContent(tempFile), 'const a = 1;\r\nconst b = 2;');
+      assert.deepEqual(cache.getLines(tempFile), ['const a = 1;', 'const b = 2;']);
+      assert.isTrue(cache.exists(tempFile));
+
+      fs.writeFileSync(tempFile, 'changed');
+
+      assert.strictEqual(cache.getContent(tempFile), 'const a = 1;\r\nconst b = 2;');
+
+      cache.clear();
+
+      assert.strictEqual(cache.getContent(tempFile), 'changed');
+      assert.deepEqual(cache.getLines(tempFile), ['changed']);
+   });
+
+   it('returns null content and lines for missing files', () =>
+   {
+      const cache = new SourceFileCache();
+      const missingFile = path.join(tempDir, 'missing.js');
+
+      assert.isNull(cache.getContent(missingFile));
+      assert.isNull(cache.getLines(missingFile));
+      assert.isFalse(cache.exists(missingFile));
+      assert.throws(() => cache.getContent(null), TypeError, `'filePath' is not a 'string'.`);
+   });
+
+   it('memoizes file types and real paths until cleared', () =>
+   {
+      const cache = new SourceFileCache();
+      const linkPath = path.join(tempDir, 'link.js');
+
+      const realPath = fs.realpathSync(tempFile);
+
+      fs.symlinkSync(tempFile, linkPath);
+
+      assert.isTrue(cache.isFile(tempFile));
+      assert.isFalse(cache.isDirectory(tempFile));
+      assert.isTrue(cache.isDirectory(tempDir));
+      assert.isFalse(cache.isFile(tempDir));
+      assert.strictEqual(cache.getRealPath(linkPath), realPath);
+
+      fs.unlinkSync(linkPath);
+      fs.unlinkSync(tempFile);
+
+      assert.isTrue(cache.isFile(tempFile));
+      assert.strictEqual(cache.getRealPath(linkPath), realPath);
+
+      cache.clear();
+
+      assert.isFalse(cache.isFile(tempFile));
+      assert.isFalse(cache.isDirectory(tempFile));
+      assert.isNull(cache.getRealPath(linkPath));
+   });
+
+   it('prefetches files skipping cached files', async () =>
+   {
+      const cache = new SourceFileCache();
+      const otherFile = path.join(tempDir, 'other.js');
+
+      fs.writeFileSync(otherFile, 'other');
+
+      cache.getContent(tempFile);
+
+      assert.strictEqual(await cache.prefetch([tempFile, otherFile, otherFile], 1), 1);
+
+      fs.writeFileSync(otherFile, 'changed');
+
+      assert.strictEqual(cache.getContent(otherFile), 'other');
+      assert.strictEqual(await cache.prefetch(otherFile), 0);
+   });
+
+   it('validates prefetch arguments', async () =>
+   {
+      const cache = new SourceFileCache();
+
+      for (const [args, message] of [[[null], `'filePaths' is not a 'string' or 'array'.`],
+       [[[], 0], `'concurrency' is not a positive 'integer'.`]])
+      {
+         let error;
+
+         try { await cache.prefetch(...args); }
+         catch (err) { error = err; }
+
+         assert.instanceOf(error, TypeError);
+         assert.strictEqual(error.message, message);
+      }
+   });
+
+   it('provides the queries on the eventbus', async () =>
+   {
+      const eventbus = createEventbus({}, [new SourceFileCache()]);
+
+      assert.strictEqual(await eventbus.triggerAsync('tjsdoc:system:file:async:prefetch', tempFile), 1);
+      assert.strictEqual(eventbus.triggerSync('tjsdoc:system:file:content:get', tempFile),
+       'const a = 1;\r\nconst b = 2;');
+      assert.lengthOf(eventbus.triggerSync('tjsdoc:system:file:lines:get', tempFile), 2);
+      assert.isTrue(eventbus.triggerSync('tjsdoc:system:file:exists', tempFile));
+      assert.isTrue(eventbus.triggerSync('tjsdoc:system:file:is:file', tempFile));
+      assert.isTrue(eventbus.triggerSync('tjsdoc:system:file:is:directory', tempDir));
+      assert.strictEqual(eventbus.triggerSync('tjsdoc:system:file:realpath:get', tempFile), fs.realpathSync(tempFile));
+   });
+
+   it('reads the source files of the docs of each generation run through the cache', () =>
+   {
+      const cache = new SourceFileCache();
+      const eventbus = createEventbus({ rootPath: tempDir }, [cache]);
+
+      /**
+       * Creates a file doc of the temporary file and returns its content.
+       *
+       * @returns {string|null}
+       */
+      const createFileDoc = () => ModuleFileDoc.create(1, { type: 'File', program: { type: 'Program', body: [] } },
+       { type: 'Program', body: [] }, createPathResolver(tempDir, 'file.js'), [], eventbus).value.content;
+
+      // The file is read when the doc is created and not ahead at the start of the generation run.
+      fs.writeFileSync(tempFile, 'first');
+
+      assert.strictEqual(createFileDoc(), 'first');
+
+      fs.writeFileSync(tempFile, 'changed');
+
+      assert.strictEqual(createFileDoc(), 'first');
+
+      cache.onRuntimePreGenerateAsync({ data: { mainConfig: { rootPath: tempDir } } });
+
+      assert.strictEqual(createFileDoc(), 'changed');
+   });
+});
@@ -0,0 +1,129 @@
+import { assert }                      from 'chai';
+
+import { createEventbus, parseComment } from '../utils/TestUtils.js';
+
+describe('AbstractCommentParser', () =>
+{
+   const eventbus = createEventbus();
+
+   describe('parseInlineTags', () =>
+   {
+      const parseInlineTags = (text) => eventbus.triggerSync('tjsdoc:system:parser:comment:inline:tags:parse', text);
+
+      it('returns an empty array for text without inline tags', () =>
+      {
+         assert.deepEqual(parseInlineTags('no inline tags here'), []);
+         assert.deepEqual(parseInlineTags(void 0), []);
+      });
+
+      it('tokenizes link, linkcode and tutorial tags in order', () =>
+      {
+         const text = 'See {@link Foo#bar}, {@linkcode Baz} and {@tutorial intro}.';
+
+         const results = parseInlineTags(text);
+
+         assert.deepEqual(results.map((tag) => [tag.kind, tag.target, tag.label]),
+          [['link', 'Foo#bar', null], ['linkcode', 'Baz', null], ['tutorial', 'intro', null]]);
+
+         for (const tag of results) { assert.strictEqual(text.substr(tag.offset, tag.length), tag.raw); }
+      });
+
+      it('parses pipe, whitespace and bracket labels', () =>
+      {
+         const results = parseInlineTags(
+          '{@link Foo|the foo} {@link https://example.com Example site} [prefix label]{@link Bar}');
+
+         assert.deepEqual(results.map((tag) => [tag.target, tag.label]),
+          [['Foo', 'the foo'], ['https://example.com', 'Example site'], ['Bar', 'prefix label']]);
+
+         assert.strictEqual(results[2].raw, '[prefix label]{@link Bar}');
+      });
+
+      it('returns a null target for an empty inline tag', () =>
+      {
+         const [tag] = parseInlineTags('{@link}');
+
+         assert.strictEqual(tag.kind, 'link');
+         assert.isNull(tag.target);
+      });
+   });
+
+   describe('parse', () =>
+   {
+      it('adds inline tags to parsed tags', () =>
+      {
+         const tags = parseComment(eventbus, '*\n * Uses {@link Foo}.\n * @see {@link Bar|bar}\n ');
+
+         assert.deepEqual(tags.map((tag) => tag.tagName), ['@desc', '@see']);
+         assert.deepEqual(tags[0].inlineTags.map((tag) => tag.target), ['Foo']);
+         assert.deepEqual(tags[1].inlineTags.map((tag) => tag.label), ['bar']);
+      });
+
+      it('omits inline tags when a tag value has none', () =>
+      {
+         const [tag] = parseComment(eventbus, '*\n * Plain text.\n ');
+
+         assert.notProperty(tag, 'inlineTags');
+      });
+
+      it('adds absolute tag, value and inline tag locations', () =>
+      {
+         const [desc, param] = parseComment(eventbus,
+          '*\n * Desc {@link Foo}\n * @param {number} x - the x\n *   continued\n ', 10);
+
+         assert.deepEqual(desc.loc, { start: { line: 11, column: 3 }, end: { line: 11, column: 19 } });
+         assert.deepEqual(desc.inlineTags[0].loc, { start: { line: 11, column: 8 }, end: { line: 11, column: 19 } });
+
+         assert.deepEqual(param.loc, { start: { line: 12, column: 3 }, end: { line: 13, column: 14 } });
+         assert.deepEqual(param.valueLoc, { start: { line: 12, column: 10 }, end: { line: 13, column: 14 } });
+      });
+
+      it('omits locations when the comment node has no location data', () =>
+      {
+         const tags = eventbus.triggerSync('tjsdoc:system:parser:comment:parse',
+          { value: '*\n * Desc\n * @param x\n ' });
+
+         assert.deepEqual(tags.map((tag) => tag.tagName), ['@desc', '@param']);
+
+         for (const tag of tags)
+         {
+            assert.notProperty(tag, 'loc');
+            assert.notProperty(tag, 'valueLoc');
+         }
+      });
+
+      it('splits lines starting with a tag in code fences unless fence aware', () =>
+      {
+         const value = '*\n * Example:\n * ```js\n * @decorator\n * class A {}\n * ```\n * @returns {number}\n ';
+
+         const fenceAware = parseComment(eventbus, value, 1, { fenceAware: true });
+
+         assert.deepEqual(fenceAware.map((tag) => [tag.tagName, tag.tagValue]),
+          [['@desc', 'Example:\n```js\n@decorator\nclass A {}\n```'], ['@returns', '{number}']]);
+
+         const legacy = parseComment(eventbus, value, 1, { fenceAware: false });
+
+         assert.deepEqual(legacy.map((tag) => tag.tagName), ['@desc', '@decorator', '@returns']);
+      });
+
+      it('preserves relative indentation of lines without a leading `*` when fence aware', () =>
+      {
+         const value = '*\n    Text\n      indented\n    more\n ';
+
+         assert.strictEqual(parseComment(eventbus, value, 1, { fenceAware: true })[0].tagValue,
+          'Text\n  indented\nmore');
+
+         assert.strictEqual(parseComment(eventbus, value, 1, { fenceAware: false })[0].tagValue,
+          'Text\nindented\nmore');
+      });
+
+      it('defaults to the `commentFenceAware` config', () =>
+      {
+         const fenceEventbus = createEventbus({ commentFenceAware: true });
+
+         const tags = parseComment(fenceEventbus, '*\n * ```\n * @notATag\n * ```\n ');
+
+         assert.deepEqual(tags.map((tag) => tag.tagName), ['@desc']);
+      });
+   });
+});
@@ -0,0 +1,86 @@
+import { assert }            from 'chai';
+
+import TypeExpressionParser  from '../../../src/parser/TypeExpressionParser.js';
+
+import { createEventbus }    from '../utils/TestUtils.js';
+
+describe('AbstractParamParser', () =>
+{
+   describe('typescript type syntax', () =>
+   {
+      const eventbus = createEventbus({ typeSyntax: 'typescript' });
+
+      const parse = (value) => eventbus.triggerSync('tjsdoc:system:parser:param:parse', value);
+
+      it('splits top level unions of literal types', () =>
+      {
+         const param = parse(`{'a' | 'b'} mode - the mode`);
+
+         assert.deepEqual(param.types, [`'a'`, `'b'`]);
+         assert.strictEqual(param.typeAST.type, 'UnionType');
+      });
+
+      it('does not split unions in arrow function return types, generics or object types', () =>
+      {
+         assert.deepEqual(parse('{(a: number) => string | number} fn').types, ['(a: number) => string | number']);
+         assert.deepEqual(parse('{Array<A | B>} list').types, ['Array<A | B>']);
+         assert.deepEqual(parse('{{ a: A | B }} options').types, ['{ a: A | B }']);
+      });
+
+      it('unwraps grouped unions', () =>
+      {
+         assert.deepEqual(parse('{(string|number)} value').types, ['string', 'number']);
+         assert.deepEqual(parse('{((string|number))} value').types, ['string', 'number']);
+         assert.deepEqual(parse('{(A)|(B)} value').types, ['A', 'B']);
+         assert.deepEqual(parse('{(A|B)|C} value').types, ['A', 'B', 'C']);
+         assert.deepEqual(parse('{((a: number) => void)} fn').types, ['(a: number) => void']);
+      });
+
+      it('does not unwrap arrays of unions', () =>
+      {
+         const param = parse('{(string|number)[]} values');
+
+         assert.deepEqual(param.types, ['(string|number)[]']);
+         assert.strictEqual(param.typeAST.type, 'TypeApplication');
+      });
+
+      it('parses typescript types via `tjsdoc:system:parser:type:parse`', () =>
+      {
+         assert.strictEqual(eventbus.triggerSync('tjsdoc:system:parser:type:parse', 'A & B').type, 'IntersectionType');
+      });
+
+      it('parses typescript type expressions', () =>
+      {
+         const parseTS = (expression) => TypeExpressionParser.parse(expression, { syntax: 'typescript' });
+
+         assert.deepEqual(parseTS('[number, string]').elements.map((element) => element.name), ['number', 'string']);
+         assert.strictEqual(parseTS('keyof T').type, 'KeyofType');
+         assert.strictEqual(parseTS(`T['a']`).type, 'IndexedAccessType');
+
+         assert.deepEqual(parseTS('(a: number, b?: string) => void').params.map((param) => [param.name,
+          param.optional]), [['a', false], ['b', true]]);
+
+         assert.deepEqual(parseTS('{ a?: number; [key: string]: any }').fields.map((field) => field.type),
+          ['FieldType', 'IndexSignatureType']);
+      });
+   });
+
+   describe('jsdoc type syntax', () =>
+   {
+      const eventbus = createEventbus();
+
+      it('keeps unions in generics as a single type', () =>
+      {
+         assert.deepEqual(eventbus.triggerSync('tjsdoc:system:parser:param:parse', '{Array<string|number>} v').types,
+          ['Array<string|number>']);
+      });
+
+      it('rejects typescript syntax in the type AST', () =>
+      {
+         const param = eventbus.triggerSync('tjsdoc:system:parser:param:parse', '{A & B} v');
+
+         assert.isNull(param.typeAST);
+         assert.isObject(param.typeError);
+      });
+   });
+});
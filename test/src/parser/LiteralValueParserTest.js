@@ -0,0 +1,87 @@
+import { assert }            from 'chai';
+
+import LiteralValueParser    from '../../../src/parser/LiteralValueParser.js';
+
+import { createEventbus }    from '../utils/TestUtils.js';
+
+describe('LiteralValueParser', () =>
+{
+   const value = (text) =>
+   {
+      const result = LiteralValueParser.parse(text);
+
+      assert.isTrue(result.literal, text);
+
+      return result.value;
+   };
+
+   it('parses strings and template literals without substitutions', () =>
+   {
+      assert.strictEqual(value(`'a\\n'`), 'a\n');
+      assert.strictEqual(value('"b"'), 'b');
+      assert.strictEqual(value('`tpl`'), 'tpl');
+   });
+
+   it('parses numbers in all notations', () =>
+   {
+      assert.strictEqual(value('0x1F'), 31);
+      assert.strictEqual(value('0o17'), 15);
+      assert.strictEqual(value('0b101'), 5);
+      assert.strictEqual(value('-1.5e3'), -1500);
+      assert.strictEqual(value('+2'), 2);
+      assert.strictEqual(value('-Infinity'), -Infinity);
+      assert.isTrue(Number.isNaN(value('NaN')));
+   });
+
+   it('parses keyword literals', () =>
+   {
+      assert.isTrue(value('true'));
+      assert.isNull(value('null'));
+      assert.isUndefined(value('undefined'));
+   });
+
+   it('parses nested array and object literals', () =>
+   {
+      assert.deepEqual(value(`{a: 1, 'b': [1, 'x'], c: {d: null}}`), { a: 1, b: [1, 'x'], c: { d: null } });
+      assert.deepEqual(value('[1, 2,]'), [1, 2]);
+   });
+
+   it('stores `__proto__` keys as own properties', () =>
+   {
+      const result = value('{__proto__: {x: 1}}');
+
+      assert.isTrue(Object.prototype.hasOwnProperty.call(result, '__proto__'));
+      assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+   });
+
+   it('does not evaluate expressions', () =>
+   {
+      for (const text of ['`a${b}`', '[1, , 2]', '(x) => x', 'foo()', '{a}', '{[k]: 1}', '1 + 2', `'unterminated`])
+      {
+         assert.deepEqual(LiteralValueParser.parse(text), { literal: false }, text);
+      }
+   });
+
+   it('throws for non string input', () =>
+   {
+      assert.throws(() => LiteralValueParser.parse(1), TypeError);
+   });
+
+   it('evaluates param default values', () =>
+   {
+      const eventbus = createEventbus();
+
+      const parse = (text) => eventbus.triggerSync('tjsdoc:system:parser:param:parse', text);
+
+      const literal = parse('{object} [x={a: [1]}]');
+
+      assert.strictEqual(literal.defaultValue, '{a: [1]}');
+      assert.deepEqual(literal.defaultRaw, { a: [1] });
+      assert.strictEqual(literal.defaultType, 'literal');
+
+      const expression = parse('{Function} [fn=() => 1]');
+
+      assert.strictEqual(expression.defaultRaw, '() => 1');
+      assert.strictEqual(expression.defaultType, 'expression');
+   });
+});
@@ -0,0 +1,61 @@
+import { assert }            from 'chai';
+
+import SemverParser          from '../../../src/parser/SemverParser.js';
+
+describe('SemverParser', () =>
+{
+   it('parses complete semantic versions', () =>
+   {
+      assert.deepEqual(SemverParser.parse('2.0.0-beta.1+build.5'), {
+         version: '2.0.0-beta.1+build.5',
+         major: 2,
+         minor: 0,
+         patch: 0,
+         prerelease: ['beta', 1],
+         build: ['build', '5']
+      });
+   });
+
+   it('rejects incomplete and prefixed versions in strict mode', () =>
+   {
+      for (const version of ['1.2', 'v1.2.0', '01.2.0', 'next', ''])
+      {
+         assert.throws(() => SemverParser.parse(version), SyntaxError);
+      }
+
+      assert.throws(() => SemverParser.parse(1), TypeError);
+   });
+
+   it('stores the source text of a malformed version in the error', () =>
+   {
+      try
+      {
+         SemverParser.parse('next');
+         assert.fail();
+      }
+      catch (err)
+      {
+         assert.strictEqual(err.version, 'next');
+      }
+   });
+
+   it('normalizes incomplete and prefixed versions in lenient mode', () =>
+   {
+      assert.strictEqual(SemverParser.normalize('v1.2', { lenient: true }), '1.2.0');
+      assert.strictEqual(SemverParser.normalize('version 3', { lenient: true }), '3.0.0');
+      assert.strictEqual(SemverParser.normalize('01.02.03', { lenient: true }), '1.2.3');
+
+      assert.throws(() => SemverParser.normalize('next', { lenient: true }), SyntaxError);
+   });
+
+   it('compares versions by semver precedence', () =>
+   {
+      assert.strictEqual(SemverParser.compare('1.2.0', '1.10.0'), -1);
+      assert.strictEqual(SemverParser.compare('2.0.0', '1.10.0'), 1);
+      assert.strictEqual(SemverParser.compare('1.0.0-alpha', '1.0.0'), -1);
+      assert.strictEqual(SemverParser.compare('1.0.0-alpha.1', '1.0.0-alpha.beta'), -1);
+      assert.strictEqual(SemverParser.compare('1.0.0-alpha', '1.0.0-alpha.1'), -1);
+      assert.strictEqual(SemverParser.compare('1.0.0+build.1', '1.0.0+build.2'), 0);
+      assert.strictEqual(SemverParser.compare('v1', '1.0.0', { lenient: true }), 0);
+   });
+});
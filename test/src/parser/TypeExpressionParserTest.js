@@ -0,0 +1,126 @@
+import { assert }            from 'chai';
+
+import TypeExpressionParser  from '../../../src/parser/TypeExpressionParser.js';
+
+import { createEventbus }    from '../utils/TestUtils.js';
+
+describe('TypeExpressionParser', () =>
+{
+   const name = (value) => ({ type: 'NameExpression', name: value });
+
+   describe('jsdoc syntax', () =>
+   {
+      it('parses names and namepaths', () =>
+      {
+         assert.deepEqual(TypeExpressionParser.parse('string'), name('string'));
+         assert.deepEqual(TypeExpressionParser.parse('module:foo/bar~Baz'), name('module:foo/bar~Baz'));
+         assert.deepEqual(TypeExpressionParser.parse('Foo#bar'), name('Foo#bar'));
+      });
+
+      it('parses all / unknown literals', () =>
+      {
+         assert.deepEqual(TypeExpressionParser.parse('*'), { type: 'AllLiteral' });
+         assert.deepEqual(TypeExpressionParser.parse('?'), { type: 'NullableLiteral' });
+      });
+
+      it('parses type applications and array shorthand', () =>
+      {
+         const expected = { type: 'TypeApplication', expression: name('Array'), applications: [name('string')] };
+
+         assert.deepEqual(TypeExpressionParser.parse('Array<string>'), expected);
+         assert.deepEqual(TypeExpressionParser.parse('Array.<string>'), expected);
+         assert.deepEqual(TypeExpressionParser.parse('string[]'), expected);
+      });
+
+      it('parses unions inside of type applications and parentheses', () =>
+      {
+         const union = { type: 'UnionType', elements: [name('string'), name('number')] };
+
+         assert.deepEqual(TypeExpressionParser.parse('Array<string|number>'),
+          { type: 'TypeApplication', expression: name('Array'), applications: [union] });
+
+         assert.deepEqual(TypeExpressionParser.parse('(string|number)'), union);
+      });
+
+      it('parses record types', () =>
+      {
+         assert.deepEqual(TypeExpressionParser.parse('{a: number, b}'), {
+            type: 'RecordType',
+            fields: [
+               { type: 'FieldType', key: 'a', value: name('number') },
+               { type: 'FieldType', key: 'b', value: null }
+            ]
+         });
+      });
+
+      it('parses function types with new, params, rest params and result', () =>
+      {
+         assert.deepEqual(TypeExpressionParser.parse('function(new:Foo, string, ...number): boolean'), {
+            'type': 'FunctionType',
+            'params': [name('string'), { type: 'RestType', expression: name('number') }],
+            'result': name('boolean'),
+            'this': null,
+            'new': name('Foo')
+         });
+      });
+
+      it('parses nullable, non-nullable and optional modifiers', () =>
+      {
+         assert.deepEqual(TypeExpressionParser.parse('?string'),
+          { type: 'NullableType', expression: name('string'), prefix: true });
+
+         assert.deepEqual(TypeExpressionParser.parse('!Object'),
+          { type: 'NonNullableType', expression: name('Object'), prefix: true });
+
+         assert.deepEqual(TypeExpressionParser.parse('string='), { type: 'OptionalType', expression: name('string') });
+      });
+
+      it('throws a SyntaxError with the error index for malformed expressions', () =>
+      {
+         for (const [expression, index] of [['Array<', 6], ['string|', 7], ['', 0], ['A & B', 2]])
+         {
+            let error;
+
+            try { TypeExpressionParser.parse(expression); }
+            catch (err) { error = err; }
+
+            assert.instanceOf(error, SyntaxError, expression);
+            assert.strictEqual(error.index, index, expression);
+            assert.strictEqual(error.expression, expression);
+         }
+      });
+
+      it('rejects an unknown syntax option', () =>
+      {
+         assert.throws(() => TypeExpressionParser.parse('string', { syntax: 'flow' }), TypeError);
+      });
+   });
+
+   describe('param parser integration', () =>
+   {
+      const eventbus = createEventbus();
+
+      it('stores the type AST of parsed params', () =>
+      {
+         const param = eventbus.triggerSync('tjsdoc:system:parser:param:parse', '{Array<string|number>} values - v');
+
+         assert.deepEqual(param.types, ['Array<string|number>']);
+         assert.strictEqual(param.typeAST.type, 'TypeApplication');
+         assert.notProperty(param, 'typeError');
+      });
+
+      it('stores a type error for malformed types', () =>
+      {
+         const param = eventbus.triggerSync('tjsdoc:system:parser:param:parse', '{Array<string} values - v');
+
+         assert.isNull(param.typeAST);
+         assert.isString(param.typeError.message);
+         assert.isNumber(param.typeError.index);
+      });
+
+      it('parses type expressions via `tjsdoc:system:parser:type:parse`', () =>
+      {
+         assert.deepEqual(eventbus.triggerSync('tjsdoc:system:parser:type:parse', 'string'), name('string'));
+      });
+   });
+});
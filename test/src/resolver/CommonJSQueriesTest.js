@@ -0,0 +1,226 @@
+import { assert }            from 'chai';
+import { parse }             from 'babylon';
+import fs                    from 'fs';
+
+import SourceFileCache       from '../../../src/file/SourceFileCache.js';
+import CommonJSQueries       from '../../../src/resolver/CommonJSQueries.js';
+import ModuleExportGraph     from '../../../src/resolver/ModuleExportGraph.js';
+import ModuleResolver        from '../../../src/resolver/ModuleResolver.js';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   fixturePath,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('CommonJSQueries', () =>
+{
+   /**
+    * Parses the analyzed module data of the given code.
+    *
+    * @param {...string}   lines - The code lines.
+    *
+    * @returns {object}
+    */
+   const parseModule = (...lines) => CommonJSQueries.parseModule(parse(lines.join('\n')));
+
+   describe('require bindings', () =>
+   {
+      it('finds whole module, destructured and member bindings', () =>
+      {
+         const { requires } = parseModule(
+          `const Base = require('./Base');`,
+          `const { A, B: C, D = 1 } = require('./lib');`,
+          'const E = require(`./lib`).E;',
+          `const F = require('./lib')['F'];`);
+
+         assert.deepEqual(Array.from(requires), [
+            ['Base', { source: './Base', imported: null }],
+            ['A', { source: './lib', imported: 'A' }],
+            ['C', { source: './lib', imported: 'B' }],
+            ['D', { source: './lib', imported: 'D' }],
+            ['E', { source: './lib', imported: 'E' }],
+            ['F', { source: './lib', imported: 'F' }]
+         ]);
+      });
+
+      it('ignores dynamic, nested and non top level requires', () =>
+      {
+         const { requires } = parseModule(
+          `const A = require(name);`,
+          'const B = require(`./${name}`);',
+          `const { C } = require('./lib').nested;`,
+          `const D = require('./lib').a.b;`,
+          `function f() { const E = require('./lib'); }`,
+          `const F = load('./lib');`);
+
+         assert.strictEqual(requires.size, 0);
+      });
+
+      it('returns a copy of a binding from findRequireBinding', () =>
+      {
+         const ast = parse(`const { Base: Parent } = require('./Base.js');`);
+
+         const binding = CommonJSQueries.findRequireBinding(ast, 'Parent');
+
+         assert.deepEqual(binding, { source: './Base.js', imported: 'Base' });
+
+         binding.source = 'changed';
+
+         assert.strictEqual(CommonJSQueries.findRequireBinding(ast, 'Parent').source, './Base.js');
+         assert.isNull(CommonJSQueries.findRequireBinding(ast, 'Base'));
+      });
+   });
+
+   describe('exports', () =>
+   {
+      it('finds module.exports assignments of identifiers and object literals', () =>
+      {
+         assert.deepEqual(Array.from(parseModule('module.exports = Foo;').exports), [['default', { local: 'Foo' }]]);
+
+         const { exports } = parseModule(`module.exports = { Foo, Bar: Baz, 'Qux': Foo, [key]: Foo };`);
+
+         assert.deepEqual(Array.from(exports),
+          [['Foo', { local: 'Foo' }], ['Bar', { local: 'Baz' }], ['Qux', { local: 'Foo' }]]);
+      });
+
+      it('finds named exports of module.exports and exports', () =>
+      {
+         const { exports } = parseModule('module.exports.Foo = Foo;', `exports.Bar = Bar;`,
+          `module['exports']['Baz'] = Baz;`, 'other.Qux = Qux;', 'exports.count += 1;');
+
+         assert.deepEqual(Array.from(exports),
+          [['Foo', { local: 'Foo' }], ['Bar', { local: 'Bar' }], ['Baz', { local: 'Baz' }]]);
+      });
+
+      it('finds named class and function expressions as locals', () =>
+      {
+         const { exports, locals } = parseModule('module.exports = class Foo {};', 'exports.bar = function bar() {};',
+          'exports.anonymous = function() {};');
+
+         assert.deepEqual(Array.from(exports), [['default', { local: 'Foo' }], ['bar', { local: 'bar' }]]);
+         assert.deepEqual(Array.from(locals), ['Foo', 'bar']);
+      });
+
+      it('finds re-exports of required modules', () =>
+      {
+         const { exports } = parseModule(`module.exports = require('./Foo');`, `exports.Bar = require('./lib').Bar;`);
+
+         assert.deepEqual(Array.from(exports), [['default', { source: './Foo', imported: 'default' }],
+          ['Bar', { source: './lib', imported: 'Bar' }]]);
+      });
+
+      it('returns the export names of a local declaration from findExportNames', () =>
+      {
+         const ast = parse(['class Foo {}', 'module.exports = Foo;', 'module.exports.Alias = Foo;',
+          `exports.Bar = require('./Bar');`].join('\n'));
+
+         assert.deepEqual(CommonJSQueries.findExportNames(ast, 'Foo'), ['default', 'Alias']);
+         assert.deepEqual(CommonJSQueries.findExportNames(ast, 'Bar'), []);
+      });
+   });
+
+   it('caches the module data by AST and validates the AST', () =>
+   {
+      const ast = parse('module.exports = Foo;');
+
+      assert.strictEqual(CommonJSQueries.parseModule(ast), CommonJSQueries.parseModule(ast));
+      assert.deepEqual(Array.from(CommonJSQueries.parseModule(ast.program).exports), [['default', { local: 'Foo' }]]);
+
+      assert.throws(() => CommonJSQueries.parseModule(null), TypeError, `'ast' is not an 'object'.`);
+   });
+
+   describe('integration', () =>
+   {
+      const filePath = fixturePath('graph', 'legacy.js');
+
+      /**
+       * Creates an eventbus with CommonJSQueries, the source file cache, a Babylon source parser, the module resolver
+       * and the module export graph loaded.
+       *
+       * @returns {TestEventbus}
+       */
+      const create = () =>
+      {
+         const eventbus = createEventbus({}, [new CommonJSQueries(), new SourceFileCache(), new ModuleResolver(),
+          new ModuleExportGraph()]);
+
+         eventbus.on('tjsdoc:system:parser:code:source:parse', (code) =>
+          parse(code, { sourceType: 'module', plugins: ['exportExtensions'] }));
+
+         return eventbus;
+      };
+
+      /**
+       * Returns a definition of a declaration of the graph fixture.
+       *
+       * @param {string}   fileName - The file name in the graph fixture.
+       *
+       * @param {string}   name - The declared name.
+       *
+       * @returns {ModuleDefinition}
+       */
+      const definition = (fileName, name) => ({ filePath: fixturePath('graph', fileName), name, namespace: false });
+
+      it('resolves CommonJS exports in the module export graph', () =>
+      {
+         const eventbus = create();
+
+         /**
+          * Resolves an exported name of `legacy.js`.
+          *
+          * @param {string}   name - The exported name.
+          *
+          * @returns {ModuleDefinition|null}
+          */
+         const findExport = (name) => eventbus.triggerSync('tjsdoc:system:module:export:find', filePath, name);
+
+         assert.deepEqual(findExport('default'), definition('legacy.js', 'Legacy'));
+         assert.deepEqual(findExport('Square'), definition('shapes.js', 'Square'));
+         assert.deepEqual(findExport('helper'), definition('utils.js', 'helper'));
+
+         assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:export:find', fixturePath('graph', 'consumer.js'),
+          'Renamed'), definition('legacy.js', 'Legacy'));
+      });
+
+      it('resolves CommonJS require bindings in the module export graph', () =>
+      {
+         const eventbus = create();
+
+         assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:binding:find', filePath, 'Base'),
+          definition('Widget.js', 'Widget'));
+
+         assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:binding:find', fixturePath('graph', 'consumer.js'),
+          'Legacy'), definition('legacy.js', 'Legacy'));
+      });
+
+      it('resolves longnames of required identifiers and exports of docs', () =>
+      {
+         const eventbus = create();
+         const ast = parse(fs.readFileSync(filePath, 'utf8'));
+
+         /**
+          * Creates a function doc of `legacy.js` with the given name and `@see` references.
+          *
+          * @param {string}      name - The doc name.
+          *
+          * @param {...string}   values - The `@see` tag values.
+          *
+          * @returns {DocObject}
+          */
+         const createLegacyDoc = (name, ...values) => createDoc(TestFunctionDoc, eventbus, { ast,
+          comment: comment(...values.map((value) => `@see ${value}`)), node: { id: { name } },
+           rootPath: fixturePath('graph'), filePath: 'legacy.js' }).value;
+
+         const doc = createLegacyDoc('Legacy', 'Base', 'Square', 'Unknown');
+
+         assert.isTrue(doc.export);
+         assert.strictEqual(doc.seeInfo[0].importName, 'Widget.js~Widget');
+         assert.strictEqual(doc.seeInfo[1].importName, 'shapes.js~Square');
+         assert.isUndefined(doc.seeInfo[2].importName);
+
+         assert.notOk(createLegacyDoc('Other').export);
+      });
+   });
+});
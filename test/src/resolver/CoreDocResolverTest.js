@@ -0,0 +1,312 @@
+import { assert }            from 'chai';
+import { parse }             from 'babylon';
+import fs                    from 'fs';
+import os                    from 'os';
+import path                  from 'path';
+
+import SourceFileCache       from '../../../src/file/SourceFileCache.js';
+import CoreDocResolver       from '../../../src/resolver/CoreDocResolver.js';
+import ModuleExportGraph     from '../../../src/resolver/ModuleExportGraph.js';
+import ModuleResolver        from '../../../src/resolver/ModuleResolver.js';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   fixturePath,
+   loadPlugin,
+   TestDocDB,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('CoreDocResolver', () =>
+{
+   describe('status replacement', () =>
+   {
+      /**
+       * Creates a deprecated function doc importing `Foo` from `./Foo.js`.
+       *
+       * @param {string}   value - The `@deprecated` tag value.
+       *
+       * @returns {DocObject}
+       */
+      const createDeprecatedDoc = (value) =>
+      {
+         const eventbus = createEventbus();
+
+         eventbus.on('tjsdoc:system:ast:path:import:declaration:find', (ast, name) =>
+          name === 'Foo' ? './Foo.js' : null);
+
+         return createDoc(TestFunctionDoc, eventbus, { comment: comment(`@deprecated ${value}`) }).value;
+      };
+
+      /**
+       * Resolves the status replacements of the given docs.
+       *
+       * @param {DocObject[]} docs - The doc objects.
+       *
+       * @returns {TestEventbus} The resolver eventbus.
+       */
+      const resolve = (docs) =>
+      {
+         const eventbus = createEventbus();
+         const resolver = loadPlugin(eventbus, new CoreDocResolver());
+
+         resolver._resolveStatusReplacement(new TestDocDB(docs));
+
+         return eventbus;
+      };
+
+      it('stores the import aware longname of an imported replacement', () =>
+      {
+         const doc = createDeprecatedDoc('Use {@link Foo#bar} instead.');
+
+         assert.strictEqual(doc.deprecatedInfo.replacement, 'Foo#bar');
+         assert.strictEqual(doc.deprecatedInfo.importName, 'src/Foo.js~Foo#bar');
+
+         assert.isUndefined(createDeprecatedDoc('Use {@link Bar} instead.').deprecatedInfo.importName);
+      });
+
+      it('resolves an imported replacement via its import aware longname', () =>
+      {
+         const doc = createDeprecatedDoc('Use {@link Foo#bar} instead.');
+
+         // A doc with the same name in another module must not be chosen over the imported one.
+         const other = { kind: 'ClassMethod', name: 'Foo#bar', longname: 'Foo#bar', filePath: 'src/other/Foo.js' };
+         const imported = { kind: 'ClassMethod', name: 'bar', longname: 'src/Foo.js~Foo#bar', filePath: 'src/Foo.js' };
+
+         const eventbus = resolve([doc, other, imported]);
+
+         assert.strictEqual(doc.deprecatedInfo.replacementLongname, 'src/Foo.js~Foo#bar');
+         assert.lengthOf(eventbus.logged('log:warn'), 0);
+      });
+
+      it('resolves a replacement declared in the same file', () =>
+      {
+         const doc = createDeprecatedDoc('Use {@link newName} instead.');
+         const replacement = { kind: 'ModuleFunction', name: 'newName', longname: 'src/Test.js~newName' };
+
+         resolve([doc, replacement]);
+
+         assert.strictEqual(doc.deprecatedInfo.replacementLongname, 'src/Test.js~newName');
+      });
+
+      it('warns when the replacement does not exist', () =>
+      {
+         const doc = createDeprecatedDoc('Use {@link Foo#missing} instead.');
+
+         const eventbus = resolve([doc]);
+
+         assert.isNull(doc.deprecatedInfo.replacementLongname);
+         assert.deepEqual(eventbus.logged('log:warn').map((args) => args[0]),
+          [`tjsdoc-doc-resolver-core - @deprecated replacement not found: Foo#missing (${doc.longname})`]);
+      });
+   });
+
+   describe('since version', () =>
+   {
+      /**
+       * Resolves the `@since` versions of the given docs.
+       *
+       * @param {DocObject[]} docs - The doc objects.
+       *
+       * @param {object}      [mainConfig] - The main config.
+       *
+       * @returns {TestEventbus} The resolver eventbus.
+       */
+      const resolve = (docs, mainConfig = {}) =>
+      {
+         const eventbus = createEventbus(mainConfig);
+         const resolver = loadPlugin(eventbus, new CoreDocResolver());
+
+         resolver._resolveSinceVersion(new TestDocDB(docs));
+
+         return eventbus;
+      };
+
+      it('ignores docs newer than `apiVersion`', () =>
+      {
+         const older = { longname: 'src/A.js~A', since: '1.0.0' };
+         const newer = { longname: 'src/B.js~B', since: '1.10.0' };
+
+         resolve([older, newer], { apiVersion: 'v1.2' });
+
+         assert.isUndefined(older.ignore);
+         assert.isTrue(newer.ignore);
+      });
+
+      it('warns about an invalid `apiVersion`', () =>
+      {
+         const eventbus = resolve([], { apiVersion: 'next' });
+
+         assert.deepEqual(eventbus.logged('log:warn').map((args) => args[0]),
+          [`tjsdoc-doc-resolver-core - 'apiVersion' is not a valid semantic version: next`]);
+      });
+
+      it('warns about members older than the containing class', () =>
+      {
+         const classDoc = { kind: 'ModuleClass', longname: 'src/A.js~A', since: '2.0.0' };
+         const member = { longname: 'src/A.js~A#m', memberof: 'src/A.js~A', since: '1.0.0' };
+
+         const eventbus = resolve([classDoc, member]);
+
+         assert.deepEqual(eventbus.logged('log:warn').map((args) => args[0]), [
+            'tjsdoc-doc-resolver-core - @since 1.0.0 of src/A.js~A#m is older than @since 2.0.0 of the containing class'
+         ]);
+      });
+   });
+
+   describe('see references', () =>
+   {
+      /**
+       * Resolves the `@see` references of the given docs.
+       *
+       * @param {DocObject[]}        docs - The doc objects.
+       *
+       * @param {string}             [filePath] - A file path limiting resolution.
+       *
+       * @param {CoreDocResolver}    [resolver] - A resolver to reuse.
+       *
+       * @returns {CoreDocResolver} The resolver.
+       */
+      const resolve = (docs, filePath = void 0, resolver = void 0) =>
+      {
+         if (!resolver) { resolver = loadPlugin(createEventbus(), new CoreDocResolver()); }
+
+         resolver._resolveSeeReferences(new TestDocDB(docs), filePath);
+
+         return resolver;
+      };
+
+      /**
+       * Creates a method doc of `src/A.js~A` with the given `@see` references.
+       *
+       * @param {...object}   seeInfo - The `@see` references.
+       *
+       * @returns {DocObject}
+       */
+      const createDoc = (...seeInfo) => ({ kind: 'ClassMethod', name: 'm', longname: 'src/A.js~A#m',
+       memberof: 'src/A.js~A', filePath: 'src/A.js', seeInfo });
+
+      const docs = [
+         { kind: 'ModuleClass', name: 'A', longname: 'src/A.js~A', filePath: 'src/A.js' },
+         { kind: 'ClassMethod', name: 'n', longname: 'src/A.js~A#n', filePath: 'src/A.js' },
+         { kind: 'ModuleClass', name: 'Foo', longname: 'src/Foo.js~Foo', filePath: 'src/Foo.js' },
+         { kind: 'ModuleClass', name: 'Foo', longname: 'src/other/Foo.js~Foo', filePath: 'src/other/Foo.js' }
+      ];
+
+      it('resolves import aware, same file, class relative and global targets', () =>
+      {
+         const doc = createDoc(
+            { type: 'identifier', value: 'Foo', target: 'Foo', importName: 'src/other/Foo.js~Foo' },
+            { type: 'link', value: '{@link A}', target: 'A' },
+            { type: 'identifier', value: '#n', target: '#n' },
+            { type: 'identifier', value: 'src/Foo.js~Foo', target: 'src/Foo.js~Foo' },
+            { type: 'url', value: 'https://example.com', target: 'https://example.com' },
+            { type: 'text', value: 'text' }
+         );
+
+         const resolver = resolve(docs.concat(doc));
+
+         assert.deepEqual(doc.seeInfo.map((ref) => ref.longname),
+          ['src/other/Foo.js~Foo', 'src/A.js~A', 'src/A.js~A#n', 'src/Foo.js~Foo', void 0, void 0]);
+
+         assert.lengthOf(resolver.getUnresolvedSee(), 0);
+      });
+
+      it('reports unresolved references replacing the entries of re-resolved files', () =>
+      {
+         const doc = createDoc({ type: 'identifier', value: 'Missing', target: 'Missing' });
+         const other = { kind: 'ModuleFunction', name: 'f', longname: 'src/B.js~f', filePath: 'src/B.js',
+          seeInfo: [{ type: 'identifier', value: 'Gone', target: 'Gone' }] };
+
+         const resolver = resolve(docs.concat(doc, other));
+
+         assert.isNull(doc.seeInfo[0].longname);
+
+         assert.deepEqual(resolver.getUnresolvedSee(), [
+            { longname: 'src/A.js~A#m', filePath: 'src/A.js', target: 'Missing' },
+            { longname: 'src/B.js~f', filePath: 'src/B.js', target: 'Gone' }
+         ]);
+
+         doc.seeInfo[0].target = 'A';
+
+         resolve(docs.concat(doc, other), 'src/A.js', resolver);
+
+         assert.strictEqual(doc.seeInfo[0].longname, 'src/A.js~A');
+         assert.deepEqual(resolver.getUnresolvedSee(),
+          [{ longname: 'src/B.js~f', filePath: 'src/B.js', target: 'Gone' }]);
+      });
+   });
+
+   describe('entry points', () =>
+   {
+      /**
+       * Resolves the public imports of the exported docs of the modules fixture.
+       *
+       * @param {object}   mainConfig - The main config.
+       *
+       * @returns {DocObject[]} The resolved `Foo`, `feature` and `util` docs.
+       */
+      const resolve = (mainConfig) =>
+      {
+         const eventbus = createEventbus(mainConfig,
+          [new SourceFileCache(), new ModuleResolver(), new ModuleExportGraph()]);
+
+         eventbus.on('tjsdoc:system:parser:code:source:parse', (code) => parse(code, { sourceType: 'module' }));
+
+         const docs = [
+            { 'kind': 'ModuleClass', 'name': 'Foo', 'filePath': 'src/Foo.js', 'export': true },
+            { 'kind': 'ModuleFunction', 'name': 'feature', 'filePath': 'src/feature.js', 'export': true },
+            { 'kind': 'ModuleVariable', 'name': 'util', 'filePath': 'src/lib/util.js', 'export': true }
+         ];
+
+         loadPlugin(eventbus, new CoreDocResolver())._resolveEntryPoints(new TestDocDB(docs));
+
+         return docs;
+      };
+
+      it('resolves package.json exports of the project root', () =>
+      {
+         const [foo, feature, util] = resolve({ rootPath: fixturePath('modules') });
+
+         assert.deepEqual(foo.publicImports, [{ specifier: 'fixture-modules', importStyle: '{Foo}', name: 'Foo' }]);
+         assert.isFalse(foo.internal);
+
+         assert.deepEqual(feature.publicImports,
+          [{ specifier: 'fixture-modules/feature', importStyle: '{feature}', name: 'feature' }]);
+
+         assert.deepEqual(util.publicImports, []);
+         assert.isTrue(util.internal);
+      });
+
+      it('resolves TJSDocConfig entry points relative to the project root', () =>
+      {
+         const [foo, feature, util] = resolve({ rootPath: fixturePath('modules'),
+          entryPoints: { 'my-utils': 'src/lib/util.js' } });
+
+         assert.deepEqual(foo.publicImports, []);
+         assert.deepEqual(feature.publicImports, []);
+         assert.deepEqual(util.publicImports, [{ specifier: 'my-utils', importStyle: '{util}', name: 'util' }]);
+      });
+
+      it('resolves docs of a project root reached through a symbolic link', () =>
+      {
+         const linkPath = path.join(os.tmpdir(), `tjsdoc-test-entry-points-${process.pid}`);
+
+         fs.symlinkSync(fixturePath('modules'), linkPath, 'dir');
+
+         try
+         {
+            const [foo, feature] = resolve({ rootPath: linkPath, entryPoints: { 'my-feature': 'src/feature.js' } });
+
+            assert.deepEqual(foo.publicImports, []);
+            assert.deepEqual(feature.publicImports,
+             [{ specifier: 'my-feature', importStyle: '{feature}', name: 'feature' }]);
+         }
+         finally
+         {
+            fs.unlinkSync(linkPath);
+         }
+      });
+   });
+});
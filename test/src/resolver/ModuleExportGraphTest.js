@@ -0,0 +1,239 @@
+import { assert }            from 'chai';
+import { parse }             from 'babylon';
+import fs                    from 'fs';
+
+import SourceFileCache       from '../../../src/file/SourceFileCache.js';
+import ModuleExportGraph     from '../../../src/resolver/ModuleExportGraph.js';
+import ModuleResolver        from '../../../src/resolver/ModuleResolver.js';
+
+import {
+   createDoc,
+   createEventbus,
+   fixturePath,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('ModuleExportGraph', () =>
+{
+   /**
+    * Creates an eventbus with the source file cache, a Babylon source parser, the module export graph and optionally
+    * the module resolver loaded.
+    *
+    * @param {boolean}  [resolver=true] - Loads the module resolver when true.
+    *
+    * @returns {TestEventbus}
+    */
+   const create = (resolver = true) =>
+   {
+      const plugins = [new SourceFileCache(), new ModuleExportGraph()];
+
+      if (resolver) { plugins.push(new ModuleResolver()); }
+
+      const eventbus = createEventbus({}, plugins);
+
+      eventbus.on('tjsdoc:system:parser:code:source:parse', (code) =>
+       parse(code, { sourceType: 'module', plugins: ['exportExtensions'] }));
+
+      return eventbus;
+   };
+
+   /**
+    * Returns a definition of a declaration of the graph fixture.
+    *
+    * @param {string}      fileName - The file name in the graph fixture.
+    *
+    * @param {string|null} name - The declared name or null for a namespace.
+    *
+    * @returns {ModuleDefinition}
+    */
+   const definition = (fileName, name) =>
+    ({ filePath: fixturePath('graph', fileName), name, namespace: name === null });
+
+   describe('findExport', () =>
+   {
+      /**
+       * Resolves an exported name of a module of the graph fixture.
+       *
+       * @param {string}   fileName - The file name in the graph fixture.
+       *
+       * @param {string}   exportName - The exported name.
+       *
+       * @returns {ModuleDefinition|null}
+       */
+      const findExport = (fileName, exportName) =>
+       create().triggerSync('tjsdoc:system:module:export:find', fixturePath('graph', fileName), exportName);
+
+      it('follows named re-exports of barrel files', () =>
+      {
+         assert.deepEqual(findExport('index.js', 'Widget'), definition('Widget.js', 'Widget'));
+         assert.deepEqual(findExport('index.js', 'Round'), definition('shapes.js', 'Circle'));
+      });
+
+      it('follows star re-exports except the default export', () =>
+      {
+         assert.deepEqual(findExport('index.js', 'Square'), definition('shapes.js', 'Square'));
+         assert.isNull(findExport('index.js', 'default'));
+      });
+
+      it('resolves namespace re-exports', () =>
+      {
+         assert.deepEqual(findExport('index.js', 'utils'), definition('utils.js', null));
+      });
+
+      it('resolves local exports by their declared name', () =>
+      {
+         assert.deepEqual(findExport('utils.js', 'assist'), definition('utils.js', 'helper'));
+         assert.deepEqual(findExport('App.js', 'default'), definition('App.js', 'App'));
+         assert.deepEqual(findExport('App.js', 'Application'), definition('App.js', 'App'));
+      });
+
+      it('returns null for unknown exports and circular star re-exports', () =>
+      {
+         assert.isNull(findExport('index.js', 'Missing'));
+         assert.isNull(findExport('cycleA.js', 'b'));
+         assert.deepEqual(findExport('cycleB.js', 'a'), definition('cycleA.js', 'a'));
+      });
+   });
+
+   describe('findBinding', () =>
+   {
+      /**
+       * Resolves a local binding of `App.js` of the graph fixture.
+       *
+       * @param {string}   name - The local binding name.
+       *
+       * @param {boolean}  [resolver=true] - Loads the module resolver when true.
+       *
+       * @returns {ModuleDefinition|null}
+       */
+      const findBinding = (name, resolver = true) =>
+       create(resolver).triggerSync('tjsdoc:system:module:binding:find', fixturePath('graph', 'App.js'), name);
+
+      it('resolves aliased imports through barrel files', () =>
+      {
+         assert.deepEqual(findBinding('Base'), definition('Widget.js', 'Widget'));
+         assert.deepEqual(findBinding('Round'), definition('shapes.js', 'Circle'));
+      });
+
+      it('resolves members of namespace imports', () =>
+      {
+         assert.deepEqual(findBinding('lib'), definition('index.js', null));
+         assert.deepEqual(findBinding('lib.Square'), definition('shapes.js', 'Square'));
+         assert.deepEqual(findBinding('lib.utils.assist'), definition('utils.js', 'helper'));
+         assert.isNull(findBinding('lib.Missing'));
+         assert.isNull(findBinding('Round.radius'));
+      });
+
+      it('resolves local declarations and returns null for unresolved bindings', () =>
+      {
+         assert.deepEqual(findBinding('App'), definition('App.js', 'App'));
+         assert.isNull(findBinding('Missing'));
+         assert.isNull(findBinding('unknown'));
+      });
+
+      it('resolves relative specifiers with an extension without a module resolver', () =>
+      {
+         assert.isNull(findBinding('Base', false));
+
+         const eventbus = create(false);
+
+         assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:export:find', fixturePath('graph', 'index.js'),
+          'Widget'), definition('Widget.js', 'Widget'));
+      });
+   });
+
+   describe('export names', () =>
+   {
+      it('returns all exported names including star re-exports', () =>
+      {
+         const names = create().triggerSync('tjsdoc:system:module:exports:get', fixturePath('graph', 'index.js'));
+
+         assert.sameMembers(names, ['Widget', 'Round', 'utils', 'Circle', 'Square']);
+      });
+
+      it('returns the exported names of a local declaration', () =>
+      {
+         const eventbus = create();
+
+         assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:export:names:get', fixturePath('graph', 'App.js'),
+          'App'), ['default', 'Application']);
+
+         assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:export:names:get', fixturePath('graph', 'App.js'),
+          'Base'), []);
+      });
+   });
+
+   it('builds each module once per generation run', () =>
+   {
+      const graph = new ModuleExportGraph();
+      const eventbus = createEventbus({}, [new SourceFileCache(), graph]);
+      const filePath = fixturePath('graph', 'utils.js');
+
+      let parseCount = 0;
+
+      eventbus.on('tjsdoc:system:parser:code:source:parse', (code) =>
+      {
+         parseCount++;
+         return parse(code, { sourceType: 'module' });
+      });
+
+      assert.deepEqual(graph.getExportNames(filePath, 'helper'), ['assist']);
+      assert.deepEqual(graph.getExportNames(filePath, 'clamp'), ['clamp']);
+      assert.strictEqual(parseCount, 1);
+
+      graph.onRuntimePreGenerateAsync();
+
+      graph.getExportNames(filePath, 'helper');
+
+      assert.strictEqual(parseCount, 2);
+   });
+
+   it('reuses an AST already produced by the runtime instead of parsing the module', () =>
+   {
+      const filePath = fixturePath('graph', 'utils.js');
+      const ast = parse(fs.readFileSync(filePath, 'utf8'), { sourceType: 'module' });
+
+      const eventbus = createEventbus({}, [new SourceFileCache(), new ModuleExportGraph()]);
+
+      let parseCount = 0;
+
+      eventbus.on('tjsdoc:system:parser:code:source:parse', (code) =>
+      {
+         parseCount++;
+         return parse(code, { sourceType: 'module' });
+      });
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { ast, node: { id: { name: 'helper' } },
+       rootPath: fixturePath('graph'), filePath: 'utils.js' }).value;
+
+      assert.strictEqual(doc.importStyle, '{assist}');
+      assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:export:names:get', filePath, 'clamp'), ['clamp']);
+      assert.strictEqual(parseCount, 0);
+   });
+
+   it('logs modules that can not be read or parsed', () =>
+   {
+      const eventbus = createEventbus({}, [new SourceFileCache(), new ModuleExportGraph()]);
+      const missingPath = fixturePath('graph', 'Missing.js');
+      const filePath = fixturePath('graph', 'utils.js');
+
+      eventbus.on('tjsdoc:system:parser:code:source:parse', () => { throw new SyntaxError('Unexpected token'); });
+
+      assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:export:names:get', missingPath, 'Missing'), []);
+      assert.deepEqual(eventbus.triggerSync('tjsdoc:system:module:export:names:get', filePath, 'clamp'), []);
+
+      assert.deepEqual(eventbus.logged('log:warn'), [
+         [`tjsdoc-module-export-graph - can not read module: ${missingPath}`],
+         [`tjsdoc-module-export-graph - can not parse module: ${filePath} (Unexpected token)`]
+      ]);
+   });
+
+   it('does not treat errors other than read or parse failures as a missing module', () =>
+   {
+      const eventbus = createEventbus({}, [new SourceFileCache(), new ModuleExportGraph()]);
+
+      eventbus.on('tjsdoc:system:file:content:get', () => { throw new TypeError('read handler failed'); });
+
+      assert.throws(() => eventbus.triggerSync('tjsdoc:system:module:export:names:get',
+       fixturePath('graph', 'utils.js'), 'clamp'), TypeError, 'read handler failed');
+   });
+});
@@ -0,0 +1,159 @@
+import { assert }            from 'chai';
+import fs                    from 'fs';
+import os                    from 'os';
+import path                  from 'path';
+
+import SourceFileCache       from '../../../src/file/SourceFileCache.js';
+import ModuleResolver        from '../../../src/resolver/ModuleResolver.js';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   fixturePath,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('ModuleResolver', () =>
+{
+   const fromPath = fixturePath('modules', 'src', 'App.js');
+
+   /**
+    * Creates an eventbus with the source file cache and module resolver loaded.
+    *
+    * @param {object}   [mainConfig] - The main config.
+    *
+    * @returns {TestEventbus}
+    */
+   const create = (mainConfig = {}) => createEventbus(mainConfig, [new SourceFileCache(), new ModuleResolver()]);
+
+   /**
+    * Resolves an import specifier imported by `src/App.js` of the modules fixture.
+    *
+    * @param {string}   specifier - The import specifier.
+    *
+    * @param {object}   [mainConfig] - The main config.
+    *
+    * @returns {string|null}
+    */
+   const resolve = (specifier, mainConfig = {}) =>
+    create(mainConfig).triggerSync('tjsdoc:system:module:resolve', specifier, fromPath);
+
+   it('resolves relative paths by path extensions, index files and package.json main', () =>
+   {
+      assert.strictEqual(resolve('./Foo'), fixturePath('modules', 'src', 'Foo.js'));
+      assert.strictEqual(resolve('./Foo.js'), fixturePath('modules', 'src', 'Foo.js'));
+      assert.strictEqual(resolve('./dir'), fixturePath('modules', 'src', 'dir', 'index.js'));
+      assert.strictEqual(resolve('./main'), fixturePath('modules', 'src', 'main', 'entry.js'));
+      assert.isNull(resolve('./Missing'));
+   });
+
+   it('resolves path aliases with wildcards and fallback targets', () =>
+   {
+      const src = path.relative(process.cwd(), fixturePath('modules', 'src'));
+
+      const pathAliases = { '@app/*': [`${src}/missing/*`, `${src}/*`], '@lib': `${src}/lib/util.js` };
+
+      assert.strictEqual(resolve('@app/Foo', { pathAliases }), fixturePath('modules', 'src', 'Foo.js'));
+      assert.strictEqual(resolve('@lib', { pathAliases }), fixturePath('modules', 'src', 'lib', 'util.js'));
+   });
+
+   it('resolves path alias targets relative to the root path instead of the current working directory', () =>
+   {
+      const cwd = process.cwd();
+      const pathAliases = { '@app/*': 'src/*' };
+
+      const eventbus = create({ rootPath: fixturePath('modules'), pathAliases });
+
+      assert.isNull(resolve('@app/Foo', { pathAliases }));
+
+      process.chdir(fixturePath('modules', 'src'));
+
+      try
+      {
+         assert.strictEqual(eventbus.triggerSync('tjsdoc:system:module:resolve', '@app/Foo', fromPath),
+          fixturePath('modules', 'src', 'Foo.js'));
+      }
+      finally
+      {
+         process.chdir(cwd);
+      }
+   });
+
+   it('resolves self references by package.json exports and conditions', () =>
+   {
+      assert.strictEqual(resolve('fixture-modules'), fixturePath('modules', 'src', 'index.js'));
+      assert.strictEqual(resolve('fixture-modules/feature'), fixturePath('modules', 'src', 'feature.js'));
+      assert.strictEqual(resolve('fixture-modules/lib/util'), fixturePath('modules', 'src', 'lib', 'util.js'));
+      assert.isNull(resolve('fixture-modules/src/Foo.js'));
+   });
+
+   it('resolves packages in node_modules', () =>
+   {
+      assert.strictEqual(resolve('dep'), fixturePath('modules', 'node_modules', 'dep', 'lib', 'main.js'));
+      assert.strictEqual(resolve('exported'), fixturePath('modules', 'node_modules', 'exported', 'index.js'));
+      assert.isNull(resolve('exported/other.js'));
+      assert.isNull(resolve('missing'));
+   });
+
+   it('returns the public entry points of a package', () =>
+   {
+      const entryPoints = create().triggerSync('tjsdoc:system:module:entry:points:get', fixturePath('modules'));
+
+      assert.deepEqual(entryPoints, [
+         { specifier: 'fixture-modules', filePath: fixturePath('modules', 'src', 'index.js') },
+         { specifier: 'fixture-modules/feature', filePath: fixturePath('modules', 'src', 'feature.js') }
+      ]);
+   });
+
+   it('reads package.json files, file types and real paths through the source file cache', () =>
+   {
+      const eventbus = create();
+
+      eventbus.triggerSync('tjsdoc:system:module:resolve', 'dep', fromPath);
+      eventbus.triggerSync('tjsdoc:system:module:resolve', './dir', fromPath);
+
+      const filePaths = eventbus.logged('tjsdoc:system:file:content:get').map((args) => args[0]);
+
+      assert.include(filePaths, fixturePath('modules', 'package.json'));
+      assert.include(filePaths, fixturePath('modules', 'node_modules', 'dep', 'package.json'));
+
+      assert.include(eventbus.logged('tjsdoc:system:file:is:directory').map((args) => args[0]),
+       fixturePath('modules', 'src', 'dir'));
+
+      assert.include(eventbus.logged('tjsdoc:system:file:is:file').map((args) => args[0]),
+       fixturePath('modules', 'src', 'dir', 'index.js'));
+
+      assert.deepEqual(eventbus.logged('tjsdoc:system:file:realpath:get').map((args) => args[0]), [
+         fixturePath('modules', 'node_modules', 'dep', 'lib', 'main.js'),
+         fixturePath('modules', 'src', 'dir', 'index.js')
+      ]);
+   });
+
+   describe('symlinked project directory', () =>
+   {
+      const linkPath = path.join(os.tmpdir(), `tjsdoc-test-modules-${process.pid}`);
+
+      before(() => fs.symlinkSync(fixturePath('modules'), linkPath, 'dir'));
+
+      after(() => fs.unlinkSync(linkPath));
+
+      it('resolves real paths', () =>
+      {
+         assert.strictEqual(create().triggerSync('tjsdoc:system:module:resolve', './Foo',
+          path.join(linkPath, 'src', 'App.js')), fixturePath('modules', 'src', 'Foo.js'));
+      });
+
+      it('resolves project relative longnames of imported identifiers', () =>
+      {
+         const eventbus = create();
+
+         eventbus.on('tjsdoc:system:ast:path:import:declaration:find', (ast, name) =>
+          name === 'feature' ? 'fixture-modules/feature' : null);
+
+         const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment('@see feature'), rootPath: linkPath,
+          filePath: 'src/App.js' }).value;
+
+         assert.strictEqual(doc.seeInfo[0].importName, 'src/feature.js~feature');
+      });
+   });
+});
@@ -0,0 +1,104 @@
+import { assert }            from 'chai';
+
+import CoreDocResolver       from '../../../src/resolver/CoreDocResolver.js';
+import DocSchema             from '../../../src/schema/DocSchema.js';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   loadPlugin,
+   TestClassDoc,
+   TestDocDB,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('DocSchema', () =>
+{
+   const schema = new DocSchema();
+
+   /**
+    * Returns a minimal valid doc of the given kind.
+    *
+    * @param {object}   [values] - Additional doc values.
+    *
+    * @returns {DocObject}
+    */
+   const minimalDoc = (values = {}) => Object.assign({ '__docId__': 1, 'kind': 'ModuleFunction',
+    'category': 'Module', 'name': 'fn', 'filePath': 'src/fn.js', 'static': true, 'longname': 'src/fn.js~fn',
+     'memberof': 'src/fn.js' }, values);
+
+   it('provides a JSON Schema copy for each doc kind', () =>
+   {
+      assert.include(schema.getKinds(), 'ModuleClass');
+      assert.isUndefined(schema.getSchema('Unknown'));
+
+      const classSchema = schema.getSchema('ModuleClass');
+
+      assert.strictEqual(classSchema.properties.kind.const, 'ModuleClass');
+      assert.include(classSchema.required, 'memberof');
+
+      classSchema.required.length = 0;
+
+      assert.include(schema.getSchema('ModuleClass').required, 'memberof');
+   });
+
+   it('validates docs created by the doc classes', () =>
+   {
+      const eventbus = createEventbus();
+
+      for (const DocClass of [TestClassDoc, TestFunctionDoc])
+      {
+         const doc = createDoc(DocClass, eventbus, { comment: comment('Desc', '@param {number} [a=1] - a',
+          '@example', 'fn(1);', '@deprecated since 1.0.0', '@see Foo') }).reset();
+
+         assert.deepEqual(schema.validate(doc), [], DocClass.name);
+      }
+   });
+
+   it('reports missing, mistyped and invalid values by JSON pointer', () =>
+   {
+      assert.deepEqual(schema.validate(minimalDoc()), []);
+
+      const { memberof, ...missing } = minimalDoc(); // eslint-disable-line no-unused-vars
+
+      assert.deepEqual(schema.validate(missing), [{ path: '/memberof', message: 'is required' }]);
+
+      assert.deepEqual(schema.validate(minimalDoc({ 'static': 'yes', 'access': 'secret' })), [
+         { path: '/static', message: 'is not of type: boolean' },
+         { path: '/access', message: 'is not one of: "public", "protected", "private", "package", null' }
+      ]);
+
+      assert.deepEqual(schema.validate(minimalDoc({ params: [{ name: 'a' }, { types: ['x'], optional: 1 }] })), [
+         { path: '/params/0/types', message: 'is required' },
+         { path: '/params/1/optional', message: 'is not of type: boolean' }
+      ]);
+   });
+
+   it('allows additional and undefined values and rejects unknown kinds', () =>
+   {
+      assert.deepEqual(schema.validate(minimalDoc({ customTag: { any: true }, description: void 0 })), []);
+
+      assert.deepEqual(schema.validate(minimalDoc({ kind: 'Unknown' })),
+       [{ path: '/kind', message: 'is not a known doc kind: Unknown' }]);
+
+      assert.deepEqual(schema.validate(null), [{ path: '', message: 'is not an object' }]);
+   });
+
+   it('is used by CoreDocResolver to report invalid docs when `docValidation` is set', () =>
+   {
+      const docs = [minimalDoc(), minimalDoc({ 'longname': 'src/fn.js~bad', 'static': 'yes' })];
+
+      const warnEventbus = createEventbus({ docValidation: 'warning' }, [schema]);
+
+      loadPlugin(warnEventbus, new CoreDocResolver())._validateDocs(new TestDocDB(docs));
+
+      assert.deepEqual(warnEventbus.logged('log:warn').map((args) => args[0]), [
+         'tjsdoc-doc-resolver-core - invalid doc data: src/fn.js~bad (ModuleFunction) /static is not of type: boolean'
+      ]);
+
+      const errorEventbus = createEventbus({ docValidation: 'error' }, [schema]);
+
+      assert.throws(() => loadPlugin(errorEventbus, new CoreDocResolver())._validateDocs(new TestDocDB(docs)),
+       '1 doc(s) failed schema validation');
+   });
+});
@@ -0,0 +1,91 @@
+import { assert }            from 'chai';
+
+import DocSerializer         from '../../../src/serializer/DocSerializer.js';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   loadPlugin,
+   TestDocDB,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('DocSerializer', () =>
+{
+   /**
+    * Creates a serializer with a DocDB containing a function doc with the given comment lines.
+    *
+    * @param {...string}   lines - The comment lines.
+    *
+    * @returns {{serializer: DocSerializer, doc: DocObject}} The serializer and the doc object.
+    */
+   const create = (...lines) =>
+   {
+      const eventbus = createEventbus();
+
+      eventbus.on('tjsdoc:system:docdb:create', () => new TestDocDB());
+
+      const node = { type: 'FunctionDeclaration', id: { name: 'fn' }, params: [],
+       loc: { start: { line: 2, column: 0 }, end: { line: 4, column: 1 } } };
+
+      const doc = createDoc(TestFunctionDoc, eventbus, { comment: comment(...lines), node }).reset();
+
+      const serializer = loadPlugin(eventbus, new DocSerializer(), void 0, new TestDocDB([doc]));
+
+      return { serializer, doc };
+   };
+
+   it('exports docs without AST references storing the source range', () =>
+   {
+      const { serializer } = create('Desc');
+
+      const data = serializer.exportDocs();
+
+      assert.strictEqual(data.format, 'tjsdoc-docs');
+      assert.strictEqual(data.version, DocSerializer.version);
+      assert.lengthOf(data.docs, 1);
+
+      const doc = data.docs[0];
+
+      assert.isUndefined(doc.node);
+      assert.isUndefined(doc.ast);
+      assert.deepEqual(doc.sourceRange, { start: { line: 2, column: 0 }, end: { line: 4, column: 1 } });
+      assert.strictEqual(doc.description, 'Desc');
+   });
+
+   it('round trips default values without a JSON representation', () =>
+   {
+      const { serializer, doc } = create('@param {number} [a=NaN] - a', '@param {number} [b=Infinity] - b',
+       '@param {number} [c=-Infinity] - c', '@param {*} [d=undefined] - d', '@param {number} [e=-0] - e',
+        '@param {number} [f=1] - f');
+
+      const json = JSON.stringify(serializer.exportDocs());
+
+      const imported = serializer.importDocs(json).docs[0];
+
+      const defaults = (params) => params.map((param) => [param.name, param.defaultValue, param.defaultRaw,
+       Object.prototype.hasOwnProperty.call(param, 'defaultRaw')]);
+
+      assert.deepEqual(defaults(imported.params), defaults(doc.params));
+
+      assert.isTrue(Number.isNaN(imported.params[0].defaultRaw));
+      assert.strictEqual(imported.params[1].defaultRaw, Infinity);
+      assert.strictEqual(imported.params[2].defaultRaw, -Infinity);
+      assert.isTrue(Object.prototype.hasOwnProperty.call(imported.params[3], 'defaultRaw'));
+      assert.isUndefined(imported.params[3].defaultRaw);
+      assert.isTrue(Object.is(imported.params[4].defaultRaw, -0));
+      assert.strictEqual(imported.params[5].defaultRaw, 1);
+   });
+
+   it('rejects data of other formats and newer versions', () =>
+   {
+      const { serializer } = create('Desc');
+
+      assert.throws(() => serializer.importDocs({ format: 'other', version: 1, docs: [] }), TypeError);
+
+      assert.throws(() => serializer.importDocs({ format: 'tjsdoc-docs', version: DocSerializer.version + 1,
+       docs: [] }), TypeError);
+
+      assert.lengthOf(serializer.importDocs({ format: 'tjsdoc-docs', version: 1, docs: [] }).docs, 0);
+   });
+});
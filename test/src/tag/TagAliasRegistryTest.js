@@ -0,0 +1,81 @@
+import { assert }            from 'chai';
+
+import TagAliasRegistry      from '../../../src/tag/TagAliasRegistry.js';
+
+import {
+   createDoc,
+   createEventbus,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('TagAliasRegistry', () =>
+{
+   it('resolves the default JSDoc aliases', () =>
+   {
+      const registry = new TagAliasRegistry();
+
+      assert.strictEqual(registry.resolve('@arg'), '@param');
+      assert.strictEqual(registry.resolve('@description'), '@desc');
+      assert.strictEqual(registry.resolve('@param'), '@param');
+   });
+
+   it('adds aliases normalizing the leading `@` and resolving alias chains', () =>
+   {
+      const registry = new TagAliasRegistry();
+
+      registry.addAlias('summary', 'description');
+
+      assert.strictEqual(registry.resolve('@summary'), '@desc');
+   });
+
+   it('flattens forward alias chains', () =>
+   {
+      const registry = new TagAliasRegistry();
+
+      registry.addAlias('@a', '@b');
+      registry.addAlias('@b', '@c');
+
+      assert.strictEqual(registry.resolve('@a'), '@c');
+      assert.strictEqual(registry.resolve('@b'), '@c');
+
+      assert.throws(() => registry.addAlias('@c', '@a'), Error, 'circular alias for tag: @c');
+   });
+
+   it('rejects aliasing canonical tag names', () =>
+   {
+      const registry = new TagAliasRegistry();
+
+      assert.throws(() => registry.addAlias('@param', '@foo'), Error, `'alias' is a canonical tag name: @param`);
+      assert.throws(() => registry.addAlias('return', '@foo'), Error, `'alias' is a canonical tag name: @return`);
+
+      assert.strictEqual(registry.resolve('@param'), '@param');
+      assert.strictEqual(registry.resolve('@arg'), '@param');
+   });
+
+   it('rejects invalid and circular aliases', () =>
+   {
+      const registry = new TagAliasRegistry();
+
+      assert.throws(() => registry.addAlias('', '@desc'), TypeError);
+      assert.throws(() => registry.addAlias('@desc', '@desc'));
+      assert.throws(() => registry.addAlias('@desc', '@description'));
+   });
+
+   it('adds aliases from the `tagAliases` config', () =>
+   {
+      const eventbus = createEventbus({ tagAliases: { '@summary': '@desc' } }, [new TagAliasRegistry()]);
+
+      assert.strictEqual(eventbus.triggerSync('tjsdoc:system:tags:alias:resolve', '@summary'), '@desc');
+      assert.propertyVal(eventbus.triggerSync('tjsdoc:system:tags:aliases:get'), '@summary', '@desc');
+   });
+
+   it('renames alias tags of docs to the canonical tag name', () =>
+   {
+      const eventbus = createEventbus({ tagAliases: { '@summary': '@desc' } }, [new TagAliasRegistry()]);
+
+      const doc = createDoc(TestFunctionDoc, eventbus,
+       { comment: '*\n * @summary Short summary.\n * @arg {number} x - the x\n ' });
+
+      assert.strictEqual(doc.value.description, 'Short summary.');
+      assert.deepEqual(doc.value.params.map((param) => param.name), ['x']);
+   });
+});
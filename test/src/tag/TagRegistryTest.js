@@ -0,0 +1,81 @@
+import { assert }            from 'chai';
+
+import TagRegistry           from '../../../src/tag/TagRegistry.js';
+
+import {
+   comment,
+   createDoc,
+   createEventbus,
+   TestClassDoc,
+   TestFunctionDoc }         from '../utils/TestUtils.js';
+
+describe('TagRegistry', () =>
+{
+   it('registers tag definitions normalizing the leading `@` and defaults', () =>
+   {
+      const registry = new TagRegistry();
+
+      registry.register({ name: 'beta', parser: 'flag' });
+      registry.register({ name: '@option', kinds: ['ModuleClass'], parser: 'param', multiple: true, key: 'options' });
+
+      assert.deepEqual(registry.getTags(), [
+         { name: '@beta', kinds: null, parser: 'flag', multiple: false, key: 'beta' },
+         { name: '@option', kinds: ['ModuleClass'], parser: 'param', multiple: true, key: 'options' }
+      ]);
+
+      assert.deepEqual(registry.getTags('ModuleFunction').map((definition) => definition.name), ['@beta']);
+   });
+
+   it('rejects invalid and duplicate tag definitions', () =>
+   {
+      const registry = new TagRegistry();
+
+      registry.register({ name: '@beta' });
+
+      assert.throws(() => registry.register({ name: '@beta' }), 'tag is already registered');
+      assert.throws(() => registry.register({ name: '' }), TypeError);
+      assert.throws(() => registry.register({ name: '@not-valid' }), 'not a valid tag name');
+      assert.throws(() => registry.register({ name: '@x', kinds: 'ModuleClass' }), TypeError);
+      assert.throws(() => registry.register({ name: '@x', parser: 'number' }), TypeError);
+      assert.throws(() => registry.register({ name: '@x', multiple: 1 }), TypeError);
+      assert.throws(() => registry.register({ name: '@x', key: '' }), TypeError);
+   });
+
+   it('rejects keys of the core doc object data and internal keys', () =>
+   {
+      const registry = new TagRegistry();
+
+      for (const key of ['name', 'kind', 'longname', 'params', 'memberof', '_custom_tests', '__docId__'])
+      {
+         assert.throws(() => registry.register({ name: '@custom', key }), `'key' is reserved: ${key}`);
+      }
+
+      // The default key is also checked.
+      assert.throws(() => registry.register({ name: '@kind' }), `'key' is reserved: kind`);
+
+      assert.lengthOf(registry.getTags(), 0);
+   });
+
+   it('stores the parsed custom tag values in the doc object of applicable kinds', () =>
+   {
+      const eventbus = createEventbus({}, [new TagRegistry()]);
+
+      eventbus.trigger('tjsdoc:system:tags:register', { name: '@beta', parser: 'flag' });
+      eventbus.trigger('tjsdoc:system:tags:register', { name: '@note', multiple: true, key: 'notes' });
+      eventbus.trigger('tjsdoc:system:tags:register', { name: '@option', kinds: ['ModuleClass'], parser: 'param' });
+
+      const value = comment('@beta', '@note first', '@note second', '@option {number} size - the size');
+
+      const functionDoc = createDoc(TestFunctionDoc, eventbus, { comment: value }).value;
+
+      assert.isTrue(functionDoc.beta);
+      assert.deepEqual(functionDoc.notes, ['first', 'second']);
+      assert.isUndefined(functionDoc.option);
+      assert.strictEqual(functionDoc.name, 'testName');
+
+      const classDoc = createDoc(TestClassDoc, eventbus, { comment: value }).value;
+
+      assert.strictEqual(classDoc.option.name, 'size');
+      assert.deepEqual(classDoc.option.types, ['number']);
+   });
+});
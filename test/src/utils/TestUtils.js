@@ -0,0 +1,504 @@
+import path                  from 'path';
+
+import AbstractCommentParser from '../../../src/parser/AbstractCommentParser.js';
+import AbstractParamParser   from '../../../src/parser/AbstractParamParser.js';
+
+import {
+   ClassMethodDocBase,
+   ModuleClassDocBase,
+   ModuleFunctionDocBase,
+   ModuleVariableDocBase }    from '../../../src/doc/base/';
+
+/**
+ * Provides a comment parser for tests reading the comment value directly from Babylon / ESTree comment nodes.
+ */
+export class TestCommentParser extends AbstractCommentParser
+{
+   /**
+    * Returns the value of a block comment node.
+    *
+    * @param {ASTNode} commentNode - A comment node.
+    *
+    * @returns {string|undefined}
+    */
+   getCommentValue(commentNode)
+   {
+      return typeof commentNode.value === 'string' ? commentNode.value : void 0;
+   }
+}
+
+/**
+ * Provides a param parser for tests guessing params from simple identifier / default value signatures.
+ */
+export class TestParamParser extends AbstractParamParser
+{
+   /**
+    * Guesses params from an array of `{ name, defaultValue }` objects or identifier / assignment pattern nodes.
+    *
+    * @param {Array} params - The params.
+    *
+    * @returns {ParsedParam[]}
+    */
+   guessParams(params)
+   {
+      return (params || []).map((param) =>
+      {
+         if (param.type === 'AssignmentPattern')
+         {
+            return { name: param.left.name, optional: true, types: ['*'], defaultValue: String(param.right.value) };
+         }
+
+         if (param.type === 'RestElement') { return { name: param.argument.name, spread: true, types: ['*'] }; }
+
+         return { name: param.name, types: ['*'] };
+      });
+   }
+
+   /**
+    * No return type is guessed in tests.
+    *
+    * @returns {null}
+    */
+   guessReturnParam()
+   {
+      return null;
+   }
+
+   /**
+    * All types are guessed as `*` in tests.
+    *
+    * @returns {ParsedParam}
+    */
+   guessType()
+   {
+      return { types: ['*'] };
+   }
+}
+
+/**
+ * Provides a class doc for tests naming the doc by the `id` of the AST node.
+ */
+export class TestClassDoc extends ModuleClassDocBase
+{
+   /** Sets the name from the AST node. */
+   static _$name()
+   {
+      this._value.name = s_NODE_NAME(this._node);
+   }
+}
+
+/**
+ * Provides a function doc for tests naming the doc by the `id` of the AST node.
+ */
+export class TestFunctionDoc extends ModuleFunctionDocBase
+{
+   /** Sets the name from the AST node. */
+   static _$name()
+   {
+      this._value.name = s_NODE_NAME(this._node);
+   }
+}
+
+/**
+ * Provides a class method doc for tests naming the doc by the `key` of the AST node.
+ */
+export class TestMethodDoc extends ClassMethodDocBase
+{
+   /** Sets `ClassMethod` as category. */
+   static _$category()
+   {
+      this._value.category = 'ClassMethod';
+   }
+
+   /** Sets memberof to a fixed class longname. */
+   static _$memberof()
+   {
+      this._value.memberof = `${this._pathResolver.filePath}~TestClass`;
+   }
+
+   /** Sets the name from the AST node. */
+   static _$name()
+   {
+      this._value.name = this._node.key ? this._node.key.name : s_NODE_NAME(this._node);
+   }
+}
+
+/**
+ * Provides a variable doc for tests naming the doc by the `id` of the AST node.
+ */
+export class TestVariableDoc extends ModuleVariableDocBase
+{
+   /** Sets the name from the AST node. */
+   static _$name()
+   {
+      this._value.name = s_NODE_NAME(this._node);
+   }
+}
+
+/**
+ * Provides a minimal synchronous eventbus compatible with the plugin eventbus proxy API. Unhandled events return
+ * `undefined`. All triggered events are recorded in `log`.
+ */
+export class TestEventbus
+{
+   /**
+    * Initializes the eventbus.
+    */
+   constructor()
+   {
+      /**
+       * Registered handlers by event name.
+       * @type {Map<string, Function>}
+       */
+      this.handlers = new Map();
+
+      /**
+       * Triggered events as `[name, ...args]`.
+       * @type {Array[]}
+       */
+      this.log = [];
+   }
+
+   /**
+    * Returns all logged events of the given name.
+    *
+    * @param {string}   name - An event name.
+    *
+    * @returns {Array[]} The logged event arguments.
+    */
+   logged(name)
+   {
+      return this.log.filter((entry) => entry[0] === name).map((entry) => entry.slice(1));
+   }
+
+   /**
+    * Removes the handler of an event.
+    *
+    * @param {string}   name - An event name.
+    */
+   off(name)
+   {
+      this.handlers.delete(name);
+   }
+
+   /**
+    * Registers the handler of an event replacing any existing handler.
+    *
+    * @param {string}   name - An event name.
+    *
+    * @param {Function} callback - The handler.
+    *
+    * @param {object}   [context] - The handler context.
+    */
+   on(name, callback, context = void 0)
+   {
+      this.handlers.set(name, context ? callback.bind(context) : callback);
+   }
+
+   /**
+    * Invokes the handler of an event.
+    *
+    * @param {string}   name - An event name.
+    *
+    * @param {...*}     args - Event arguments.
+    */
+   trigger(name, ...args)
+   {
+      this.log.push([name, ...args]);
+
+      if (this.handlers.has(name)) { this.handlers.get(name)(...args); }
+   }
+
+   /**
+    * Invokes the handler of an event returning a Promise of the result.
+    *
+    * @param {string}   name - An event name.
+    *
+    * @param {...*}     args - Event arguments.
+    *
+    * @returns {Promise<*>}
+    */
+   async triggerAsync(name, ...args)
+   {
+      this.log.push([name, ...args]);
+
+      return this.handlers.has(name) ? this.handlers.get(name)(...args) : void 0;
+   }
+
+   /**
+    * Invokes the handler of an event returning the result.
+    *
+    * @param {string}   name - An event name.
+    *
+    * @param {...*}     args - Event arguments.
+    *
+    * @returns {*}
+    */
+   triggerSync(name, ...args)
+   {
+      this.log.push([name, ...args]);
+
+      return this.handlers.has(name) ? this.handlers.get(name)(...args) : void 0;
+   }
+}
+
+/**
+ * Provides a minimal in-memory DocDB supporting `insert` and the `find` / `findByName` queries of the resolvers.
+ * Queries match values by equality, an array of allowed values or the operators `isArray`, `isObject`, `isString` and
+ * `!is`.
+ */
+export class TestDocDB
+{
+   /**
+    * Initializes the DocDB.
+    *
+    * @param {DocObject[]} [docs] - The doc objects.
+    */
+   constructor(docs = [])
+   {
+      /**
+       * The doc objects.
+       * @type {DocObject[]}
+       */
+      this.docs = docs;
+   }
+
+   /**
+    * Returns all docs matching any of the queries or all docs when no query is given.
+    *
+    * @param {...object}   queries - Queries of doc key -> value or operator object.
+    *
+    * @returns {DocObject[]}
+    */
+   find(...queries)
+   {
+      queries = queries.filter((query) => typeof query === 'object');
+
+      if (!queries.length) { return this.docs.slice(); }
+
+      return this.docs.filter((doc) => queries.some((query) => Object.keys(query).every((key) =>
+       s_MATCH_QUERY_VALUE(doc[key], query[key]))));
+   }
+
+   /**
+    * Inserts a doc object.
+    *
+    * @param {DocObject}   doc - A doc object.
+    */
+   insert(doc)
+   {
+      this.docs.push(doc);
+   }
+
+   /**
+    * Returns the docs with the given longname or otherwise name.
+    *
+    * @param {string}   name - A longname or name.
+    *
+    * @returns {DocObject[]}
+    */
+   findByName(name)
+   {
+      const docs = this.docs.filter((doc) => doc.longname === name);
+
+      return docs.length ? docs : this.docs.filter((doc) => doc.name === name);
+   }
+}
+
+/**
+ * Builds a doc comment value from lines of text; IE `comment('Desc', '@param {number} x')` for
+ * `/**\n * Desc\n * @param {number} x\n *\/`.
+ *
+ * @param {...string}   lines - The comment lines.
+ *
+ * @returns {string}
+ */
+export function comment(...lines)
+{
+   return `*\n${lines.map((line) => ` * ${line}`.trimRight()).join('\n')}\n `;
+}
+
+/**
+ * Creates a doc from a doc comment returning the doc context.
+ *
+ * @param {DocBase}        DocClass - The doc class.
+ *
+ * @param {TestEventbus}   eventbus - The eventbus.
+ *
+ * @param {object}         [options] - Optional parameters.
+ *
+ * @param {string}         [options.comment=''] - The doc comment value.
+ *
+ * @param {ASTNode}        [options.node] - The AST node of the doc; defaults to a node named `testName`.
+ *
+ * @param {AST}            [options.ast] - The AST of the file.
+ *
+ * @param {string}         [options.rootPath] - The absolute project root path.
+ *
+ * @param {string}         [options.filePath='src/Test.js'] - The file path relative to the project root.
+ *
+ * @param {number}         [options.line=1] - The line of the doc comment start.
+ *
+ * @returns {DocBase} The doc context.
+ */
+export function createDoc(DocClass, eventbus, { comment = '', node = { id: { name: 'testName' } },
+ ast = { type: 'File', program: { type: 'Program', body: [] } }, rootPath = fixturePath('project'),
+  filePath = 'src/Test.js', line = 1 } = {})
+{
+   const tags = comment !== '' ? parseComment(eventbus, comment, line) : [];
+
+   return DocClass.create(1, 0, ast, node, createPathResolver(rootPath, filePath), tags, eventbus);
+}
+
+/**
+ * Creates a test eventbus with the given main config and the comment / param test parsers loaded.
+ *
+ * @param {object}   [mainConfig] - The main config.
+ *
+ * @param {object[]} [plugins] - Additional plugin instances to load.
+ *
+ * @returns {TestEventbus}
+ */
+export function createEventbus(mainConfig = {}, plugins = [])
+{
+   const eventbus = new TestEventbus();
+
+   mainConfig = Object.assign({ pathExtensions: ['.js'] }, mainConfig);
+
+   eventbus.on('tjsdoc:data:config:main:get', () => mainConfig);
+
+   for (const plugin of [new TestCommentParser(), new TestParamParser(), ...plugins])
+   {
+      loadPlugin(eventbus, plugin, mainConfig);
+   }
+
+   return eventbus;
+}
+
+/**
+ * Creates a path resolver for a file of a test project.
+ *
+ * @param {string}   rootPath - The absolute project root path.
+ *
+ * @param {string}   filePath - The file path relative to the project root.
+ *
+ * @returns {object} A path resolver with `filePath`, `absolutePath`, `importPath`, `resolve` and
+ *                   `resolveAbsolutePath`.
+ */
+export function createPathResolver(rootPath, filePath)
+{
+   const absolutePath = path.resolve(rootPath, filePath);
+
+   return {
+      filePath,
+      absolutePath,
+      importPath: `test-project/${filePath}`,
+      resolve: (target) => path.relative(rootPath, path.resolve(path.dirname(absolutePath), target)),
+      resolveAbsolutePath: (target) => path.resolve(path.dirname(absolutePath), target)
+   };
+}
+
+/**
+ * Returns the absolute path of a test fixture.
+ *
+ * @param {...string}   segments - Path segments relative to `test/fixture`.
+ *
+ * @returns {string}
+ */
+export function fixturePath(...segments)
+{
+   return path.resolve(__dirname, '../../fixture', ...segments);
+}
+
+/**
+ * Loads a plugin instance invoking `onPluginLoad` and `onRuntimePreGenerateAsync` when available.
+ *
+ * @param {TestEventbus}   eventbus - The eventbus.
+ *
+ * @param {object}         plugin - A plugin instance.
+ *
+ * @param {object}         [mainConfig] - The main config.
+ *
+ * @param {DocDB}          [docDB] - An optional DocDB.
+ *
+ * @returns {object} The plugin instance.
+ */
+export function loadPlugin(eventbus, plugin, mainConfig = eventbus.triggerSync('tjsdoc:data:config:main:get'),
+ docDB = void 0)
+{
+   plugin.onPluginLoad({ eventbus });
+
+   if (typeof plugin.onRuntimePreGenerateAsync === 'function')
+   {
+      plugin.onRuntimePreGenerateAsync({ data: { mainConfig, docDB } });
+   }
+
+   return plugin;
+}
+
+/**
+ * Parses a doc comment value into tags.
+ *
+ * @param {TestEventbus}   eventbus - The eventbus.
+ *
+ * @param {string}         value - The comment value; IE the text between `/*` and `*\/`.
+ *
+ * @param {number}         [line=1] - The line of the comment start.
+ *
+ * @param {object}         [options] - Comment parser options.
+ *
+ * @returns {Tag[]}
+ */
+export function parseComment(eventbus, value, line = 1, options = void 0)
+{
+   return eventbus.triggerSync('tjsdoc:system:parser:comment:parse',
+    { type: 'CommentBlock', value, loc: { start: { line, column: 0 } } }, options);
+}
+
+/**
+ * Returns the name of a test AST node.
+ *
+ * @param {ASTNode}  node - An AST node.
+ *
+ * @returns {string}
+ * @ignore
+ */
+const s_NODE_NAME = (node) => node.id ? node.id.name : node.name;
+
+/**
+ * Returns whether a doc value matches a TestDocDB query value.
+ *
+ * @param {*}  value - A doc value.
+ *
+ * @param {*}  query - A query value; an array of allowed values or an operator object.
+ *
+ * @returns {boolean}
+ * @ignore
+ */
+const s_MATCH_QUERY_VALUE = (value, query) =>
+{
+   if (Array.isArray(query)) { return query.includes(value); }
+
+   if (typeof query !== 'object' || query === null) { return value === query; }
+
+   return Object.keys(query).every((operator) =>
+   {
+      switch (operator)
+      {
+         case '!is':
+            return value !== query[operator];
+
+         case 'isArray':
+            return Array.isArray(value) === query[operator];
+
+         case 'isObject':
+            return (typeof value === 'object' && value !== null && !Array.isArray(value)) === query[operator];
+
+         case 'isString':
+            return (typeof value === 'string') === query[operator];
+
+         default:
+            throw new Error(`unsupported query operator: ${operator}`);
+      }
+   });
+};